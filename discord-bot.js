@@ -0,0 +1,92 @@
+import "dotenv/config";
+import {
+  Client,
+  Events,
+  GatewayIntentBits,
+  MessageFlags,
+  REST,
+  Routes,
+} from "discord.js";
+import { buildCommands, createHandlers, loadBotConfig } from "./lib/bot.js";
+
+// Discord gateway for the bot: registers the slash commands and turns each
+// interaction into the plain object the handlers in lib/bot.js expect.
+// Runs alongside server.js (npm run bot). Needs DISCORD_TOKEN; settings are
+// in discord.config.json (or the file DISCORD_CONFIG names).
+
+const token = process.env.DISCORD_TOKEN;
+if (!token) {
+  console.error("DISCORD_TOKEN is not set.");
+  process.exit(1);
+}
+
+const config = await loadBotConfig();
+const handlers = createHandlers(config);
+const commands = buildCommands(config);
+const client = new Client({ intents: [GatewayIntentBits.Guilds] });
+
+// Commands registered per guild show up at once; global ones can take up
+// to an hour
+async function registerCommands(applicationId) {
+  const rest = new REST().setToken(token);
+  if (config.guild_ids.length === 0) {
+    await rest.put(Routes.applicationCommands(applicationId), {
+      body: commands,
+    });
+    return;
+  }
+  for (const guildId of config.guild_ids) {
+    await rest.put(Routes.applicationGuildCommands(applicationId, guildId), {
+      body: commands,
+    });
+  }
+}
+
+function toInteraction(interaction) {
+  return {
+    command: interaction.commandName,
+    options: Object.fromEntries(
+      interaction.options.data.map((option) => [option.name, option.value])
+    ),
+    channelId: interaction.channelId,
+    userId: interaction.user.id,
+    defer: () => interaction.deferReply(),
+    reply: (content, { ephemeral = false } = {}) =>
+      interaction.deferred || interaction.replied
+        ? interaction.editReply({ content })
+        : interaction.reply({
+            content,
+            flags: ephemeral ? MessageFlags.Ephemeral : undefined,
+          }),
+    followUp: (content) => interaction.followUp({ content }),
+  };
+}
+
+client.once(Events.ClientReady, async (ready) => {
+  try {
+    await registerCommands(ready.user.id);
+    console.log(
+      `Discord bot ready as ${ready.user.tag}: /${commands
+        .map((command) => command.name)
+        .join(", /")}`
+    );
+  } catch (error) {
+    console.error("Registering slash commands failed:", error);
+  }
+});
+
+client.on(Events.InteractionCreate, async (interaction) => {
+  if (!interaction.isChatInputCommand()) return;
+  try {
+    await handlers.handle(toInteraction(interaction));
+  } catch (error) {
+    console.error("Discord interaction error:", error);
+  }
+});
+
+process.on("SIGINT", () => {
+  client.destroy();
+  process.exit(0);
+});
+
+await client.login(token);
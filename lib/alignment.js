@@ -0,0 +1,148 @@
+import { levenshtein, normalizeGreek } from "./metrics.js";
+import { stem } from "./repair.js";
+
+// Word alignment between the original Greek and a cycle's back-translation.
+// Each original word is matched to at most one word of the cycle, in three
+// passes that only consider words left unmatched by the previous ones:
+//   1. exact: the same word after normalization (accents kept)
+//   2. folded: the same word without accents and breathings
+//   3. fuzzy: the same crude stem ("μῆνιν" / "μῆνις") or a close spelling
+// Within a pass a word prefers the candidate nearest its relative position,
+// so repeated words pair up in order.
+//
+// Original words matched exactly or folded "survived", fuzzy matches
+// "mutated", and unmatched ones were "lost"; cycle words that match nothing
+// were "invented".
+
+// Fuzzy matches need this edit similarity (1 - distance / longer length)
+// unless the stems agree, and at least this many letters
+const MIN_FUZZY_SIMILARITY = 0.6;
+const MIN_FUZZY_LENGTH = 3;
+
+const STATUSES = ["survived", "mutated", "lost", "invented"];
+
+// Words of a text as written, with their comparison forms
+function tokenize(text) {
+  const surfaces = (text || "").normalize("NFC").match(/[\p{L}\p{M}]+/gu);
+  return (surfaces || []).flatMap((surface) => {
+    // ʼ is a letter to the regular expression but an elision mark to
+    // normalizeGreek, so one surface may hold two words ("δʼἄρα")
+    const forms = normalizeGreek(surface, { foldDiacritics: false })
+      .split(" ")
+      .filter(Boolean);
+    return forms.map((form) => ({
+      text: forms.length === 1 ? surface : form,
+      exact: form,
+      folded: normalizeGreek(form, { foldDiacritics: true }),
+    }));
+  });
+}
+
+function fuzzyScore(a, b) {
+  const lengthA = [...a.folded].length;
+  const lengthB = [...b.folded].length;
+  if (lengthA < MIN_FUZZY_LENGTH || lengthB < MIN_FUZZY_LENGTH) return 0;
+  const similarity =
+    1 - levenshtein(a.folded, b.folded) / Math.max(lengthA, lengthB);
+  if (stem(a.folded, "grc") === stem(b.folded, "grc")) {
+    return Math.max(similarity, MIN_FUZZY_SIMILARITY);
+  }
+  return similarity >= MIN_FUZZY_SIMILARITY ? similarity : 0;
+}
+
+// Align `text` to `original`. Returns
+//   { source: [{ text, status, target, method, score }]   one per original word
+//     target: [{ text, status, source, method, score }]   one per cycle word
+//     counts: { survived, mutated, lost, invented }, survival }
+// `target` / `source` are the index of the matched word (or null), `method`
+// is exact, folded or fuzzy, and `survival` is the share of original words
+// that survived.
+function alignTokens(original, text) {
+  const sourceTokens = tokenize(original);
+  const targetTokens = tokenize(text);
+  const sourceMatch = new Array(sourceTokens.length).fill(null);
+  const targetMatch = new Array(targetTokens.length).fill(null);
+
+  // Distance between relative positions, so texts of different lengths
+  // still pair words in order
+  const offset = (i, j) =>
+    Math.abs(
+      i / Math.max(1, sourceTokens.length - 1) -
+        j / Math.max(1, targetTokens.length - 1)
+    );
+
+  const link = (i, j, method, score) => {
+    sourceMatch[i] = { index: j, method, score };
+    targetMatch[j] = { index: i, method, score };
+  };
+
+  for (const method of ["exact", "folded"]) {
+    sourceTokens.forEach((token, i) => {
+      if (sourceMatch[i]) return;
+      let best = null;
+      targetTokens.forEach((candidate, j) => {
+        if (targetMatch[j] || candidate[method] !== token[method]) return;
+        if (best === null || offset(i, j) < offset(i, best)) best = j;
+      });
+      if (best !== null) link(i, best, method, 1);
+    });
+  }
+
+  // Fuzzy pairs are taken best first over the whole text
+  const pairs = [];
+  sourceTokens.forEach((token, i) => {
+    if (sourceMatch[i]) return;
+    targetTokens.forEach((candidate, j) => {
+      if (targetMatch[j]) return;
+      const score = fuzzyScore(token, candidate);
+      if (score > 0) pairs.push({ i, j, score });
+    });
+  });
+  pairs.sort(
+    (a, b) => b.score - a.score || offset(a.i, a.j) - offset(b.i, b.j)
+  );
+  for (const { i, j, score } of pairs) {
+    if (!sourceMatch[i] && !targetMatch[j]) link(i, j, "fuzzy", score);
+  }
+
+  const statusOf = (match, unmatched) =>
+    !match ? unmatched : match.method === "fuzzy" ? "mutated" : "survived";
+  const entry = (token, match, unmatched, key) => ({
+    text: token.text,
+    status: statusOf(match, unmatched),
+    [key]: match ? match.index : null,
+    method: match ? match.method : null,
+    score: match ? Number(match.score.toFixed(3)) : null,
+  });
+
+  const source = sourceTokens.map((token, i) =>
+    entry(token, sourceMatch[i], "lost", "target")
+  );
+  const target = targetTokens.map((token, j) =>
+    entry(token, targetMatch[j], "invented", "source")
+  );
+  const counts = Object.fromEntries(STATUSES.map((status) => [status, 0]));
+  for (const word of source) counts[word.status]++;
+  counts.invented = target.filter((word) => word.status === "invented").length;
+
+  return {
+    source,
+    target,
+    counts,
+    survival: source.length > 0 ? counts.survived / source.length : 1,
+  };
+}
+
+// Per original word, its status in each cycle: [{ text, statuses: [...] }].
+// Cycles without an alignment are aligned here.
+function survivalHistory(original, cycles = []) {
+  const alignments = cycles.map(
+    (cycle) => cycle.alignment || alignTokens(original, cycle.greek)
+  );
+  return tokenize(original).map((token, i) => ({
+    text: token.text,
+    statuses: alignments.map((alignment) => alignment.source[i].status),
+  }));
+}
+
+export { alignTokens, survivalHistory, STATUSES };
@@ -0,0 +1,665 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import { DegradationAnalyzer } from "./translator.js";
+import { runCycleExperiment } from "./cycles.js";
+import { buildChain } from "./chain.js";
+import { personaLibrary } from "./personas.js";
+import { runStore } from "./run-store.js";
+import { passageCatalog, parseCitation } from "./passages.js";
+import { isKnownProvider, listProviders, throwIfAborted } from "./providers.js";
+import { METRIC_NAMES, isMetricName } from "./metrics.js";
+import { jobQueue } from "./jobs.js";
+import { config } from "./config.js";
+
+// Batch experiments: every combination of
+//   passages × models × personas × temperatures × cycles × repeats
+// run one after another, each saved to the run store (kind "batch", tagged
+// `batch:<id>`). A batch lives in results/batches/<id>/:
+//   batch.json     the normalized spec, including the passage texts
+//   manifest.jsonl one line per finished combination (completed or failed)
+//   summary.json   per-run rows plus means over repeats
+//   summary.csv    the per-run rows
+// Running a batch again skips every combination the manifest lists as
+// completed, so a crashed or interrupted batch resumes where it stopped.
+// Failed combinations are retried. Each combination waits its turn on the
+// job queue at batch priority, behind interactive requests.
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const DEFAULT_DIR = path.join(__dirname, "..", "results", "batches");
+const PASSAGES_DIR = path.join(__dirname, "..", "passages");
+
+const ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+const PASSAGE_NAME = /^[A-Za-z0-9_-]+(\.txt)?$/;
+const DEFAULT_MODEL = config.translation.model;
+const MAX_COMBINATIONS = 500;
+const MAX_REPEATS = 50;
+
+const CSV_COLUMNS = [
+  "passage",
+  "model",
+  "personas",
+  "temperature",
+  "cycles",
+  "repeat",
+  "status",
+  "run_id",
+  "final_similarity",
+  "degradation_level",
+  ...METRIC_NAMES,
+  "failed_cycles",
+  "retries",
+  "duration_ms",
+  "error",
+];
+
+function isValidBatchId(id) {
+  return typeof id === "string" && ID_PATTERN.test(id);
+}
+
+function newBatchId(date = new Date()) {
+  const stamp = date.toISOString().replace(/[:.]/g, "-");
+  return `batch_${stamp}_${crypto.randomBytes(3).toString("hex")}`;
+}
+
+// Error carrying the HTTP status the API should answer with
+class BatchError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "BatchError";
+    this.status = status;
+  }
+}
+
+const asList = (value, fallback) =>
+  value === undefined ? fallback : Array.isArray(value) ? value : [value];
+
+const refLabel = (ref) =>
+  !ref
+    ? "-"
+    : typeof ref === "string"
+    ? ref
+    : ref.version
+    ? `${ref.id}@v${ref.version}`
+    : ref.id;
+
+const personasLabel = (refs) =>
+  refs ? `${refLabel(refs.to_english)}/${refLabel(refs.to_greek)}` : "none";
+
+const modelLabel = (model) =>
+  Array.isArray(model)
+    ? model.map((hop) => hop.model || DEFAULT_MODEL).join(" → ")
+    : model;
+
+// A passage is a catalog id ("iliad_book1"), a citation ("Iliad 1.1-5"),
+// the name of another .txt file in passages/, or inline { name, text }
+async function loadPassage(entry) {
+  if (entry && typeof entry === "object") {
+    if (typeof entry.text !== "string" || !entry.text.trim()) {
+      throw new BatchError("Inline passages need a non-empty text");
+    }
+    return { name: entry.name || "custom", text: entry.text.trim() };
+  }
+  if (typeof entry !== "string") {
+    throw new BatchError(`Invalid passage ${JSON.stringify(entry)}`);
+  }
+
+  const cataloged = await passageCatalog.get(entry);
+  if (cataloged) return { name: cataloged.id, text: cataloged.content };
+  if (parseCitation(entry)) {
+    try {
+      const cited = await passageCatalog.cite(entry);
+      return { name: cited.citation, text: cited.content };
+    } catch (error) {
+      throw new BatchError(error.message);
+    }
+  }
+
+  if (!PASSAGE_NAME.test(entry)) {
+    throw new BatchError(`Invalid passage name ${JSON.stringify(entry)}`);
+  }
+  const name = entry.replace(/\.txt$/, "");
+  try {
+    const text = await fs.readFile(
+      path.join(PASSAGES_DIR, `${name}.txt`),
+      "utf-8"
+    );
+    return { name, text: text.trim() };
+  } catch {
+    throw new BatchError(`Passage "${name}" not found`);
+  }
+}
+
+async function resolvePersonas(refs) {
+  if (refs === null) return {};
+  if (typeof refs !== "object" || Array.isArray(refs)) {
+    throw new BatchError(
+      "personas entries must be null or { to_english, to_greek }"
+    );
+  }
+  const personas = {};
+  for (const direction of ["to_english", "to_greek"]) {
+    if (!refs[direction]) {
+      personas[direction] = null;
+      continue;
+    }
+    personas[direction] = await personaLibrary.resolve(refs[direction]);
+    if (!personas[direction]) {
+      throw new BatchError(
+        `Unknown persona ${JSON.stringify(refs[direction])}`
+      );
+    }
+  }
+  return personas;
+}
+
+// Validate a request/CLI spec and fill in defaults. Passage files are read
+// here so the stored spec pins the exact text every repeat is run on.
+async function normalizeSpec(raw = {}) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new BatchError("Batch spec must be an object");
+  }
+  if (raw.id !== undefined && !isValidBatchId(raw.id)) {
+    throw new BatchError("id must be letters, digits, '-' or '_'");
+  }
+
+  const passages = [];
+  for (const entry of asList(raw.passages, [])) {
+    passages.push(await loadPassage(entry));
+  }
+  if (passages.length === 0) {
+    throw new BatchError("passages must list at least one passage");
+  }
+
+  const models = asList(raw.models, [DEFAULT_MODEL]);
+  const personas = asList(raw.personas, [null]);
+  const temperatures = asList(raw.temperatures, [
+    config.translation.temperature,
+  ]).map(Number);
+  const cycles = asList(raw.cycles, [config.cycles.default]).map((value) =>
+    parseInt(value)
+  );
+  const repeats = raw.repeats === undefined ? 1 : parseInt(raw.repeats);
+  const metric = raw.metric || "jaccard";
+  // The metrics computed for each cycle; `metric` is always among them
+  const metrics = asList(raw.metrics, METRIC_NAMES);
+  const maxRetries =
+    raw.max_retries === undefined ? 2 : parseInt(raw.max_retries);
+
+  if (models.length === 0 || personas.length === 0) {
+    throw new BatchError("models and personas must not be empty");
+  }
+  if (temperatures.some((t) => !Number.isFinite(t) || t < 0 || t > 2)) {
+    throw new BatchError("temperatures must be between 0 and 2");
+  }
+  if (cycles.some((c) => Number.isNaN(c) || c < 1 || c > config.cycles.max)) {
+    throw new BatchError(`Cycles must be between 1 and ${config.cycles.max}`);
+  }
+  if (Number.isNaN(repeats) || repeats < 1 || repeats > MAX_REPEATS) {
+    throw new BatchError(`repeats must be between 1 and ${MAX_REPEATS}`);
+  }
+  if (Number.isNaN(maxRetries) || maxRetries < 0 || maxRetries > 5) {
+    throw new BatchError("max_retries must be between 0 and 5");
+  }
+  const unknown = [metric, ...metrics].find((name) => !isMetricName(name));
+  if (unknown !== undefined) {
+    throw new BatchError(
+      `Unknown metric "${unknown}". Available: ${METRIC_NAMES.join(", ")}`
+    );
+  }
+  if (metrics.length === 0) {
+    throw new BatchError("metrics must not be empty");
+  }
+  if (raw.provider && !isKnownProvider(raw.provider)) {
+    throw new BatchError(
+      `Unknown provider "${raw.provider}". Available: ${listProviders().join(
+        ", "
+      )}`
+    );
+  }
+
+  // Check every model (or chain) and persona pair once up front rather than
+  // failing the same way in every combination
+  for (const refs of personas) {
+    await resolvePersonas(refs);
+  }
+  for (const model of models) {
+    if (typeof model !== "string" && !Array.isArray(model)) {
+      throw new BatchError("models entries must be names or chain arrays");
+    }
+    const built = await buildChain(Array.isArray(model) ? model : undefined, {
+      model: Array.isArray(model) ? DEFAULT_MODEL : model,
+      provider: raw.provider,
+    });
+    if (built.error) throw new BatchError(built.error);
+  }
+
+  const total =
+    passages.length *
+    models.length *
+    personas.length *
+    temperatures.length *
+    cycles.length *
+    repeats;
+  if (total > MAX_COMBINATIONS) {
+    throw new BatchError(
+      `Batch has ${total} runs; the limit is ${MAX_COMBINATIONS}`
+    );
+  }
+
+  return {
+    passages,
+    models,
+    personas,
+    temperatures,
+    cycles,
+    repeats,
+    metric,
+    metrics,
+    fold_diacritics: raw.fold_diacritics === true,
+    max_retries: maxRetries,
+    provider: raw.provider || null,
+  };
+}
+
+// Every combination in a fixed order, each with a stable `key`
+function expandMatrix(spec) {
+  const combinations = [];
+  for (const passage of spec.passages) {
+    for (const model of spec.models) {
+      for (const personas of spec.personas) {
+        for (const temperature of spec.temperatures) {
+          for (const cycles of spec.cycles) {
+            for (let repeat = 1; repeat <= spec.repeats; repeat++) {
+              combinations.push({
+                key: JSON.stringify([
+                  passage.name,
+                  model,
+                  personas,
+                  temperature,
+                  cycles,
+                  repeat,
+                ]),
+                passage,
+                model,
+                personas,
+                temperature,
+                cycles,
+                repeat,
+              });
+            }
+          }
+        }
+      }
+    }
+  }
+  return combinations;
+}
+
+const csvField = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+function toCsv(rows) {
+  const lines = [CSV_COLUMNS.join(",")];
+  for (const row of rows) {
+    lines.push(CSV_COLUMNS.map((column) => csvField(row[column])).join(","));
+  }
+  return lines.join("\n") + "\n";
+}
+
+const mean = (values) =>
+  values.length > 0
+    ? values.reduce((sum, value) => sum + value, 0) / values.length
+    : null;
+
+// Means over the repeats of each combination
+function aggregate(rows) {
+  const groups = new Map();
+  for (const row of rows) {
+    if (row.status !== "completed") continue;
+    const key = JSON.stringify([
+      row.passage,
+      row.model,
+      row.personas,
+      row.temperature,
+      row.cycles,
+    ]);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+
+  return [...groups.values()].map((group) => {
+    const similarities = group.map((row) => row.final_similarity);
+    const summary = {
+      passage: group[0].passage,
+      model: group[0].model,
+      personas: group[0].personas,
+      temperature: group[0].temperature,
+      cycles: group[0].cycles,
+      runs: group.length,
+      mean_final_similarity: mean(similarities),
+      min_final_similarity: Math.min(...similarities),
+      max_final_similarity: Math.max(...similarities),
+    };
+    // Metrics the spec left out are null
+    for (const name of METRIC_NAMES) {
+      summary[`mean_${name}`] = mean(
+        group
+          .map((row) => row[name])
+          .filter((value) => typeof value === "number")
+      );
+    }
+    return summary;
+  });
+}
+
+// A crash mid-append can leave a partial last line; make sure the next row
+// starts on a fresh one
+async function endManifestLine(manifestPath) {
+  try {
+    const raw = await fs.readFile(manifestPath, "utf-8");
+    if (raw && !raw.endsWith("\n")) {
+      await fs.appendFile(manifestPath, "\n", "utf-8");
+    }
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+}
+
+class BatchRunner {
+  constructor(dir = DEFAULT_DIR) {
+    this.dir = dir;
+    // Batches running in this process: id → AbortController
+    this.running = new Map();
+  }
+
+  batchDir(id) {
+    return path.join(this.dir, id);
+  }
+
+  async read(id) {
+    if (!isValidBatchId(id)) return null;
+    try {
+      const raw = await fs.readFile(
+        path.join(this.batchDir(id), "batch.json"),
+        "utf-8"
+      );
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  // Latest manifest line per key. A line cut short by a crash is ignored.
+  async readManifest(id) {
+    let raw = "";
+    try {
+      raw = await fs.readFile(
+        path.join(this.batchDir(id), "manifest.jsonl"),
+        "utf-8"
+      );
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+    const rows = new Map();
+    for (const line of raw.split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        const row = JSON.parse(line);
+        const previous = rows.get(row.key);
+        if (!previous || previous.status !== "completed") {
+          rows.set(row.key, row);
+        }
+      } catch {
+        // partial line from an interrupted write
+      }
+    }
+    return rows;
+  }
+
+  // Create a batch from a spec. A spec whose `id` names an existing batch
+  // with the same settings returns that batch, so rerunning the same spec
+  // resumes it.
+  async create(rawSpec) {
+    const spec = await normalizeSpec(rawSpec);
+    const id = rawSpec.id || newBatchId();
+
+    const existing = await this.read(id);
+    if (existing) {
+      if (JSON.stringify(existing.spec) !== JSON.stringify(spec)) {
+        throw new BatchError(
+          `Batch "${id}" already exists with different settings`,
+          409
+        );
+      }
+      return existing;
+    }
+
+    const batch = { id, created_at: new Date().toISOString(), spec };
+    await fs.mkdir(this.batchDir(id), { recursive: true });
+    await fs.writeFile(
+      path.join(this.batchDir(id), "batch.json"),
+      JSON.stringify(batch, null, 2),
+      "utf-8"
+    );
+    await this.writeSummary(batch, new Map());
+    return batch;
+  }
+
+  async status(id) {
+    const batch = await this.read(id);
+    if (!batch) return null;
+    const manifest = await this.readManifest(id);
+    const combinations = expandMatrix(batch.spec);
+    const rows = combinations
+      .map((combination) => manifest.get(combination.key))
+      .filter(Boolean);
+    const completed = rows.filter((row) => row.status === "completed").length;
+    const failed = rows.length - completed;
+
+    let state = "pending";
+    if (this.running.has(id)) state = "running";
+    else if (completed === combinations.length) state = "completed";
+    else if (rows.length > 0) state = "incomplete";
+
+    return {
+      id,
+      created_at: batch.created_at,
+      state,
+      total: combinations.length,
+      completed,
+      failed,
+      remaining: combinations.length - completed,
+    };
+  }
+
+  async list() {
+    let names = [];
+    try {
+      names = await fs.readdir(this.dir);
+    } catch {
+      return [];
+    }
+    const batches = [];
+    for (const name of names) {
+      const status = await this.status(name);
+      if (status) batches.push(status);
+    }
+    return batches.sort(
+      (a, b) => Date.parse(b.created_at) - Date.parse(a.created_at)
+    );
+  }
+
+  // { batch, rows, aggregates } from summary.json, or null
+  async summary(id) {
+    if (!(await this.read(id))) return null;
+    const raw = await fs.readFile(
+      path.join(this.batchDir(id), "summary.json"),
+      "utf-8"
+    );
+    return JSON.parse(raw);
+  }
+
+  async summaryCsv(id) {
+    if (!(await this.read(id))) return null;
+    return fs.readFile(path.join(this.batchDir(id), "summary.csv"), "utf-8");
+  }
+
+  async writeSummary(batch, manifest) {
+    const rows = expandMatrix(batch.spec)
+      .map((combination) => manifest.get(combination.key))
+      .filter(Boolean)
+      .map(({ key, ...row }) => row);
+    const dir = this.batchDir(batch.id);
+    await fs.writeFile(
+      path.join(dir, "summary.json"),
+      JSON.stringify(
+        { batch: batch.id, rows, aggregates: aggregate(rows) },
+        null,
+        2
+      ),
+      "utf-8"
+    );
+    await fs.writeFile(path.join(dir, "summary.csv"), toCsv(rows), "utf-8");
+  }
+
+  async runCombination(batch, combination, signal) {
+    const { spec } = batch;
+    const row = {
+      key: combination.key,
+      passage: combination.passage.name,
+      model: modelLabel(combination.model),
+      personas: personasLabel(combination.personas),
+      temperature: combination.temperature,
+      cycles: combination.cycles,
+      repeat: combination.repeat,
+    };
+    const started = Date.now();
+
+    try {
+      const personas = await resolvePersonas(combination.personas);
+      const chained = Array.isArray(combination.model);
+      const built = await buildChain(chained ? combination.model : undefined, {
+        model: chained ? DEFAULT_MODEL : combination.model,
+        provider: spec.provider || undefined,
+        temperature: combination.temperature,
+        personas,
+        maxRetries: spec.max_retries,
+      });
+      if (built.error) throw new BatchError(built.error);
+
+      const job = jobQueue.enqueue(
+        (jobSignal) =>
+          runCycleExperiment({
+            text: combination.passage.text,
+            cycles: combination.cycles,
+            chain: built.chain,
+            analyzer: new DegradationAnalyzer({
+              metric: spec.metric,
+              metrics: spec.metrics,
+              foldDiacritics: spec.fold_diacritics,
+            }),
+            maxRetries: spec.max_retries,
+            personas,
+            passageName: combination.passage.name,
+            signal: jobSignal,
+            metadata: {
+              temperature: combination.temperature,
+              batch: { id: batch.id, repeat: combination.repeat },
+            },
+          }),
+        { kind: "batch", priority: "batch", label: batch.id, signal }
+      );
+      const results = await job.promise;
+      const entry = await runStore.save(results, {
+        kind: "batch",
+        tags: [`batch:${batch.id}`],
+      });
+
+      const { analysis } = results;
+      Object.assign(row, {
+        status: "completed",
+        run_id: entry.id,
+        final_similarity: analysis.final_similarity,
+        degradation_level: analysis.degradation_level,
+        ...analysis.metrics,
+        failed_cycles: analysis.quality.failed_cycles.length,
+        retries: analysis.quality.retries,
+      });
+    } catch (error) {
+      if (error.name === "AbortError") throw error;
+      Object.assign(row, { status: "failed", error: error.message });
+    }
+
+    row.duration_ms = Date.now() - started;
+    row.finished_at = new Date().toISOString();
+    return row;
+  }
+
+  // Run every combination not yet completed. onProgress(row, status) is
+  // called after each one. Aborting `signal` (or stop()) abandons the run in
+  // progress, which is redone on resume. Resolves with the final status.
+  async run(id, { signal, onProgress } = {}) {
+    const batch = await this.read(id);
+    if (!batch) throw new BatchError(`Batch "${id}" not found`, 404);
+    if (this.running.has(id)) {
+      throw new BatchError(`Batch "${id}" is already running`, 409);
+    }
+
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    if (signal) signal.addEventListener("abort", abort, { once: true });
+    this.running.set(id, controller);
+
+    try {
+      const manifest = await this.readManifest(id);
+      const manifestPath = path.join(this.batchDir(id), "manifest.jsonl");
+      await endManifestLine(manifestPath);
+
+      for (const combination of expandMatrix(batch.spec)) {
+        throwIfAborted(controller.signal);
+        const previous = manifest.get(combination.key);
+        if (previous && previous.status === "completed") continue;
+
+        const row = await this.runCombination(
+          batch,
+          combination,
+          controller.signal
+        );
+        await fs.appendFile(manifestPath, JSON.stringify(row) + "\n", "utf-8");
+        manifest.set(row.key, row);
+        await this.writeSummary(batch, manifest);
+        if (onProgress) onProgress(row, await this.status(id));
+      }
+    } finally {
+      this.running.delete(id);
+      if (signal) signal.removeEventListener("abort", abort);
+    }
+    return this.status(id);
+  }
+
+  // Stop a batch running in this process. Returns false if it is not running.
+  stop(id) {
+    const controller = this.running.get(id);
+    if (!controller) return false;
+    controller.abort();
+    return true;
+  }
+}
+
+const batchRunner = new BatchRunner();
+
+export {
+  BatchRunner,
+  BatchError,
+  batchRunner,
+  expandMatrix,
+  normalizeSpec,
+  isValidBatchId,
+  MAX_COMBINATIONS,
+};
@@ -0,0 +1,369 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import oracle from "./oracle.js";
+import { passageCatalog, PassageError } from "./passages.js";
+import { DegradationAnalyzer } from "./translator.js";
+import { runCycleExperiment } from "./cycles.js";
+import { buildChain } from "./chain.js";
+import { personaLibrary } from "./personas.js";
+import { runStore } from "./run-store.js";
+import { config as appConfig } from "./config.js";
+
+// Slash-command handlers for the Discord bot (discord-bot.js holds the
+// gateway code). Handlers only see a small interaction object, so they can
+// be driven without a Discord connection:
+//   { command, options, channelId, userId,
+//     defer(), reply(content, { ephemeral }), followUp(content) }
+// `reply` answers the command (or replaces the deferred "thinking" message);
+// `followUp` posts further messages.
+//
+// Commands:
+//   /oracle <question>           a prophecy from oracle.predict
+//   /degrade <passage> [cycles]  translation cycles, one message per cycle
+//   /passage <citation>          the text of a catalog passage
+// Every command counts against a per-channel rate limit, and a channel runs
+// one /degrade at a time.
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const DEFAULT_CONFIG = path.join(__dirname, "..", "discord.config.json");
+
+// Discord rejects messages longer than this
+const MESSAGE_LIMIT = 2000;
+
+const DEFAULT_BOT_CONFIG = {
+  guild_ids: [],
+  allowed_channels: [],
+  rate_limit: { per_channel: 5, window_seconds: 60 },
+  oracle: { mode: "llm", temperature: appConfig.oracle.temperature },
+  degrade: {
+    model: appConfig.translation.model,
+    default_cycles: 3,
+    max_cycles: 5,
+    metric: "jaccard",
+    max_retries: 2,
+    personas: { to_english: "poet", to_greek: "muse" },
+  },
+  passage: { language: "grc" },
+};
+
+// Slash command definitions in the shape Discord's API takes (option type
+// 3 is a string, 4 an integer). The /degrade cycles option is bounded by the
+// bot config's degrade.max_cycles, so Discord offers only what the handler
+// accepts.
+function buildCommands(config) {
+  return [
+    {
+      name: "oracle",
+      description: "Ask the Oracle a question",
+      options: [
+        {
+          type: 3,
+          name: "question",
+          description: "Your question",
+          required: true,
+          max_length: 300,
+        },
+      ],
+    },
+    {
+      name: "degrade",
+      description: "Send a passage through Greek → English → Greek cycles",
+      options: [
+        {
+          type: 3,
+          name: "passage",
+          description: "A catalog id or a citation, e.g. Iliad 1.1-5",
+          required: true,
+        },
+        {
+          type: 4,
+          name: "cycles",
+          description: "Number of cycles",
+          min_value: 1,
+          max_value: config.degrade.max_cycles,
+        },
+      ],
+    },
+    {
+      name: "passage",
+      description: "Show a passage of Homer",
+      options: [
+        {
+          type: 3,
+          name: "citation",
+          description: "e.g. Iliad 1.1-5 or Od. 1.1",
+          required: true,
+        },
+      ],
+    },
+  ];
+}
+
+// discord.config.json merged over the defaults; `filepath` defaults to the
+// DISCORD_CONFIG environment variable, then discord.config.json
+async function loadBotConfig(filepath) {
+  const configPath = filepath || process.env.DISCORD_CONFIG || DEFAULT_CONFIG;
+  let raw = {};
+  try {
+    raw = JSON.parse(await fs.readFile(configPath, "utf-8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw new Error(`Cannot read bot config ${configPath}: ${error.message}`);
+    }
+  }
+
+  const config = { ...DEFAULT_BOT_CONFIG, ...raw };
+  for (const section of ["rate_limit", "oracle", "degrade", "passage"]) {
+    config[section] = { ...DEFAULT_BOT_CONFIG[section], ...raw[section] };
+  }
+  const { per_channel, window_seconds } = config.rate_limit;
+  if (!(per_channel >= 1) || !(window_seconds > 0)) {
+    throw new Error("rate_limit needs per_channel >= 1 and window_seconds > 0");
+  }
+  const { default_cycles, max_cycles } = config.degrade;
+  if (!(max_cycles >= 1 && max_cycles <= appConfig.cycles.max)) {
+    throw new Error(
+      `degrade.max_cycles must be between 1 and ${appConfig.cycles.max}`
+    );
+  }
+  if (!(default_cycles >= 1 && default_cycles <= max_cycles)) {
+    throw new Error("degrade.default_cycles must be between 1 and max_cycles");
+  }
+  return config;
+}
+
+// Sliding-window limit: at most `limit` uses per key in `windowMs`
+class RateLimiter {
+  constructor({ limit, windowMs, now = Date.now }) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.now = now;
+    this.uses = new Map();
+  }
+
+  // { allowed, retryAfterMs }; an allowed call counts as a use
+  take(key) {
+    const now = this.now();
+    const recent = (this.uses.get(key) || []).filter(
+      (time) => now - time < this.windowMs
+    );
+    if (recent.length >= this.limit) {
+      this.uses.set(key, recent);
+      return { allowed: false, retryAfterMs: recent[0] + this.windowMs - now };
+    }
+    recent.push(now);
+    this.uses.set(key, recent);
+    return { allowed: true, retryAfterMs: 0 };
+  }
+}
+
+function truncate(text, limit = MESSAGE_LIMIT) {
+  return text.length <= limit ? text : `${text.slice(0, limit - 1)}…`;
+}
+
+// A passage option: a catalog id ("iliad_book1") or a citation
+async function findPassage(catalog, ref, language) {
+  const passage = await catalog.get(ref);
+  if (passage) {
+    return { name: passage.id, title: passage.title || passage.id, passage };
+  }
+  const cited = await catalog.cite(ref, { language });
+  return { name: cited.citation, title: cited.citation, passage: cited };
+}
+
+// deps (for tests): { oracle, passageCatalog, runCycles, limiter }
+// runCycles(options) runs and saves a /degrade experiment; it receives
+// { text, passageName, cycles, onCycle, config } and returns the results
+function createHandlers(config, deps = {}) {
+  const predictor = deps.oracle || oracle;
+  const catalog = deps.passageCatalog || passageCatalog;
+  const runCycles = deps.runCycles || runDegradeCycles;
+  const limiter =
+    deps.limiter ||
+    new RateLimiter({
+      limit: config.rate_limit.per_channel,
+      windowMs: config.rate_limit.window_seconds * 1000,
+    });
+  // Channels with a /degrade in progress
+  const degrading = new Set();
+
+  const commands = {
+    async oracle(interaction) {
+      const question = (interaction.options.question || "").trim();
+      if (!question) {
+        return interaction.reply("Ask the Oracle a question.", {
+          ephemeral: true,
+        });
+      }
+      await interaction.defer();
+      const result = await predictor.predict(question, { ...config.oracle });
+      return interaction.reply(
+        truncate(`> ${question}\n**${result.text}**\n-# seed ${result.seed}`)
+      );
+    },
+
+    async degrade(interaction) {
+      const { passage: ref, cycles = config.degrade.default_cycles } =
+        interaction.options;
+      if (!(cycles >= 1 && cycles <= config.degrade.max_cycles)) {
+        return interaction.reply(
+          `Cycles must be between 1 and ${config.degrade.max_cycles}.`,
+          { ephemeral: true }
+        );
+      }
+      if (degrading.has(interaction.channelId)) {
+        return interaction.reply(
+          "A degradation is already running in this channel.",
+          { ephemeral: true }
+        );
+      }
+
+      degrading.add(interaction.channelId);
+      try {
+        await interaction.defer();
+        const { name, title, passage } = await findPassage(catalog, ref, "grc");
+        await interaction.reply(
+          truncate(
+            `**${title}** over ${cycles} cycle${cycles === 1 ? "" : "s"}\n${
+              passage.content
+            }`
+          )
+        );
+        const results = await runCycles({
+          text: passage.content,
+          passageName: name,
+          cycles,
+          config: config.degrade,
+          onCycle: (cycle) =>
+            interaction.followUp(
+              truncate(
+                `**Cycle ${
+                  cycle.cycle
+                }** · similarity ${cycle.similarity.toFixed(3)}\n${
+                  cycle.english
+                }\n${cycle.greek}`
+              )
+            ),
+        });
+        const { analysis } = results;
+        return interaction.followUp(
+          `Final similarity ${analysis.final_similarity.toFixed(3)} (${
+            results.metadata.metric
+          }), degradation ${analysis.degradation_level}${
+            results.run_id ? ` · run ${results.run_id}` : ""
+          }`
+        );
+      } finally {
+        degrading.delete(interaction.channelId);
+      }
+    },
+
+    async passage(interaction) {
+      const ref = (interaction.options.citation || "").trim();
+      const { title, passage } = await findPassage(
+        catalog,
+        ref,
+        config.passage.language
+      );
+      return interaction.reply(truncate(`**${title}**\n${passage.content}`));
+    },
+  };
+
+  async function handle(interaction) {
+    const command = commands[interaction.command];
+    if (!command) {
+      return interaction.reply(`Unknown command /${interaction.command}`, {
+        ephemeral: true,
+      });
+    }
+    const allowed = config.allowed_channels;
+    if (allowed.length > 0 && !allowed.includes(interaction.channelId)) {
+      return interaction.reply("The Oracle does not answer in this channel.", {
+        ephemeral: true,
+      });
+    }
+    const limit = limiter.take(interaction.channelId);
+    if (!limit.allowed) {
+      return interaction.reply(
+        `Too many requests in this channel; try again in ${Math.ceil(
+          limit.retryAfterMs / 1000
+        )}s.`,
+        { ephemeral: true }
+      );
+    }
+
+    try {
+      return await command(interaction);
+    } catch (error) {
+      if (error instanceof PassageError) {
+        return interaction.reply(error.message, { ephemeral: true });
+      }
+      console.error(`Bot /${interaction.command} error:`, error);
+      return interaction.reply(`Something went wrong: ${error.message}`, {
+        ephemeral: true,
+      });
+    }
+  }
+
+  return { handle, commands };
+}
+
+// The default runCycles: a cycle experiment saved to the run store as kind
+// "discord"
+async function runDegradeCycles({
+  text,
+  passageName,
+  cycles,
+  onCycle,
+  config,
+}) {
+  const personas = {};
+  for (const direction of ["to_english", "to_greek"]) {
+    const ref = config.personas && config.personas[direction];
+    personas[direction] = ref ? await personaLibrary.resolve(ref) : null;
+    if (ref && !personas[direction]) {
+      throw new Error(`Unknown persona ${JSON.stringify(ref)} in bot config`);
+    }
+  }
+  const built = await buildChain(undefined, {
+    model: config.model,
+    provider: config.provider || undefined,
+    personas,
+    maxRetries: config.max_retries,
+  });
+  if (built.error) throw new Error(built.error);
+
+  // Cycle messages are posted in order, without holding up the next cycle
+  let posted = Promise.resolve();
+  const results = await runCycleExperiment({
+    text,
+    cycles,
+    chain: built.chain,
+    analyzer: new DegradationAnalyzer({ metric: config.metric }),
+    maxRetries: config.max_retries,
+    personas,
+    passageName,
+    onEvent: (name, data) => {
+      if (name !== "cycle") return;
+      posted = posted
+        .then(() => onCycle(data))
+        .catch((error) => console.error("Bot cycle message error:", error));
+    },
+  });
+  await posted;
+
+  const entry = await runStore.save(results, { kind: "discord" });
+  results.run_id = entry.id;
+  return results;
+}
+
+export {
+  DEFAULT_BOT_CONFIG,
+  RateLimiter,
+  buildCommands,
+  createHandlers,
+  loadBotConfig,
+  runDegradeCycles,
+};
@@ -0,0 +1,157 @@
+import { TranslationEngine } from "./translator.js";
+import { personaLibrary } from "./personas.js";
+import { isKnownProvider, listProviders } from "./providers.js";
+import { config } from "./config.js";
+
+// Multi-model "telephone" chains. A chain is a list of hop specs
+//   [{ model, persona, temperature, provider }, ...]
+// applied in rotation: hop n of a run (cycle 1 → English is hop 0, cycle 1 →
+// Greek is hop 1, cycle 2 → English is hop 2, ...) uses spec n % length.
+// So [{ model: "llama3.2" }, { model: "mistral" }] translates to English with
+// llama3.2 and back to Greek with mistral every cycle. Fields a spec leaves
+// out fall back to the request's model, provider, temperature and personas.
+
+const MAX_CHAIN_LENGTH = 20;
+const DEFAULT_TEMPERATURE = config.translation.temperature;
+
+class TranslationChain {
+  // hops: [{ model, provider, temperature, persona }] with personas resolved;
+  // defaultPersonas: { to_english, to_greek } used by hops without a persona
+  constructor(hops, { defaultPersonas = {}, maxRetries } = {}) {
+    this.hops = hops;
+    this.defaultPersonas = defaultPersonas;
+    this.maxRetries = maxRetries;
+    this.engines = new Map();
+  }
+
+  engineFor(hop) {
+    const key = `${hop.provider || ""}\u0000${hop.model}\u0000${
+      hop.temperature
+    }`;
+    if (!this.engines.has(key)) {
+      this.engines.set(
+        key,
+        new TranslationEngine(hop.model, hop.temperature, hop.provider, {
+          maxRetries: this.maxRetries,
+        })
+      );
+    }
+    return this.engines.get(key);
+  }
+
+  // The hop to run for one direction of one cycle (cycles count from 1):
+  // { index, model, provider, temperature, persona, engine }
+  hopFor(cycle, direction) {
+    const index = (cycle - 1) * 2 + (direction === "to_greek" ? 1 : 0);
+    const hop = this.hops[index % this.hops.length];
+    const engine = this.engineFor(hop);
+    return {
+      index,
+      model: hop.model,
+      provider: engine.provider.name,
+      temperature: hop.temperature,
+      persona: hop.persona || this.defaultPersonas[direction] || null,
+      engine,
+    };
+  }
+
+  get models() {
+    return [...new Set(this.hops.map((hop) => hop.model))];
+  }
+
+  // JSON-friendly description for result metadata
+  describe() {
+    return this.hops.map((hop) => ({
+      model: hop.model,
+      provider: this.engineFor(hop).provider.name,
+      temperature: hop.temperature,
+      persona: hop.persona
+        ? { id: hop.persona.id, version: hop.persona.version }
+        : null,
+    }));
+  }
+}
+
+// Validate a chain spec from a request and resolve its personas.
+// defaults: { model, provider, temperature, personas, maxRetries }.
+// Without a spec, builds the single-model chain the request describes.
+// Returns { chain } or { error }.
+async function buildChain(spec, defaults = {}) {
+  const {
+    model = config.translation.model,
+    provider,
+    temperature = DEFAULT_TEMPERATURE,
+    personas = {},
+    maxRetries,
+  } = defaults;
+  const options = { defaultPersonas: personas, maxRetries };
+
+  if (spec === undefined || spec === null) {
+    return {
+      chain: new TranslationChain([{ model, provider, temperature }], options),
+    };
+  }
+
+  if (!Array.isArray(spec) || spec.length === 0) {
+    return { error: "chain must be a non-empty array of hops" };
+  }
+  if (spec.length > MAX_CHAIN_LENGTH) {
+    return { error: `chain can have at most ${MAX_CHAIN_LENGTH} hops` };
+  }
+
+  const hops = [];
+  for (let i = 0; i < spec.length; i++) {
+    const hopSpec = spec[i];
+    const label = `chain[${i}]`;
+    if (!hopSpec || typeof hopSpec !== "object" || Array.isArray(hopSpec)) {
+      return { error: `${label} must be an object` };
+    }
+
+    const hopModel = hopSpec.model || model;
+    if (typeof hopModel !== "string") {
+      return { error: `${label}.model must be a string` };
+    }
+
+    const hopProvider = hopSpec.provider || provider;
+    if (hopProvider && !isKnownProvider(hopProvider)) {
+      return {
+        error: `${label}.provider "${hopProvider}" is unknown. Available: ${listProviders().join(
+          ", "
+        )}`,
+      };
+    }
+
+    const hopTemperature =
+      hopSpec.temperature === undefined
+        ? temperature
+        : Number(hopSpec.temperature);
+    if (
+      !Number.isFinite(hopTemperature) ||
+      hopTemperature < 0 ||
+      hopTemperature > 2
+    ) {
+      return { error: `${label}.temperature must be between 0 and 2` };
+    }
+
+    let persona = null;
+    if (hopSpec.persona) {
+      persona = await personaLibrary.resolve(hopSpec.persona);
+      if (!persona) {
+        return {
+          error: `${label}: Unknown persona ${JSON.stringify(hopSpec.persona)}`,
+        };
+      }
+    }
+
+    hops.push({
+      model: hopModel,
+      provider: hopProvider,
+      temperature: hopTemperature,
+      persona,
+    });
+  }
+
+  return { chain: new TranslationChain(hops, options) };
+}
+
+export { TranslationChain, buildChain, MAX_CHAIN_LENGTH };
@@ -0,0 +1,141 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// Settings shared by the server, the oracle, batches and the bot: which LLM
+// backend to use, the default models and temperatures, the cycle limit and
+// what to do with the models at startup. muse.config.json (or the file named
+// by MUSE_CONFIG) is merged over the defaults, then these environment
+// variables override both:
+//   LLM_PROVIDER          provider
+//   OLLAMA_HOST           ollama.host
+//   OLLAMA_KEEP_ALIVE     ollama.keep_alive ("30m", or seconds: "-1" keeps
+//                         models loaded)
+//   OPENAI_BASE_URL       openai.base_url
+//   LLM_MODEL             translation.model
+//   LLM_TEMPERATURE       translation.temperature
+//   ORACLE_MODEL          oracle.model
+//   ORACLE_TEMPERATURE    oracle.temperature
+//   MAX_CYCLES            cycles.max
+//   LLM_WARM_UP           startup.warm_up ("false" to skip)
+// OPENAI_API_KEY is only read from the environment. The file is read once,
+// when the module loads, so every module sees the same values.
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const DEFAULT_CONFIG = path.join(__dirname, "..", "muse.config.json");
+
+const DEFAULT_APP_CONFIG = {
+  provider: "ollama",
+  // keep_alive: how long Ollama keeps a model loaded after a request
+  // (null: the Ollama server's default, five minutes)
+  ollama: { host: "http://127.0.0.1:11434", keep_alive: null },
+  openai: { base_url: "http://127.0.0.1:8080/v1" },
+  translation: { model: "llama3.2:3b", temperature: 0.3 },
+  oracle: { model: "llama3.2:3b", temperature: 0.7 },
+  cycles: { default: 3, max: 10 },
+  // check_models: warn at startup about configured models the provider does
+  // not have; warm_up: load them into memory before the first request
+  startup: { check_models: true, warm_up: true },
+};
+
+const SECTIONS = [
+  "ollama",
+  "openai",
+  "translation",
+  "oracle",
+  "cycles",
+  "startup",
+];
+
+const parseBoolean = (value) => !/^(0|false|no|off)$/i.test(value.trim());
+
+// Ollama reads keep_alive as a duration string ("30m") or a number of seconds
+// (negative: keep the model loaded) and rejects a number sent as a string,
+// so "-1" becomes -1
+const parseKeepAlive = (value) =>
+  typeof value === "string" && /^-?\d+$/.test(value.trim())
+    ? Number(value)
+    : value;
+
+// [variable, section (null for top-level keys), key, parse]
+const ENV_OVERRIDES = [
+  ["LLM_PROVIDER", null, "provider", String],
+  ["OLLAMA_HOST", "ollama", "host", String],
+  ["OLLAMA_KEEP_ALIVE", "ollama", "keep_alive", parseKeepAlive],
+  ["OPENAI_BASE_URL", "openai", "base_url", String],
+  ["LLM_MODEL", "translation", "model", String],
+  ["LLM_TEMPERATURE", "translation", "temperature", Number],
+  ["ORACLE_MODEL", "oracle", "model", String],
+  ["ORACLE_TEMPERATURE", "oracle", "temperature", Number],
+  ["MAX_CYCLES", "cycles", "max", Number],
+  ["LLM_WARM_UP", "startup", "warm_up", parseBoolean],
+];
+
+function validateConfig(config) {
+  if (typeof config.provider !== "string" || !config.provider.trim()) {
+    throw new Error("provider must name an LLM provider");
+  }
+  for (const section of ["translation", "oracle"]) {
+    const { model, temperature } = config[section];
+    if (typeof model !== "string" || !model.trim()) {
+      throw new Error(`${section}.model must name a model`);
+    }
+    if (
+      !(Number.isFinite(temperature) && temperature >= 0 && temperature <= 2)
+    ) {
+      throw new Error(`${section}.temperature must be between 0 and 2`);
+    }
+  }
+  const { default: defaultCycles, max } = config.cycles;
+  if (!(Number.isInteger(max) && max >= 1)) {
+    throw new Error("cycles.max must be a positive integer");
+  }
+  if (
+    !(Number.isInteger(defaultCycles) && defaultCycles >= 1) ||
+    defaultCycles > max
+  ) {
+    throw new Error("cycles.default must be between 1 and cycles.max");
+  }
+}
+
+// muse.config.json merged over the defaults, with environment overrides;
+// `filepath` defaults to the MUSE_CONFIG environment variable, then
+// muse.config.json. `env` is process.env unless given.
+async function loadConfig(filepath, env = process.env) {
+  const configPath = filepath || env.MUSE_CONFIG || DEFAULT_CONFIG;
+  let raw = {};
+  try {
+    raw = JSON.parse(await fs.readFile(configPath, "utf-8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw new Error(`Cannot read config ${configPath}: ${error.message}`);
+    }
+  }
+
+  const config = { ...DEFAULT_APP_CONFIG, ...raw };
+  for (const section of SECTIONS) {
+    config[section] = { ...DEFAULT_APP_CONFIG[section], ...raw[section] };
+  }
+  config.ollama.keep_alive = parseKeepAlive(config.ollama.keep_alive);
+  for (const [variable, section, key, parse] of ENV_OVERRIDES) {
+    const value = env[variable];
+    if (value === undefined || value === "") continue;
+    if (section) {
+      config[section][key] = parse(value);
+    } else {
+      config[key] = parse(value);
+    }
+  }
+
+  try {
+    validateConfig(config);
+  } catch (error) {
+    throw new Error(`Invalid config ${configPath}: ${error.message}`);
+  }
+  return config;
+}
+
+const config = await loadConfig();
+
+export { config, loadConfig };
@@ -0,0 +1,190 @@
+import { throwIfAborted } from "./providers.js";
+import { renderPersona, hopVariables, personaMetadata } from "./personas.js";
+import { alignTokens } from "./alignment.js";
+
+// Runs the Greek → English → Greek "telephone" loop shared by /api/translate
+// and its streaming variant.
+//
+// onEvent(name, data) is called as the run progresses:
+//   cycle-start { cycle }
+//   token       { cycle, direction, token }   (only when onEvent is given)
+//   retry       { cycle, direction, attempt, flags }
+//   hop         { cycle, direction, model, provider, temperature, persona,
+//                 text, duration_ms, quality }
+//   cycle       { cycle, english, greek, similarity, metrics, alignment,
+//                 quality, model_failure, hops }
+// `similarity` is the analyzer's selected metric against the original;
+// `metrics` holds every metric against the original and the previous cycle,
+// and the `metricality` of the cycle's Greek as hexameter (see scansion.js).
+// `alignment` maps the original's words to the cycle's Greek (see
+// alignment.js).
+// `quality` holds the script checks for each hop (see script-validator.js);
+// `model_failure` is true when either hop still failed them after retries.
+// `chain` (a TranslationChain, see chain.js) decides the model, provider,
+// temperature and persona of every hop; persona templates are rendered per
+// hop with the cycle number and `passageName`, and hops without a persona use
+// the engine's plain translation prompts. `hops` records what each hop used,
+// what it produced and how long it took.
+// Aborting `signal` stops the run between tokens.
+async function runTranslationCycles({
+  text,
+  cycles,
+  chain,
+  analyzer,
+  signal,
+  onEvent,
+  passageName = "custom",
+}) {
+  const emit = onEvent || (() => {});
+  const results = [];
+  let currentText = text;
+
+  const hopOptions = (cycle, direction) => {
+    const options = {
+      signal,
+      onRetry: ({ attempt, flags }) =>
+        emit("retry", { cycle, direction, attempt, flags }),
+    };
+    if (onEvent) {
+      options.onToken = (token) => emit("token", { cycle, direction, token });
+    }
+    return options;
+  };
+
+  const runHop = async (cycle, direction, input) => {
+    const hop = chain.hopFor(cycle, direction);
+    const prompt = hop.persona
+      ? renderPersona(
+          hop.persona,
+          hopVariables(direction, { passageName, cycle })
+        )
+      : null;
+
+    const started = Date.now();
+    const output = await hop.engine.translateValidated(
+      input,
+      direction,
+      prompt,
+      hopOptions(cycle, direction)
+    );
+    const record = {
+      direction,
+      model: hop.model,
+      provider: hop.provider,
+      temperature: hop.temperature,
+      persona: hop.persona
+        ? { id: hop.persona.id, version: hop.persona.version }
+        : null,
+      text: output.text,
+      duration_ms: Date.now() - started,
+    };
+    emit("hop", { cycle, ...record, quality: output.quality });
+    return { record, quality: output.quality };
+  };
+
+  for (let cycle = 1; cycle <= cycles; cycle++) {
+    throwIfAborted(signal);
+    emit("cycle-start", { cycle });
+
+    // Greek to English, then back to Greek
+    const english = await runHop(cycle, "to_english", currentText);
+    const greek = await runHop(cycle, "to_greek", english.record.text);
+
+    // Calculate similarity against the original and the previous cycle
+    const metrics = analyzer.compareCycle(text, currentText, greek.record.text);
+
+    const cycleResult = {
+      cycle,
+      english: english.record.text,
+      greek: greek.record.text,
+      similarity: metrics.vs_original[analyzer.metric],
+      metrics,
+      alignment: alignTokens(text, greek.record.text),
+      quality: { english: english.quality, greek: greek.quality },
+      model_failure: !(english.quality.ok && greek.quality.ok),
+      hops: [english.record, greek.record],
+    };
+
+    results.push(cycleResult);
+    emit("cycle", cycleResult);
+    currentText = greek.record.text;
+  }
+
+  const analysis = analyzer.analyzeDegradation(text, currentText, results);
+  analysis.quality = summarizeQuality(results);
+
+  return { cycles: results, analysis };
+}
+
+// Run the cycles and wrap them in the stored-run shape
+// ({ original, cycles, analysis, metadata }) used by /api/translate and the
+// batch runner. `personas` are the request-level defaults, recorded as-is;
+// `metadata` is merged into the run's metadata.
+// A chain that uses one model (or provider) throughout records it as `model`
+// (`provider`); mixed chains record "chain" there. `models` lists them all.
+async function runCycleExperiment({
+  text,
+  cycles,
+  chain,
+  analyzer,
+  maxRetries,
+  personas = {},
+  passageName = "custom",
+  signal,
+  onEvent,
+  metadata = {},
+}) {
+  const models = chain.models;
+  const hops = chain.describe();
+  const providers = [...new Set(hops.map((hop) => hop.provider))];
+
+  const results = {
+    original: text,
+    cycles: [],
+    metadata: {
+      passage_name: passageName,
+      model: models.length === 1 ? models[0] : "chain",
+      models,
+      provider: providers.length === 1 ? providers[0] : "chain",
+      total_cycles: cycles,
+      metric: analyzer.metric,
+      fold_diacritics: analyzer.foldDiacritics,
+      metrics: analyzer.metrics,
+      max_retries: maxRetries,
+      personas: personaMetadata(personas),
+      chain: hops,
+      ...metadata,
+      timestamp: new Date().toISOString(),
+    },
+  };
+
+  const run = await runTranslationCycles({
+    text,
+    cycles,
+    chain,
+    analyzer,
+    signal,
+    onEvent,
+    passageName,
+  });
+  results.cycles = run.cycles;
+  results.analysis = run.analysis;
+  return results;
+}
+
+// Totals that let an experiment separate model failures from drift
+function summarizeQuality(cycles) {
+  const hops = cycles.flatMap((cycle) => [
+    cycle.quality.english,
+    cycle.quality.greek,
+  ]);
+  return {
+    failed_cycles: cycles
+      .filter((cycle) => cycle.model_failure)
+      .map((cycle) => cycle.cycle),
+    flagged_hops: hops.filter((quality) => !quality.ok).length,
+    retries: hops.reduce((sum, quality) => sum + quality.attempts - 1, 0),
+  };
+}
+
+export { runTranslationCycles, runCycleExperiment, summarizeQuality };
@@ -0,0 +1,402 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// Word-frequency dictionaries for the oracle. A dictionary is built from one
+// or more corpora, keeping words whose merged count falls inside a
+// [minCount, maxCount] band and dropping stopwords. Dictionaries are stored
+// as dictionaries/<name>.txt: "# Key: value" header lines describing how it
+// was built, then one "word\tcount" line per word, most frequent first.
+//
+// Elision and apostrophes:
+//   English: poetic elisions are expanded ("hurl’d" → "hurled",
+//     "o’er" → "over", "heav’n" → "heaven"), possessive ’s is dropped.
+//   Greek: elided particles and prepositions are restored
+//     ("δ᾽" → "δέ", "ἐπ᾽" → "ἐπί"); other elided words keep a ᾽ mark.
+// With elision "keep", elided words are kept as written (marks normalized to
+// ’ or ᾽); with "drop" they are left out.
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const DEFAULT_DIR = path.join(__dirname, "..", "dictionaries");
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const LANGUAGES = ["en", "grc"];
+const ELISION_MODES = ["expand", "keep", "drop"];
+
+// Apostrophe-like characters: ' ’ ʼ ᾽ ᾿ `
+const APOSTROPHES = "'’ʼ᾽᾿`";
+const GREEK_ELISION = "᾽";
+const ENGLISH_WORD = new RegExp(`[\\p{L}${APOSTROPHES}]+`, "gu");
+const GREEK_WORD = new RegExp(`[\\p{L}\\p{M}]+[${APOSTROPHES}]?`, "gu");
+const APOSTROPHE = new RegExp(`[${APOSTROPHES}]`, "gu");
+
+const ENGLISH_ELISIONS = {
+  "o’er": "over",
+  "e’er": "ever",
+  "e’en": "even",
+  "ne’er": "never",
+  "ta’en": "taken",
+  "th’": "the",
+  "’tis": "it is",
+  "’twas": "it was",
+  "’gainst": "against",
+  "’mid": "amid",
+  "’midst": "amidst",
+  "’twixt": "betwixt",
+};
+
+// Elided Greek stems (without the mark) and their full forms
+const GREEK_ELISIONS = {
+  δ: "δέ",
+  τ: "τε",
+  θ: "τε",
+  γ: "γε",
+  μ: "με",
+  σ: "σε",
+  ἀλλ: "ἀλλά",
+  ἀπ: "ἀπό",
+  ἀφ: "ἀπό",
+  ἐπ: "ἐπί",
+  ἐφ: "ἐπί",
+  κατ: "κατά",
+  καθ: "κατά",
+  μετ: "μετά",
+  μεθ: "μετά",
+  παρ: "παρά",
+  ὑπ: "ὑπό",
+  ὑφ: "ὑπό",
+  ἀντ: "ἀντί",
+  ἀνθ: "ἀντί",
+  ἀμφ: "ἀμφί",
+  δι: "διά",
+  οὐδ: "οὐδέ",
+  μηδ: "μηδέ",
+  ἔπειτ: "ἔπειτα",
+};
+
+const STOPWORDS = {
+  en: `a an and are as at be but by for from had has have he her hers him his
+    i in is it its me my nor not o of on or our she so that the thee their them
+    then there these they thine this those thou thus thy to us was we were what
+    when where which while who whom whose with ye you your`.split(/\s+/),
+  grc: `ὁ ἡ τό τοῦ τῆς τῷ τῇ τόν τήν οἱ αἱ τά τῶν τοῖς ταῖς τούς τάς καί δέ τε
+    γε μέν γάρ ἀλλά οὐ οὐκ οὐχ μή ἄρα ἄρ ῥα περ ἐν ἐς εἰς ἐκ ἐξ ἐπί ἀπό κατά
+    μετά παρά ὑπό πρός ὡς ὅς ἥ ὅ ἠδέ ἤ ἰδέ οὐδέ μηδέ κε κεν ἄν νυ νύ δή αὐτάρ
+    ἀτάρ`.split(/\s+/),
+};
+
+// Error carrying the HTTP status the API should answer with
+class DictionaryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "DictionaryError";
+    this.status = status;
+  }
+}
+
+function isValidDictionaryName(name) {
+  return typeof name === "string" && NAME_PATTERN.test(name);
+}
+
+// The language most of the letters in `text` belong to
+function detectLanguage(text) {
+  const greek = (text.match(/\p{Script=Greek}/gu) || []).length;
+  const latin = (text.match(/\p{Script=Latin}/gu) || []).length;
+  return greek > latin ? "grc" : "en";
+}
+
+function englishWord(raw, elision) {
+  // Possessive ’s is not an elision: "Pluto’s" → "pluto"
+  let word = raw.replace(APOSTROPHE, "’").replace(/’s$/, "");
+  if (ENGLISH_ELISIONS[word]) {
+    if (elision === "drop") return [];
+    return elision === "keep" ? [word] : ENGLISH_ELISIONS[word].split(" ");
+  }
+  // Other leading or trailing marks are quotes or plural possessives
+  word = word.replace(/^’+|’+$/g, "");
+  if (!word) return [];
+  if (!word.includes("’")) return [word];
+
+  if (elision === "drop") return [];
+  if (elision === "keep") return [word];
+  if (word.startsWith("o’er")) {
+    return englishWord(`over${word.slice(4)}`, elision);
+  }
+  if (word.endsWith("e’er")) return [`${word.slice(0, -4)}ever`];
+  // Dropped e: "hurl’d", "heav’n", "pow’r", "ev’ry", "know’st"
+  return [word.replace(/’/g, "e")];
+}
+
+function greekWord(raw, elision) {
+  const word = raw.replace(APOSTROPHE, GREEK_ELISION);
+  if (!word.endsWith(GREEK_ELISION)) return [word];
+  if (elision === "drop") return [];
+  const stem = word.slice(0, -1);
+  if (elision === "expand" && GREEK_ELISIONS[stem]) {
+    return [GREEK_ELISIONS[stem]];
+  }
+  return [word];
+}
+
+// Split text into dictionary words: lowercase, NFC, elisions handled as
+// described above. Greek graves become acutes (the alternation is
+// positional), so "δὲ" and "δέ" count as one word.
+function tokenizeWords(text, { language = "en", elision = "expand" } = {}) {
+  const normalized = (text || "").toString().normalize("NFC").toLowerCase();
+  if (language === "grc") {
+    const acute = normalized
+      .normalize("NFD")
+      .replace(/\u0300/g, "\u0301")
+      .normalize("NFC");
+    return (acute.match(GREEK_WORD) || []).flatMap((raw) =>
+      greekWord(raw, elision)
+    );
+  }
+  return (normalized.match(ENGLISH_WORD) || []).flatMap((raw) =>
+    englishWord(raw, elision)
+  );
+}
+
+function countWords(text, options) {
+  const counts = new Map();
+  for (const word of tokenizeWords(text, options)) {
+    counts.set(word, (counts.get(word) || 0) + 1);
+  }
+  return counts;
+}
+
+// stopwords: "default" (the language's list), "none", or an array of words
+function resolveStopwords(stopwords, language) {
+  if (stopwords === "none" || stopwords === false) return new Set();
+  if (Array.isArray(stopwords)) {
+    return new Set(
+      stopwords.map((word) => word.normalize("NFC").toLowerCase())
+    );
+  }
+  return new Set(STOPWORDS[language] || []);
+}
+
+// Build a dictionary from corpora ([{ name, text }]); counts are summed
+// across corpora. options: { language, minCount, maxCount, stopwords,
+// elision, minLength }. `language` defaults to the script of the corpora.
+function buildDictionary(corpora, options = {}) {
+  if (!Array.isArray(corpora) || corpora.length === 0) {
+    throw new DictionaryError("At least one corpus is required");
+  }
+  const language =
+    options.language ||
+    detectLanguage(corpora.map((corpus) => corpus.text).join("\n"));
+  if (!LANGUAGES.includes(language)) {
+    throw new DictionaryError(
+      `language must be one of: ${LANGUAGES.join(", ")}`
+    );
+  }
+  const elision = options.elision || "expand";
+  if (!ELISION_MODES.includes(elision)) {
+    throw new DictionaryError(
+      `elision must be one of: ${ELISION_MODES.join(", ")}`
+    );
+  }
+  const minCount = options.minCount === undefined ? 1 : options.minCount;
+  const maxCount =
+    options.maxCount === undefined || options.maxCount === null
+      ? Infinity
+      : options.maxCount;
+  if (!(minCount >= 1) || !(maxCount >= minCount)) {
+    throw new DictionaryError("Need 1 <= minCount <= maxCount");
+  }
+  const minLength = options.minLength || 1;
+  const stopwords = resolveStopwords(options.stopwords || "default", language);
+
+  const merged = new Map();
+  let totalWords = 0;
+  for (const corpus of corpora) {
+    for (const [word, count] of countWords(corpus.text, {
+      language,
+      elision,
+    })) {
+      merged.set(word, (merged.get(word) || 0) + count);
+      totalWords += count;
+    }
+  }
+
+  const entries = [...merged]
+    .filter(
+      ([word, count]) =>
+        count >= minCount &&
+        count <= maxCount &&
+        [...word].length >= minLength &&
+        !stopwords.has(word)
+    )
+    .map(([word, count]) => ({ word, count }))
+    .sort((a, b) => b.count - a.count || a.word.localeCompare(b.word));
+
+  return {
+    language,
+    sources: corpora.map((corpus) => corpus.name),
+    min_count: minCount,
+    max_count: maxCount === Infinity ? null : maxCount,
+    stopwords:
+      options.stopwords === "none"
+        ? "none"
+        : Array.isArray(options.stopwords)
+        ? `custom (${stopwords.size} words)`
+        : `${language} (${stopwords.size} words)`,
+    elision,
+    min_length: minLength,
+    total_words: totalWords,
+    unique_words: merged.size,
+    entries,
+  };
+}
+
+function formatDictionary(name, dictionary) {
+  const band =
+    dictionary.max_count === null
+      ? `>= ${dictionary.min_count}`
+      : `>= ${dictionary.min_count} and <= ${dictionary.max_count}`;
+  const header = [
+    `# Dictionary: ${name}`,
+    `# Language: ${dictionary.language}`,
+    `# Sources: ${dictionary.sources.join(", ")}`,
+    `# Counts: ${band}`,
+    `# Stopwords: ${dictionary.stopwords}`,
+    `# Elision: ${dictionary.elision}`,
+    `# Min length: ${dictionary.min_length}`,
+    `# Entries: ${dictionary.entries.length} of ${dictionary.unique_words} unique words`,
+    "# Format: word\tcount",
+  ];
+  const body = dictionary.entries.map(({ word, count }) => `${word}\t${count}`);
+  return `${header.join("\n")}\n\n${body.join("\n")}\n`;
+}
+
+// Parse a dictionary file: { words, counts, meta } where `meta` holds the
+// "# Key: value" header lines (keys lowercased, spaces → _)
+function parseDictionary(raw) {
+  const words = [];
+  const counts = [];
+  const meta = {};
+  for (const line of raw.split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    if (line.trim().startsWith("#")) {
+      const match = /^#\s*([A-Za-z ]+):\s*(.*)$/.exec(line.trim());
+      if (match) {
+        meta[match[1].trim().toLowerCase().replace(/\s+/g, "_")] =
+          match[2].trim();
+      }
+      continue;
+    }
+    const parts = line.split(/\t+/);
+    if (parts.length >= 2) {
+      const word = parts[0].trim();
+      const count = parseInt(parts[1].trim(), 10) || 1;
+      if (word) {
+        words.push(word);
+        counts.push(count);
+      }
+    }
+  }
+  return { words, counts, meta };
+}
+
+// Named dictionaries in dictionaries/*.txt, parsed lazily and cached until
+// the file changes
+class DictionaryLibrary {
+  constructor(dir = DEFAULT_DIR) {
+    this.dir = dir;
+    this.cache = new Map();
+  }
+
+  filePath(name) {
+    return path.join(this.dir, `${name}.txt`);
+  }
+
+  async list() {
+    let files = [];
+    try {
+      files = await fs.readdir(this.dir);
+    } catch {
+      return [];
+    }
+    const dictionaries = [];
+    for (const filename of files.sort()) {
+      if (!filename.endsWith(".txt")) continue;
+      const name = filename.slice(0, -".txt".length);
+      const dictionary = await this.load(name);
+      if (!dictionary) continue;
+      dictionaries.push({
+        name,
+        language: dictionary.language,
+        words: dictionary.words.length,
+        ...dictionary.meta,
+      });
+    }
+    return dictionaries;
+  }
+
+  // { name, language, words, counts, allowedSet, meta }, or null if there is
+  // no such dictionary
+  async load(name) {
+    if (!isValidDictionaryName(name)) return null;
+    const filepath = this.filePath(name);
+    let stats;
+    try {
+      stats = await fs.stat(filepath);
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+    const cached = this.cache.get(name);
+    if (cached && cached.mtimeMs === stats.mtimeMs) return cached.dictionary;
+
+    const { words, counts, meta } = parseDictionary(
+      await fs.readFile(filepath, "utf-8")
+    );
+    const dictionary = {
+      name,
+      language: LANGUAGES.includes(meta.language)
+        ? meta.language
+        : detectLanguage(words.join(" ")),
+      words,
+      counts,
+      allowedSet: new Set(words),
+      meta,
+    };
+    this.cache.set(name, { mtimeMs: stats.mtimeMs, dictionary });
+    return dictionary;
+  }
+
+  async save(name, dictionary) {
+    if (!isValidDictionaryName(name)) {
+      throw new DictionaryError(
+        "name must be lowercase letters, digits, '-' or '_'"
+      );
+    }
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(
+      this.filePath(name),
+      formatDictionary(name, dictionary),
+      "utf-8"
+    );
+    this.cache.delete(name);
+    return this.filePath(name);
+  }
+}
+
+const dictionaryLibrary = new DictionaryLibrary();
+
+export {
+  DictionaryLibrary,
+  DictionaryError,
+  dictionaryLibrary,
+  buildDictionary,
+  formatDictionary,
+  parseDictionary,
+  tokenizeWords,
+  countWords,
+  detectLanguage,
+  isValidDictionaryName,
+  STOPWORDS,
+  ELISION_MODES,
+};
@@ -0,0 +1,624 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { TranslationEngine, DegradationAnalyzer } from "./translator.js";
+import { passageCatalog } from "./passages.js";
+import { personaLibrary, renderPersona, hopVariables } from "./personas.js";
+import { runStore } from "./run-store.js";
+import { alignTokens } from "./alignment.js";
+import { jobQueue } from "./jobs.js";
+import { throwIfAborted } from "./providers.js";
+import { config as appConfig } from "./config.js";
+
+// Unattended exhibition mode for the continuous display (index.ejs). The
+// server owns the playlist and the position in it; the page asks for one
+// cycle at a time (POST /api/exhibition/next) and shows whatever it gets:
+//   - passages play in playlist order (or shuffled), each for `max_cycles`
+//     cycles before the display resets to the next one
+//   - a failed translation is retried with exponential backoff, then the
+//     cycle is taken from a recorded run of the same passage
+//   - outside the opening hours in `schedule` no cycles are produced, and
+//     each opening day starts the playlist from the top
+// A cycle is { greek, english }: cycle 1 is the original and its English;
+// later cycles translate the previous English back into Greek and that Greek
+// into English again, as the page always has. Cycles are saved to the run
+// store as kind "exhibition", and the position survives restarts in
+// results/exhibition/state.json.
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const DEFAULT_CONFIG = path.join(__dirname, "..", "exhibition.config.json");
+const DEFAULT_STATE = path.join(
+  __dirname,
+  "..",
+  "results",
+  "exhibition",
+  "state.json"
+);
+
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const ROTATIONS = ["sequential", "shuffle"];
+
+const DEFAULT_EXHIBITION_CONFIG = {
+  enabled: false,
+  playlist: ["odyssey_book1"],
+  rotation: "sequential",
+  max_cycles: 12,
+  // null: always open
+  schedule: null,
+  translation: {
+    model: appConfig.translation.model,
+    provider: null,
+    max_retries: 2,
+    personas: { to_english: "poet", to_greek: "muse" },
+  },
+  retry: {
+    attempts: 3,
+    initial_delay_ms: 2000,
+    max_delay_ms: 30000,
+    factor: 2,
+  },
+  fallback: { recorded: true },
+};
+
+// Error carrying the HTTP status the API should answer with; `details` are
+// merged into the response body
+class ExhibitionError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = "ExhibitionError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function abortableDelay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    throwIfAborted(signal);
+    const timer = setTimeout(done, ms);
+    function done() {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      resolve();
+    }
+    function onAbort() {
+      clearTimeout(timer);
+      const error = new Error("Request aborted");
+      error.name = "AbortError";
+      reject(error);
+    }
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// "HH:MM" → minutes after midnight, or null
+function parseTime(value) {
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(value || ""));
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+// A playlist entry: a catalog id, a citation ("Iliad 1.1-3") or
+// { passage, max_cycles }
+function normalizeEntry(entry, maxCycles) {
+  const item =
+    typeof entry === "string" ? { passage: entry } : { ...(entry || {}) };
+  if (typeof item.passage !== "string" || !item.passage.trim()) {
+    throw new Error("Every playlist entry needs a passage");
+  }
+  item.passage = item.passage.trim();
+  item.max_cycles = item.max_cycles === undefined ? maxCycles : item.max_cycles;
+  if (!Number.isInteger(item.max_cycles) || item.max_cycles < 1) {
+    throw new Error(
+      `max_cycles for ${item.passage} must be a positive integer`
+    );
+  }
+  return item;
+}
+
+// exhibition.config.json merged over the defaults; `filepath` defaults to
+// the EXHIBITION_CONFIG environment variable, then exhibition.config.json
+async function loadExhibitionConfig(filepath) {
+  const configPath =
+    filepath || process.env.EXHIBITION_CONFIG || DEFAULT_CONFIG;
+  let raw = {};
+  try {
+    raw = JSON.parse(await fs.readFile(configPath, "utf-8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw new Error(
+        `Cannot read exhibition config ${configPath}: ${error.message}`
+      );
+    }
+  }
+
+  const config = { ...DEFAULT_EXHIBITION_CONFIG, ...raw };
+  for (const section of ["translation", "retry", "fallback"]) {
+    config[section] = {
+      ...DEFAULT_EXHIBITION_CONFIG[section],
+      ...raw[section],
+    };
+  }
+
+  if (!Number.isInteger(config.max_cycles) || config.max_cycles < 1) {
+    throw new Error("max_cycles must be a positive integer");
+  }
+  if (!Array.isArray(config.playlist) || config.playlist.length === 0) {
+    throw new Error("playlist must list at least one passage");
+  }
+  config.playlist = config.playlist.map((entry) =>
+    normalizeEntry(entry, config.max_cycles)
+  );
+  if (!ROTATIONS.includes(config.rotation)) {
+    throw new Error(`rotation must be one of ${ROTATIONS.join(", ")}`);
+  }
+
+  if (config.schedule) {
+    const { days = DAYS, open, close } = config.schedule;
+    const openAt = parseTime(open);
+    const closeAt = parseTime(close);
+    if (openAt === null || closeAt === null || closeAt <= openAt) {
+      throw new Error(
+        "schedule needs open and close times (HH:MM), close after open"
+      );
+    }
+    if (!Array.isArray(days) || days.some((day) => !DAYS.includes(day))) {
+      throw new Error(`schedule days must be among ${DAYS.join(", ")}`);
+    }
+    config.schedule = { days, open, close, openAt, closeAt };
+  }
+
+  const { attempts, initial_delay_ms, max_delay_ms, factor } = config.retry;
+  if (!Number.isInteger(attempts) || attempts < 1) {
+    throw new Error("retry.attempts must be a positive integer");
+  }
+  if (!(initial_delay_ms >= 0) || !(max_delay_ms >= 0) || !(factor >= 1)) {
+    throw new Error(
+      "retry needs initial_delay_ms >= 0, max_delay_ms >= 0 and factor >= 1"
+    );
+  }
+  return config;
+}
+
+// Wait before retry `attempt` (1 = the first retry)
+function backoffDelay(retry, attempt) {
+  return Math.min(
+    retry.max_delay_ms,
+    retry.initial_delay_ms * Math.pow(retry.factor, attempt - 1)
+  );
+}
+
+const localDay = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(
+    2,
+    "0"
+  )}-${String(date.getDate()).padStart(2, "0")}`;
+
+const atMinutes = (date, minutes) => {
+  const result = new Date(date);
+  result.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+  return result;
+};
+
+// { open, next_change } for a schedule at `now`: whether the exhibition is
+// open and when it next opens or closes (null if never)
+function scheduleState(schedule, now = new Date()) {
+  if (!schedule) return { open: true, next_change: null };
+  for (let offset = 0; offset <= 7; offset++) {
+    const day = new Date(now);
+    day.setDate(day.getDate() + offset);
+    if (!schedule.days.includes(DAYS[day.getDay()])) continue;
+    const opens = atMinutes(day, schedule.openAt);
+    const closes = atMinutes(day, schedule.closeAt);
+    if (now < opens) return { open: false, next_change: opens.toISOString() };
+    if (now < closes) return { open: true, next_change: closes.toISOString() };
+  }
+  return { open: false, next_change: null };
+}
+
+function shuffled(length, random = Math.random) {
+  const order = Array.from({ length }, (_, i) => i);
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return order;
+}
+
+function emptyState() {
+  return {
+    day: null,
+    order: [],
+    position: -1,
+    passage: null,
+    cycle: 0,
+    english: null,
+    run_id: null,
+    stats: { live: 0, recorded: 0, failed: 0 },
+    last_cycle: null,
+    last_error: null,
+    updated_at: null,
+  };
+}
+
+// deps (for tests): { catalog, runStore, translate, now }
+// translate(text, direction, { signal }) returns the translated text
+class Exhibition {
+  constructor({
+    configPath,
+    statePath = DEFAULT_STATE,
+    config = null,
+    deps = {},
+  } = {}) {
+    this.configPath = configPath;
+    this.statePath = statePath;
+    this.config = config;
+    this.catalog = deps.catalog || passageCatalog;
+    this.runs = deps.runStore || runStore;
+    this.translateText = deps.translate || null;
+    this.now = deps.now || (() => new Date());
+    this.state = emptyState();
+    this.ready = null;
+    this.pending = Promise.resolve();
+  }
+
+  init() {
+    if (!this.ready) {
+      this.ready = this.load();
+      this.ready.catch(() => {
+        this.ready = null;
+      });
+    }
+    return this.ready;
+  }
+
+  async load() {
+    if (!this.config) {
+      this.config = await loadExhibitionConfig(this.configPath);
+    }
+    try {
+      const saved = JSON.parse(await fs.readFile(this.statePath, "utf-8"));
+      this.state = { ...emptyState(), ...saved };
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.warn(
+          `Exhibition: ignoring state ${this.statePath}:`,
+          error.message
+        );
+      }
+    }
+  }
+
+  async saveState() {
+    await fs.mkdir(path.dirname(this.statePath), { recursive: true });
+    const tmpPath = `${this.statePath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(this.state, null, 2), "utf-8");
+    await fs.rename(tmpPath, this.statePath);
+  }
+
+  // Serialize cycles so the playlist position never interleaves
+  exclusive(fn) {
+    const run = this.pending.then(fn, fn);
+    this.pending = run.catch(() => {});
+    return run;
+  }
+
+  async status() {
+    await this.init();
+    const { config, state } = this;
+    const schedule = scheduleState(config.schedule, this.now());
+    return {
+      enabled: config.enabled,
+      ...schedule,
+      schedule: config.schedule
+        ? {
+            days: config.schedule.days,
+            open: config.schedule.open,
+            close: config.schedule.close,
+          }
+        : null,
+      rotation: config.rotation,
+      playlist: config.playlist,
+      position: state.position,
+      passage: state.passage
+        ? { name: state.passage.name, title: state.passage.title }
+        : null,
+      cycle: state.cycle,
+      max_cycles: state.passage ? state.passage.max_cycles : null,
+      run_id: state.run_id,
+      last_cycle: state.last_cycle,
+      stats: state.stats,
+      last_error: state.last_error,
+      updated_at: state.updated_at,
+    };
+  }
+
+  // The next cycle: { passage: { name, title, text }, cycle, max_cycles,
+  // greek, english, source: "live" | "recorded", reset, run_id }. `reset`
+  // marks the first cycle of a passage. Throws ExhibitionError 409 when the
+  // exhibition is disabled or closed, 503 when no cycle could be produced.
+  async next({ signal } = {}) {
+    await this.init();
+    if (!this.config.enabled) {
+      throw new ExhibitionError("Exhibition mode is disabled", 409);
+    }
+    return this.exclusive(async () => {
+      const now = this.now();
+      const schedule = scheduleState(this.config.schedule, now);
+      if (!schedule.open) {
+        throw new ExhibitionError("The exhibition is closed", 409, {
+          next_change: schedule.next_change,
+        });
+      }
+
+      const { state } = this;
+      const today = localDay(now);
+      if (state.day !== today) {
+        // Each opening day starts the playlist from the top
+        state.day = today;
+        state.position = -1;
+        state.passage = null;
+      }
+      const reset = !state.passage || state.cycle >= state.passage.max_cycles;
+      if (reset) await this.advance();
+
+      const cycle = state.cycle + 1;
+      let produced;
+      try {
+        produced = await this.liveCycle(cycle, signal);
+      } catch (error) {
+        if (error.name === "AbortError") throw error;
+        state.stats.failed++;
+        state.last_error = { message: error.message, at: now.toISOString() };
+        produced = this.config.fallback.recorded
+          ? await this.recordedCycle(cycle)
+          : null;
+        if (!produced) {
+          // Nothing recorded this deep into the passage: move on to the next
+          // playlist entry on the following call rather than stalling here
+          if (cycle > 1) state.cycle = state.passage.max_cycles;
+          await this.saveState();
+          throw new ExhibitionError(
+            `No cycle for ${state.passage.name}: ${error.message}`,
+            503,
+            { retry_after_ms: this.config.retry.max_delay_ms }
+          );
+        }
+      }
+
+      state.cycle = cycle;
+      state.english = produced.english;
+      state.stats[produced.source]++;
+      state.last_cycle = {
+        cycle,
+        source: produced.source,
+        at: new Date().toISOString(),
+      };
+      state.updated_at = state.last_cycle.at;
+      await this.record(cycle, produced);
+      await this.saveState();
+
+      return {
+        passage: {
+          name: state.passage.name,
+          title: state.passage.title,
+          text: state.passage.text,
+        },
+        cycle,
+        max_cycles: state.passage.max_cycles,
+        greek: produced.greek,
+        english: produced.english,
+        source: produced.source,
+        reset,
+        run_id: state.run_id,
+      };
+    });
+  }
+
+  // Move to the next playlist entry and open a run for it
+  async advance() {
+    const { config, state } = this;
+    for (let tries = 0; tries < config.playlist.length; tries++) {
+      state.position++;
+      if (
+        state.position >= config.playlist.length ||
+        state.order.length !== config.playlist.length
+      ) {
+        state.position = 0;
+        state.order =
+          config.rotation === "shuffle"
+            ? shuffled(config.playlist.length)
+            : config.playlist.map((_, i) => i);
+      }
+      const entry = config.playlist[state.order[state.position]];
+      const passage = await this.resolvePassage(entry.passage).catch(
+        (error) => {
+          console.error(
+            `Exhibition: skipping ${entry.passage}:`,
+            error.message
+          );
+          return null;
+        }
+      );
+      if (!passage) continue;
+
+      state.passage = { ...passage, max_cycles: entry.max_cycles };
+      state.cycle = 0;
+      state.english = null;
+      const run = await this.runs.save(
+        {
+          original: passage.text,
+          cycles: [],
+          metadata: {
+            passage_name: passage.name,
+            model: config.translation.model,
+            total_cycles: 0,
+            exhibition: { position: state.position, ref: entry.passage },
+            timestamp: new Date().toISOString(),
+          },
+        },
+        { kind: "exhibition" }
+      );
+      state.run_id = run.id;
+      return;
+    }
+    throw new ExhibitionError("No playlist passage could be loaded", 503, {
+      retry_after_ms: config.retry.max_delay_ms,
+    });
+  }
+
+  // A catalog id or a citation → { name, title, text }
+  async resolvePassage(ref) {
+    const passage = await this.catalog.get(ref);
+    if (passage) {
+      return {
+        name: passage.id,
+        title: passage.title || passage.id,
+        text: passage.content.trim(),
+      };
+    }
+    const cited = await this.catalog.cite(ref, { language: "grc" });
+    return { name: cited.citation, title: cited.citation, text: cited.content };
+  }
+
+  async translate(text, direction, signal) {
+    if (this.translateText) {
+      return this.translateText(text, direction, { signal });
+    }
+    const { model, provider, max_retries, personas } = this.config.translation;
+    const ref = personas && personas[direction];
+    const persona = ref ? await personaLibrary.resolve(ref) : null;
+    if (ref && !persona) {
+      throw new Error(`Unknown persona ${JSON.stringify(ref)}`);
+    }
+    const engine = new TranslationEngine(model, undefined, provider, {
+      maxRetries: max_retries,
+    });
+    const prompt = persona
+      ? renderPersona(
+          persona,
+          hopVariables(direction, { passageName: this.state.passage.name })
+        )
+      : null;
+    const output = await engine.translateValidated(text, direction, prompt, {
+      signal,
+    });
+    return output.text;
+  }
+
+  // Translate the cycle, retrying with backoff; runs on the job queue
+  async liveCycle(cycle, signal) {
+    const { retry } = this.config;
+    const { state } = this;
+    let lastError = null;
+    for (let attempt = 1; attempt <= retry.attempts; attempt++) {
+      if (attempt > 1) {
+        await abortableDelay(backoffDelay(retry, attempt - 1), signal);
+      }
+      try {
+        return await jobQueue.enqueue(
+          async (jobSignal) => {
+            const greek =
+              cycle === 1
+                ? state.passage.text
+                : await this.translate(state.english, "to_greek", jobSignal);
+            const english = await this.translate(
+              greek,
+              "to_english",
+              jobSignal
+            );
+            return { greek, english, source: "live" };
+          },
+          {
+            kind: "exhibition",
+            priority: "interactive",
+            label: `${state.passage.name} cycle ${cycle}`,
+            signal,
+          }
+        ).promise;
+      } catch (error) {
+        if (error.name === "AbortError") throw error;
+        lastError = error;
+        console.warn(
+          `Exhibition cycle ${cycle} attempt ${attempt} failed:`,
+          error.message
+        );
+      }
+    }
+    throw lastError;
+  }
+
+  // The same cycle from a recorded run of the passage, or null. Exhibition
+  // runs, and continuous runs saved a cycle at a time through /api/runs,
+  // store { greek, english } pairs the way the display plays them; runs of
+  // the cycle engine (their cycles record `hops`) store English → Greek per
+  // cycle, so cycle n pairs the previous cycle's Greek with this cycle's
+  // English.
+  async recordedCycle(cycle) {
+    const { state } = this;
+    const { runs } = await this.runs.list({
+      passage: state.passage.name,
+      limit: 200,
+    });
+    const candidates = runs.filter(
+      (entry) => entry.id !== state.run_id && entry.completed_cycles >= cycle
+    );
+    if (candidates.length === 0) return null;
+    const entry = candidates[Math.floor(Math.random() * candidates.length)];
+    const run = await this.runs.get(entry.id);
+    if (!run || !Array.isArray(run.cycles) || !run.cycles[cycle - 1]) {
+      return null;
+    }
+
+    const paired =
+      ["continuous", "exhibition"].includes(entry.kind) &&
+      !run.cycles[cycle - 1].hops;
+    const greek = paired
+      ? run.cycles[cycle - 1].greek
+      : cycle === 1
+      ? run.original
+      : run.cycles[cycle - 2].greek;
+    const { english } = run.cycles[cycle - 1];
+    if (!greek || !english) return null;
+    return { greek, english, source: "recorded", recorded_from: entry.id };
+  }
+
+  async record(cycle, produced) {
+    const { state } = this;
+    if (!state.run_id) return;
+    const run = await this.runs.get(state.run_id);
+    const previous =
+      run && run.cycles && run.cycles.length
+        ? run.cycles[run.cycles.length - 1].greek
+        : state.passage.text;
+    const analyzer = new DegradationAnalyzer();
+    const metrics = analyzer.compareCycle(
+      state.passage.text,
+      previous,
+      produced.greek
+    );
+    await this.runs.appendCycle(state.run_id, {
+      cycle,
+      greek: produced.greek,
+      english: produced.english,
+      similarity: metrics.vs_original[analyzer.metric],
+      metrics,
+      alignment: alignTokens(state.passage.text, produced.greek),
+      source: produced.source,
+      ...(produced.recorded_from
+        ? { recorded_from: produced.recorded_from }
+        : {}),
+      timestamp: new Date().toISOString(),
+    });
+  }
+}
+
+const exhibition = new Exhibition();
+
+export {
+  DEFAULT_EXHIBITION_CONFIG,
+  Exhibition,
+  ExhibitionError,
+  backoffDelay,
+  exhibition,
+  loadExhibitionConfig,
+  scheduleState,
+};
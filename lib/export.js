@@ -0,0 +1,403 @@
+import { METRIC_NAMES } from "./metrics.js";
+import { alignTokens } from "./alignment.js";
+
+// Stored runs as documents for use outside the app:
+//   tei       TEI P5 XML: the original as the source <div>, then one <div>
+//             per cycle holding its English and Greek and its metrics
+//   markdown  a write-up: metadata, the original, then every cycle
+//   csv       one row of metrics per cycle, for spreadsheets
+//   html      a self-contained, printable "edition" of the degradation
+// exportRun(run, format) returns { body, contentType, extension }.
+
+const EXPORT_FORMATS = ["tei", "markdown", "csv", "html"];
+
+const escapeXml = (text) =>
+  String(text === null || text === undefined ? "" : text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const csvField = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formatScore = (value) =>
+  typeof value === "number" ? value.toFixed(3) : "";
+
+const linesOf = (text) =>
+  String(text || "")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+// What every format needs from a run, with defaults for older run files
+function describeRun(run) {
+  const metadata = run.metadata || {};
+  const cycles = (run.cycles || []).map((cycle) => ({
+    ...cycle,
+    alignment: cycle.alignment || alignTokens(run.original, cycle.greek),
+  }));
+  return {
+    id: run.id || null,
+    passage: metadata.passage_name || "custom",
+    model: metadata.model || "unknown",
+    models: metadata.models || (metadata.model ? [metadata.model] : []),
+    provider: metadata.provider || null,
+    metric:
+      metadata.metric || (run.analysis && run.analysis.metric) || "jaccard",
+    timestamp: metadata.timestamp || null,
+    original: run.original || "",
+    cycles,
+    analysis: run.analysis || null,
+  };
+}
+
+function teiLines(text, indent) {
+  const lines = linesOf(text);
+  if (lines.length <= 1) {
+    return `${indent}<p>${escapeXml(lines[0] || "")}</p>`;
+  }
+  return [
+    `${indent}<lg>`,
+    ...lines.map((line) => `${indent}  <l>${escapeXml(line)}</l>`),
+    `${indent}</lg>`,
+  ].join("\n");
+}
+
+function teiMeasures(cycle, indent) {
+  const measures = [];
+  if (typeof cycle.similarity === "number") {
+    measures.push(
+      `<measure type="similarity" quantity="${formatScore(cycle.similarity)}"/>`
+    );
+  }
+  const vsOriginal = cycle.metrics ? cycle.metrics.vs_original : null;
+  for (const name of METRIC_NAMES) {
+    if (vsOriginal && typeof vsOriginal[name] === "number") {
+      measures.push(
+        `<measure type="${name}" quantity="${formatScore(vsOriginal[name])}"/>`
+      );
+    }
+  }
+  if (cycle.metrics && typeof cycle.metrics.metricality === "number") {
+    measures.push(
+      `<measure type="metricality" quantity="${formatScore(
+        cycle.metrics.metricality
+      )}"/>`
+    );
+  }
+  for (const [status, count] of Object.entries(cycle.alignment.counts)) {
+    measures.push(
+      `<measure type="words-${status}" quantity="${count}" unit="word"/>`
+    );
+  }
+  return [
+    `${indent}<note type="metrics" target="#source">`,
+    ...measures.map((measure) => `${indent}  ${measure}`),
+    `${indent}</note>`,
+  ].join("\n");
+}
+
+function toTei(data) {
+  const title = `Translation degradation of ${data.passage}`;
+  const cycles = data.cycles.map((cycle) =>
+    [
+      `      <div type="cycle" n="${cycle.cycle}" xml:id="cycle${cycle.cycle}">`,
+      `        <div type="translation" xml:lang="en">`,
+      teiLines(cycle.english, "          "),
+      `        </div>`,
+      `        <div type="backtranslation" xml:lang="grc" corresp="#source">`,
+      teiLines(cycle.greek, "          "),
+      `        </div>`,
+      teiMeasures(cycle, "        "),
+      `      </div>`,
+    ].join("\n")
+  );
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<TEI xmlns="http://www.tei-c.org/ns/1.0">
+  <teiHeader>
+    <fileDesc>
+      <titleStmt>
+        <title>${escapeXml(title)}</title>
+        <respStmt>
+          <resp>Machine translation</resp>
+${data.models
+  .map((model) => `          <name type="model">${escapeXml(model)}</name>`)
+  .join("\n")}
+        </respStmt>
+      </titleStmt>
+      <publicationStmt>
+        <p>Exported from the Μοῦσα Translation Degradation Explorer${
+          data.id ? `, run ${escapeXml(data.id)}` : ""
+        }.</p>
+${
+  data.timestamp ? `        <date when="${escapeXml(data.timestamp)}"/>\n` : ""
+}      </publicationStmt>
+      <sourceDesc>
+        <p>${escapeXml(data.passage)}</p>
+      </sourceDesc>
+    </fileDesc>
+    <encodingDesc>
+      <p>Each cycle translates the previous cycle's Greek into English and back into Greek. Similarity is measured against the source with the ${escapeXml(
+        data.metric
+      )} metric.</p>
+    </encodingDesc>
+    <profileDesc>
+      <langUsage>
+        <language ident="grc">Ancient Greek</language>
+        <language ident="en">English</language>
+      </langUsage>
+    </profileDesc>
+  </teiHeader>
+  <text>
+    <body>
+      <div type="source" xml:id="source" xml:lang="grc">
+${teiLines(data.original, "        ")}
+      </div>
+${cycles.join("\n")}
+    </body>
+  </text>
+</TEI>
+`;
+}
+
+function toMarkdown(data) {
+  // Verse lines end in two spaces so they stay separate lines
+  const quote = (text) =>
+    linesOf(text)
+      .map((line) => `> ${line}`)
+      .join("  \n");
+  const sections = [
+    `# ${data.passage}`,
+    [
+      "| | |",
+      "| --- | --- |",
+      data.id ? `| Run | \`${data.id}\` |` : null,
+      `| Model | ${data.models.join(" → ") || data.model} |`,
+      data.provider ? `| Provider | ${data.provider} |` : null,
+      `| Cycles | ${data.cycles.length} |`,
+      `| Metric | ${data.metric} |`,
+      data.timestamp ? `| Date | ${data.timestamp} |` : null,
+    ]
+      .filter(Boolean)
+      .join("\n"),
+    "## Original",
+    quote(data.original),
+  ];
+
+  for (const cycle of data.cycles) {
+    const { counts } = cycle.alignment;
+    sections.push(
+      `## Cycle ${cycle.cycle}`,
+      `Similarity ${formatScore(cycle.similarity)} · words survived ${
+        counts.survived
+      }, mutated ${counts.mutated}, lost ${counts.lost}, invented ${
+        counts.invented
+      }`,
+      "**English**",
+      quote(cycle.english),
+      "**Greek**",
+      quote(cycle.greek)
+    );
+  }
+
+  if (data.analysis) {
+    sections.push(
+      "## Analysis",
+      [
+        data.analysis.summary,
+        `Final similarity ${formatScore(
+          data.analysis.final_similarity
+        )}, degradation ${data.analysis.degradation_level}.`,
+      ]
+        .filter(Boolean)
+        .join("\n\n")
+    );
+  }
+  return sections.join("\n\n") + "\n";
+}
+
+const CSV_COLUMNS = [
+  "run_id",
+  "passage",
+  "model",
+  "cycle",
+  "similarity",
+  ...METRIC_NAMES.map((name) => `${name}_vs_original`),
+  ...METRIC_NAMES.map((name) => `${name}_vs_previous`),
+  "metricality",
+  "survival",
+  "survived",
+  "mutated",
+  "lost",
+  "invented",
+  "model_failure",
+];
+
+function toCsv(data) {
+  const lines = [CSV_COLUMNS.join(",")];
+  for (const cycle of data.cycles) {
+    const metrics = cycle.metrics || {};
+    const row = {
+      run_id: data.id,
+      passage: data.passage,
+      model: data.model,
+      cycle: cycle.cycle,
+      similarity: cycle.similarity,
+      metricality: metrics.metricality,
+      survival: cycle.alignment.survival,
+      ...cycle.alignment.counts,
+      model_failure: cycle.model_failure,
+    };
+    for (const name of METRIC_NAMES) {
+      row[`${name}_vs_original`] = (metrics.vs_original || {})[name];
+      row[`${name}_vs_previous`] = (metrics.vs_previous || {})[name];
+    }
+    lines.push(CSV_COLUMNS.map((column) => csvField(row[column])).join(","));
+  }
+  return lines.join("\n") + "\n";
+}
+
+// Similarity by cycle as an inline SVG line chart
+function similarityChart(data) {
+  const points = [[0, 1]];
+  for (const cycle of data.cycles) {
+    if (typeof cycle.similarity === "number") {
+      points.push([cycle.cycle, cycle.similarity]);
+    }
+  }
+  const width = 600;
+  const height = 160;
+  const maxCycle = Math.max(1, ...points.map(([cycle]) => cycle));
+  const x = (cycle) => 30 + (cycle / maxCycle) * (width - 45);
+  const y = (value) => 10 + (1 - value) * (height - 30);
+  const grid = [0, 0.5, 1]
+    .map(
+      (tick) =>
+        `<line x1="30" x2="${width - 15}" y1="${y(tick)}" y2="${y(
+          tick
+        )}" stroke="#ddd"/><text x="24" y="${
+          y(tick) + 4
+        }" text-anchor="end">${tick}</text>`
+    )
+    .join("");
+  const line = points.map(([cycle, value]) => `${x(cycle)},${y(value)}`);
+  return `<svg class="chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Similarity by cycle">${grid}<polyline points="${line.join(
+    " "
+  )}" fill="none" stroke="#8b2d1f" stroke-width="2"/>${points
+    .map(
+      ([cycle, value]) =>
+        `<circle cx="${x(cycle)}" cy="${y(
+          value
+        )}" r="3" fill="#8b2d1f"/><text x="${x(cycle)}" y="${
+          height - 4
+        }" text-anchor="middle">${cycle}</text>`
+    )
+    .join("")}</svg>`;
+}
+
+function htmlLines(text) {
+  return linesOf(text)
+    .map((line) => `<span class="line">${escapeXml(line)}</span>`)
+    .join("\n");
+}
+
+function toHtml(data) {
+  const cycles = data.cycles
+    .map((cycle) => {
+      const { counts } = cycle.alignment;
+      return `<section class="cycle">
+  <h2>Cycle ${cycle.cycle}</h2>
+  <p class="measure">Similarity ${formatScore(cycle.similarity)} · survived ${
+        counts.survived
+      } · mutated ${counts.mutated} · lost ${counts.lost} · invented ${
+        counts.invented
+      }</p>
+  <div class="facing">
+    <div class="english" lang="en">${htmlLines(cycle.english)}</div>
+    <div class="greek" lang="grc">${htmlLines(cycle.greek)}</div>
+  </div>
+</section>`;
+    })
+    .join("\n");
+  const analysis = data.analysis
+    ? `<section class="analysis">
+  <h2>Analysis</h2>
+  <p>${escapeXml(data.analysis.summary || "")}</p>
+  <p class="measure">Final similarity ${formatScore(
+    data.analysis.final_similarity
+  )} · degradation ${escapeXml(data.analysis.degradation_level)}</p>
+</section>`
+    : "";
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeXml(data.passage)} — translation degradation</title>
+<style>
+  body { max-width: 52rem; margin: 2rem auto; padding: 0 1.5rem; font-family: "GFS Didot", "Palatino Linotype", Georgia, serif; color: #222; line-height: 1.5; }
+  h1, h2 { font-weight: normal; }
+  h1 { margin-bottom: 0.2rem; }
+  .meta, .measure { color: #666; font-size: 0.9rem; font-family: system-ui, sans-serif; }
+  .line { display: block; }
+  .source { font-size: 1.15rem; margin: 1.5rem 0; }
+  .facing { display: grid; grid-template-columns: 1fr 1fr; gap: 1.5rem; }
+  .english { color: #444; font-style: italic; }
+  .chart { width: 100%; max-width: 600px; }
+  .chart text { font-size: 10px; fill: #888; font-family: system-ui, sans-serif; }
+  section { break-inside: avoid; border-top: 1px solid #ddd; padding-top: 0.5rem; }
+  @media print { body { margin: 0; max-width: none; } }
+</style>
+</head>
+<body>
+<h1>${escapeXml(data.passage)}</h1>
+<p class="meta">${escapeXml(data.models.join(" → ") || data.model)}${
+    data.provider ? ` · ${escapeXml(data.provider)}` : ""
+  } · ${data.cycles.length} cycles · ${escapeXml(data.metric)}${
+    data.timestamp ? ` · ${escapeXml(data.timestamp.slice(0, 10))}` : ""
+  }${data.id ? ` · ${escapeXml(data.id)}` : ""}</p>
+${similarityChart(data)}
+<div class="source greek" lang="grc">${htmlLines(data.original)}</div>
+${cycles}
+${analysis}
+</body>
+</html>
+`;
+}
+
+const FORMATS = {
+  tei: { render: toTei, contentType: "application/tei+xml", extension: "xml" },
+  markdown: {
+    render: toMarkdown,
+    contentType: "text/markdown",
+    extension: "md",
+  },
+  csv: { render: toCsv, contentType: "text/csv", extension: "csv" },
+  html: { render: toHtml, contentType: "text/html", extension: "html" },
+};
+
+function isExportFormat(format) {
+  return EXPORT_FORMATS.includes(format);
+}
+
+function exportRun(run, format) {
+  const spec = FORMATS[format];
+  if (!spec) {
+    throw new Error(
+      `Unknown export format "${format}". Available: ${EXPORT_FORMATS.join(
+        ", "
+      )}`
+    );
+  }
+  return {
+    body: spec.render(describeRun(run)),
+    contentType: spec.contentType,
+    extension: spec.extension,
+  };
+}
+
+export { EXPORT_FORMATS, exportRun, isExportFormat };
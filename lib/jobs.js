@@ -0,0 +1,229 @@
+import crypto from "crypto";
+
+// Queue for LLM work. Requests that call a model run as jobs, at most
+// `concurrency` at a time (LLM_CONCURRENCY, default 1); the rest wait in
+// priority order, first come first served within a priority:
+//   oracle       the oracle's live audience
+//   interactive  translations requested from the UI or the API
+//   batch        batch experiment runs
+// A job's `run(signal)` gets an AbortSignal that fires when the job is
+// cancelled (DELETE /api/jobs/:id, the client disconnecting, or the
+// `signal` given to enqueue aborting), so in-flight generations stop.
+// Finished jobs are kept for a while so their status can still be read.
+
+const PRIORITIES = { oracle: 0, interactive: 1, batch: 2 };
+const DEFAULT_CONCURRENCY = parseInt(process.env.LLM_CONCURRENCY, 10) || 1;
+const HISTORY_LIMIT = 200;
+
+// Error carrying the HTTP status the API should answer with
+class JobError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "JobError";
+    this.status = status;
+  }
+}
+
+function abortError(message) {
+  const error = new Error(message);
+  error.name = "AbortError";
+  return error;
+}
+
+function newJobId(date = new Date()) {
+  const stamp = date.toISOString().replace(/[:.]/g, "-");
+  return `job_${stamp}_${crypto.randomBytes(3).toString("hex")}`;
+}
+
+class JobQueue {
+  constructor({ concurrency = DEFAULT_CONCURRENCY } = {}) {
+    this.concurrency = Math.max(1, concurrency);
+    this.jobs = new Map();
+    this.queued = [];
+    this.running = new Set();
+    this.sequence = 0;
+  }
+
+  // options: { kind, priority, label, signal, keepResult, onQueued }
+  //   onQueued(position) is called whenever the job's place in the queue
+  //   changes (1 = next to run); keepResult keeps the result for
+  //   GET /api/jobs/:id (requests that do not wait for it)
+  // Returns the job; `job.promise` settles with the result of `run`.
+  enqueue(run, options = {}) {
+    const priority =
+      typeof options.priority === "number"
+        ? options.priority
+        : PRIORITIES[options.priority || "interactive"];
+    if (priority === undefined) {
+      throw new JobError(`Unknown priority "${options.priority}"`);
+    }
+
+    const job = {
+      id: newJobId(),
+      kind: options.kind || "job",
+      label: options.label || null,
+      priority,
+      sequence: this.sequence++,
+      state: "queued",
+      created_at: new Date().toISOString(),
+      started_at: null,
+      finished_at: null,
+      error: null,
+      result: undefined,
+      keepResult: Boolean(options.keepResult),
+      onQueued: options.onQueued || null,
+      position: null,
+      controller: new AbortController(),
+      run,
+    };
+    job.promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+    // Callers that only poll the status must not trip unhandled rejections
+    job.promise.catch(() => {});
+
+    if (options.signal) {
+      if (options.signal.aborted) {
+        this.finish(job, "cancelled", abortError("Job cancelled"));
+        this.jobs.set(job.id, job);
+        return job;
+      }
+      const onAbort = () => {
+        if (!job.finished_at) this.cancel(job.id, "Request aborted");
+      };
+      options.signal.addEventListener("abort", onAbort, { once: true });
+      job.cleanup = () => options.signal.removeEventListener("abort", onAbort);
+    }
+
+    this.jobs.set(job.id, job);
+    this.queued.push(job);
+    this.queued.sort(
+      (a, b) => a.priority - b.priority || a.sequence - b.sequence
+    );
+    this.pump();
+    return job;
+  }
+
+  // Start queued jobs while there is capacity, then tell the rest where
+  // they stand
+  pump() {
+    while (this.running.size < this.concurrency && this.queued.length > 0) {
+      this.start(this.queued.shift());
+    }
+    this.queued.forEach((job, index) => {
+      if (job.position === index + 1) return;
+      job.position = index + 1;
+      if (job.onQueued) {
+        try {
+          job.onQueued(job.position);
+        } catch (error) {
+          console.error(`Job ${job.id} onQueued error:`, error);
+        }
+      }
+    });
+  }
+
+  start(job) {
+    job.state = "running";
+    job.position = 0;
+    job.started_at = new Date().toISOString();
+    this.running.add(job);
+    Promise.resolve()
+      .then(() => job.run(job.controller.signal))
+      .then(
+        (result) => this.finish(job, "completed", null, result),
+        (error) =>
+          this.finish(
+            job,
+            job.controller.signal.aborted ? "cancelled" : "failed",
+            error
+          )
+      );
+  }
+
+  finish(job, state, error, result) {
+    job.state = state;
+    job.finished_at = new Date().toISOString();
+    job.position = null;
+    this.running.delete(job);
+    if (job.cleanup) job.cleanup();
+    if (error) {
+      job.error = error.message;
+      job.reject(error);
+    } else {
+      if (job.keepResult) job.result = result;
+      job.resolve(result);
+    }
+    this.prune();
+    this.pump();
+  }
+
+  // Drop the oldest finished jobs beyond HISTORY_LIMIT
+  prune() {
+    const finished = [...this.jobs.values()].filter((job) => job.finished_at);
+    for (const job of finished.slice(0, finished.length - HISTORY_LIMIT)) {
+      this.jobs.delete(job.id);
+    }
+  }
+
+  // Cancel a queued or running job. Throws JobError (404 unknown job, 409
+  // already finished).
+  cancel(id, reason = "Job cancelled") {
+    const job = this.jobs.get(id);
+    if (!job) throw new JobError(`Job not found: ${id}`, 404);
+    if (job.finished_at) {
+      throw new JobError(`Job ${id} has already ${job.state}`, 409);
+    }
+    if (job.state === "queued") {
+      this.queued = this.queued.filter((queued) => queued !== job);
+      this.finish(job, "cancelled", abortError(reason));
+    } else {
+      job.controller.abort(abortError(reason));
+    }
+    return this.describe(job);
+  }
+
+  describe(job) {
+    return {
+      id: job.id,
+      kind: job.kind,
+      label: job.label,
+      priority:
+        Object.keys(PRIORITIES).find(
+          (name) => PRIORITIES[name] === job.priority
+        ) || job.priority,
+      state: job.state,
+      position: job.state === "queued" ? job.position : null,
+      created_at: job.created_at,
+      started_at: job.started_at,
+      finished_at: job.finished_at,
+      error: job.error,
+      ...(job.keepResult && job.state === "completed"
+        ? { result: job.result }
+        : {}),
+    };
+  }
+
+  get(id) {
+    const job = this.jobs.get(id);
+    return job ? this.describe(job) : null;
+  }
+
+  // Running and queued jobs, then finished ones, newest first
+  list() {
+    const jobs = [...this.jobs.values()].map((job) => this.describe(job));
+    const active = jobs.filter((job) => !job.finished_at);
+    const finished = jobs.filter((job) => job.finished_at).reverse();
+    return {
+      concurrency: this.concurrency,
+      running: this.running.size,
+      queued: this.queued.length,
+      jobs: [...active, ...finished],
+    };
+  }
+}
+
+const jobQueue = new JobQueue();
+
+export { JobQueue, JobError, jobQueue, PRIORITIES };
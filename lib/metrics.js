@@ -0,0 +1,269 @@
+// Text similarity metrics for comparing Ancient Greek passages across
+// translation cycles. Every metric returns a similarity in [0, 1] where 1
+// means identical after normalization.
+
+// Apostrophe-like characters used as elision marks (δ᾽, δ', δ’, δʼ)
+const ELISION_MARKS = /[\u1fbd\u1fbf\u2019\u02bc'`]/gu;
+const GRAVE = /\u0300/gu;
+
+// Edit distance is quadratic in the length of what it compares, so it is
+// taken line by line and over at most this many characters of each line
+const MAX_EDIT_LINE = 1000;
+
+const METRIC_NAMES = [
+  "jaccard",
+  "chrf",
+  "bleu",
+  "edit_similarity",
+  "token_order",
+];
+
+// Normalize text for comparison:
+//   - NFC, lowercase, final sigma → σ
+//   - elision marks and punctuation (including · and ;) become separators
+//   - grave accents count as acute (the alternation is positional)
+//   - with foldDiacritics, all accents, breathings, diaereses and iota
+//     subscripts are removed (off by default, so the metrics compare the
+//     Greek as written)
+function normalizeGreek(text, { foldDiacritics = false } = {}) {
+  if (!text) return "";
+  let s = text.toString().normalize("NFD").toLowerCase();
+  s = foldDiacritics ? s.replace(/\p{M}/gu, "") : s.replace(GRAVE, "\u0301");
+  return s
+    .normalize("NFC")
+    .replace(/ς/gu, "σ")
+    .replace(ELISION_MARKS, " ")
+    .replace(/[^\p{L}\p{M}]+/gu, " ")
+    .trim();
+}
+
+function tokenizeGreek(text, options) {
+  const normalized = normalizeGreek(text, options);
+  return normalized ? normalized.split(/\s+/) : [];
+}
+
+function jaccard(refTokens, candTokens) {
+  const a = new Set(refTokens);
+  const b = new Set(candTokens);
+  if (a.size === 0 && b.size === 0) return 1.0;
+  if (a.size === 0 || b.size === 0) return 0.0;
+  let intersection = 0;
+  for (const token of a) if (b.has(token)) intersection++;
+  return intersection / (a.size + b.size - intersection);
+}
+
+function ngramCounts(items, n) {
+  const counts = new Map();
+  for (let i = 0; i + n <= items.length; i++) {
+    const key = items.slice(i, i + n).join("\u0000");
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return counts;
+}
+
+function overlap(refCounts, candCounts) {
+  let matched = 0;
+  for (const [key, count] of candCounts) {
+    matched += Math.min(count, refCounts.get(key) || 0);
+  }
+  return matched;
+}
+
+// chrF (Popović 2015): character n-gram F-score, n = 1..6, beta = 2,
+// whitespace ignored
+function chrF(reference, candidate, maxN = 6, beta = 2) {
+  const ref = [...reference.replace(/\s+/g, "")];
+  const cand = [...candidate.replace(/\s+/g, "")];
+  if (ref.length === 0 && cand.length === 0) return 1.0;
+  if (ref.length === 0 || cand.length === 0) return 0.0;
+
+  let precisionSum = 0;
+  let recallSum = 0;
+  let orders = 0;
+  for (let n = 1; n <= maxN; n++) {
+    const refCounts = ngramCounts(ref, n);
+    const candCounts = ngramCounts(cand, n);
+    const refTotal = Math.max(0, ref.length - n + 1);
+    const candTotal = Math.max(0, cand.length - n + 1);
+    if (refTotal === 0 || candTotal === 0) break;
+    const matched = overlap(refCounts, candCounts);
+    precisionSum += matched / candTotal;
+    recallSum += matched / refTotal;
+    orders++;
+  }
+  if (orders === 0) return 0.0;
+
+  const precision = precisionSum / orders;
+  const recall = recallSum / orders;
+  if (precision === 0 && recall === 0) return 0.0;
+  const beta2 = beta * beta;
+  return ((1 + beta2) * precision * recall) / (beta2 * precision + recall);
+}
+
+// Sentence BLEU over tokens, up to 4-grams, with add-one smoothing for
+// n > 1 (Lin & Och 2004) so short passages do not collapse to zero
+function bleu(refTokens, candTokens, maxN = 4) {
+  if (refTokens.length === 0 && candTokens.length === 0) return 1.0;
+  if (refTokens.length === 0 || candTokens.length === 0) return 0.0;
+
+  let logSum = 0;
+  for (let n = 1; n <= maxN; n++) {
+    const candTotal = Math.max(0, candTokens.length - n + 1);
+    const matched = overlap(
+      ngramCounts(refTokens, n),
+      ngramCounts(candTokens, n)
+    );
+    const precision =
+      n === 1
+        ? candTotal > 0
+          ? matched / candTotal
+          : 0
+        : (matched + 1) / (candTotal + 1);
+    if (precision === 0) return 0.0;
+    logSum += Math.log(precision) / maxN;
+  }
+
+  const brevity =
+    candTokens.length >= refTokens.length
+      ? 1.0
+      : Math.exp(1 - refTokens.length / candTokens.length);
+  return brevity * Math.exp(logSum);
+}
+
+// Levenshtein distance over arrays or strings (code points)
+function levenshtein(a, b) {
+  const s = typeof a === "string" ? [...a] : a;
+  const t = typeof b === "string" ? [...b] : b;
+  if (s.length === 0) return t.length;
+  if (t.length === 0) return s.length;
+
+  let previous = new Array(t.length + 1);
+  let current = new Array(t.length + 1);
+  for (let j = 0; j <= t.length; j++) previous[j] = j;
+  for (let i = 1; i <= s.length; i++) {
+    current[0] = i;
+    for (let j = 1; j <= t.length; j++) {
+      const cost = s[i - 1] === t[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+    }
+    [previous, current] = [current, previous];
+  }
+  return previous[t.length];
+}
+
+// 1 - character edit distance / length of the longer text, summed over the
+// lines of both texts paired in order (a line without a partner counts in
+// full) and each cut to MAX_EDIT_LINE characters
+function editSimilarity(reference, candidate) {
+  const refLines = reference ? reference.split("\n") : [];
+  const candLines = candidate ? candidate.split("\n") : [];
+  let distance = 0;
+  let length = 0;
+  for (let i = 0; i < Math.max(refLines.length, candLines.length); i++) {
+    const ref = [...(refLines[i] || "")].slice(0, MAX_EDIT_LINE);
+    const cand = [...(candLines[i] || "")].slice(0, MAX_EDIT_LINE);
+    distance += levenshtein(ref, cand);
+    length += Math.max(ref.length, cand.length);
+  }
+  if (length === 0) return 1.0;
+  return 1 - distance / length;
+}
+
+// Pairs out of order in `sequence` (distinct numbers), counted while merge
+// sorting it
+function inversions(sequence) {
+  if (sequence.length < 2) return 0;
+  const middle = Math.floor(sequence.length / 2);
+  const left = sequence.slice(0, middle);
+  const right = sequence.slice(middle);
+  let count = inversions(left) + inversions(right);
+  let i = 0;
+  let j = 0;
+  for (let k = 0; k < sequence.length; k++) {
+    if (j >= right.length || (i < left.length && left[i] < right[j])) {
+      sequence[k] = left[i++];
+    } else {
+      sequence[k] = right[j++];
+      count += left.length - i;
+    }
+  }
+  return count;
+}
+
+// How well the shared tokens keep their relative order: the fraction of
+// concordant pairs (Kendall's tau rescaled to [0, 1]) over tokens that appear
+// in both texts, each matched to its first unused occurrence
+function tokenOrder(refTokens, candTokens) {
+  const positions = new Map();
+  refTokens.forEach((token, i) => {
+    if (!positions.has(token)) positions.set(token, []);
+    positions.get(token).push(i);
+  });
+
+  const sequence = [];
+  for (const token of candTokens) {
+    const queue = positions.get(token);
+    if (queue && queue.length > 0) sequence.push(queue.shift());
+  }
+  if (sequence.length === 0) return 0.0;
+  if (sequence.length === 1) return 1.0;
+
+  const pairs = (sequence.length * (sequence.length - 1)) / 2;
+  return (pairs - inversions(sequence)) / pairs;
+}
+
+// Normalized lines of a text, blank ones dropped
+const normalizedLines = (text, options) =>
+  String(text || "")
+    .split("\n")
+    .map((line) => normalizeGreek(line, options))
+    .filter(Boolean);
+
+// The metrics named in `options.metrics` (all of them by default) for one
+// pair of texts
+function computeMetrics(reference, candidate, options = {}) {
+  const { metrics = METRIC_NAMES } = options;
+  const refLines = normalizedLines(reference, options);
+  const candLines = normalizedLines(candidate, options);
+  const ref = refLines.join(" ");
+  const cand = candLines.join(" ");
+  const refTokens = ref ? ref.split(/\s+/) : [];
+  const candTokens = cand ? cand.split(/\s+/) : [];
+
+  const measures = {
+    jaccard: () => jaccard(refTokens, candTokens),
+    chrf: () => chrF(ref, cand),
+    bleu: () => bleu(refTokens, candTokens),
+    edit_similarity: () =>
+      editSimilarity(refLines.join("\n"), candLines.join("\n")),
+    token_order: () => tokenOrder(refTokens, candTokens),
+  };
+  return Object.fromEntries(
+    METRIC_NAMES.filter((name) => metrics.includes(name)).map((name) => [
+      name,
+      measures[name](),
+    ])
+  );
+}
+
+function isMetricName(name) {
+  return METRIC_NAMES.includes(name);
+}
+
+export {
+  METRIC_NAMES,
+  normalizeGreek,
+  tokenizeGreek,
+  jaccard,
+  chrF,
+  bleu,
+  levenshtein,
+  editSimilarity,
+  tokenOrder,
+  computeMetrics,
+  isMetricName,
+};
@@ -0,0 +1,188 @@
+import { config } from "./config.js";
+import { getProvider, sameModel } from "./providers.js";
+import { TranslationEngine } from "./translator.js";
+
+// Which models the LLM backends have, and whether they answer at all.
+//   - list(provider): the provider's installed models plus the configured
+//     ones, each with `available` and the roles (translation, oracle) the
+//     config gives it
+//   - health(): whether the default provider is reachable, how long it took
+//     to answer and whether the configured models are installed
+//   - startup(): run once when the server starts; with startup.check_models
+//     warns about configured models the provider does not have and, with
+//     startup.warm_up, loads the others into memory so the first request
+//     does not wait for them
+// A backend that does not answer within HEALTH_TIMEOUT_MS counts as
+// unreachable.
+
+const HEALTH_TIMEOUT_MS = 5000;
+
+// Configured models by role: { translation: "llama3.2:3b", oracle: ... }
+function configuredModels() {
+  return {
+    translation: config.translation.model,
+    oracle: config.oracle.model,
+  };
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`No answer within ${ms} ms`)),
+      ms
+    );
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+class ModelManager {
+  constructor() {
+    // Outcome of startup(): { checked_at, reachable, models: { role:
+    // { name, available?, warmed, error? } } }, null until it has run
+    this.startupReport = null;
+  }
+
+  // The provider's model names, or { error } when it cannot be reached
+  async inventory(provider) {
+    const started = Date.now();
+    try {
+      const names = await withTimeout(
+        getProvider(provider).list(),
+        HEALTH_TIMEOUT_MS
+      );
+      return { names, latency_ms: Date.now() - started };
+    } catch (error) {
+      return { error: error.message, latency_ms: Date.now() - started };
+    }
+  }
+
+  // { provider, reachable, error?, models: [{ name, available, roles }] }
+  // with installed models first, then configured models that are missing
+  async list(provider = config.provider) {
+    const inventory = await this.inventory(provider);
+    const names = inventory.names || [];
+    const roles = Object.entries(configuredModels());
+    const models = names.map((name) => ({
+      name,
+      available: true,
+      roles: roles
+        .filter(([, model]) => sameModel(model, name))
+        .map(([role]) => role),
+    }));
+    for (const [role, model] of roles) {
+      if (names.some((name) => sameModel(model, name))) continue;
+      const missing = models.find((entry) => entry.name === model);
+      if (missing) {
+        missing.roles.push(role);
+      } else {
+        models.push({ name: model, available: false, roles: [role] });
+      }
+    }
+    return {
+      provider,
+      reachable: !inventory.error,
+      ...(inventory.error ? { error: inventory.error } : {}),
+      models,
+    };
+  }
+
+  // status: "ok" when the default provider answers and has every configured
+  // model, "degraded" when some are missing, "unavailable" when it does not
+  // answer
+  async health() {
+    const inventory = await this.inventory(config.provider);
+    const names = inventory.names || [];
+    const models = Object.fromEntries(
+      Object.entries(configuredModels()).map(([role, model]) => [
+        role,
+        {
+          name: model,
+          available: names.some((name) => sameModel(model, name)),
+        },
+      ])
+    );
+    const reachable = !inventory.error;
+    const complete = Object.values(models).every((model) => model.available);
+    return {
+      status: !reachable ? "unavailable" : complete ? "ok" : "degraded",
+      provider: config.provider,
+      backend: {
+        reachable,
+        latency_ms: inventory.latency_ms,
+        ...(config.provider === "ollama" ? { host: config.ollama.host } : {}),
+        ...(config.provider === "openai"
+          ? { base_url: config.openai.base_url }
+          : {}),
+        ...(inventory.error ? { error: inventory.error } : {}),
+      },
+      models,
+      startup: this.startupReport,
+    };
+  }
+
+  // Check the configured models and warm them up; logs what it finds and
+  // never throws, so a missing backend does not stop the server
+  async startup() {
+    const report = {
+      checked_at: new Date().toISOString(),
+      reachable: false,
+      models: {},
+    };
+    this.startupReport = report;
+    if (!config.startup.check_models && !config.startup.warm_up) {
+      return report;
+    }
+
+    const inventory = await this.inventory(config.provider);
+    if (inventory.error) {
+      console.warn(
+        `LLM provider "${config.provider}" is not reachable (${inventory.error}); models were not checked.`
+      );
+      return report;
+    }
+    report.reachable = true;
+
+    // One model may serve both roles; check and load it once
+    const checked = new Map();
+    for (const [role, model] of Object.entries(configuredModels())) {
+      if (!checked.has(model)) {
+        checked.set(model, this.prepare(model));
+      }
+      report.models[role] = { name: model, ...(await checked.get(model)) };
+    }
+    return report;
+  }
+
+  // { available?, warmed, error? } for one configured model; `available`
+  // only when startup.check_models asks for the check
+  async prepare(model) {
+    const engine = new TranslationEngine(model);
+    const checked = config.startup.check_models
+      ? { available: await engine.checkModelAvailable() }
+      : {};
+    if (checked.available === false) {
+      console.warn(
+        `Model "${model}" is not available from provider "${config.provider}"${
+          config.provider === "ollama" ? ` (ollama pull ${model})` : ""
+        }.`
+      );
+      return { ...checked, warmed: false };
+    }
+    if (!config.startup.warm_up) return { ...checked, warmed: false };
+
+    const started = Date.now();
+    try {
+      await engine.warmUp();
+      console.log(`Model "${model}" loaded in ${Date.now() - started} ms.`);
+      return { ...checked, warmed: true };
+    } catch (error) {
+      console.warn(`Could not load model "${model}": ${error.message}`);
+      return { ...checked, warmed: false, error: error.message };
+    }
+  }
+}
+
+const modelManager = new ModelManager();
+
+export { ModelManager, modelManager };
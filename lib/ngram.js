@@ -0,0 +1,302 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { dictionaryLibrary, tokenizeWords } from "./dictionary.js";
+import { passageCatalog } from "./passages.js";
+
+// N-gram (Markov) models for the oracle's offline "markov" mode. A model is
+// trained on the corpora a dictionary was built from (its "Sources" header),
+// read as they are. A word outside the dictionary breaks the context: it is
+// never counted, and no n-gram spans it, so words are only ever joined to
+// neighbours they really had and anything generated stays inside the
+// dictionary's vocabulary.
+//
+// Generation backs off from the longest context (order - 1 words) to
+// shorter ones until some unused word can follow, ending at plain word
+// frequencies, where a word already used may come again with its count
+// scaled by REPEAT_PENALTY for every earlier use. Trained models are cached
+// in dictionaries/cache/ and retrained when the dictionary changes.
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT_DIR = path.join(__dirname, "..");
+const DEFAULT_DIR = path.join(ROOT_DIR, "dictionaries", "cache");
+
+// Bump when the cached format or the training changes
+const MODEL_VERSION = 2;
+const DEFAULT_ORDER = 3;
+const MAX_ORDER = 5;
+// Context padding before the first word of a sentence
+const START = "<s>";
+// Weight of a word already generated, per earlier use
+const REPEAT_PENALTY = 0.1;
+
+// Sentences of a corpus: split at sentence punctuation and blank lines
+function splitSentences(text) {
+  return (text || "").split(/[.!?;:]+|\n\s*\n/);
+}
+
+// Runs of consecutive `vocabulary` words in a sentence, as
+// { words, start } where `start` marks the run that opens the sentence
+function vocabularyRuns(words, vocabulary) {
+  const runs = [];
+  let run = null;
+  words.forEach((word, index) => {
+    if (vocabulary && !vocabulary.has(word)) {
+      run = null;
+      return;
+    }
+    if (!run) {
+      run = { words: [], start: index === 0 };
+      runs.push(run);
+    }
+    run.words.push(word);
+  });
+  return runs;
+}
+
+// Train on corpora ([{ name, text }]), counting only `vocabulary` words
+// and only contexts that do not cross a word outside it.
+// ngrams[k] maps a context of k words (space-joined) to Map(next → count).
+function trainNgramModel(corpora, options = {}) {
+  const order = options.order || DEFAULT_ORDER;
+  const { language = "en", elision = "expand", vocabulary } = options;
+  const ngrams = Array.from({ length: order }, () => new Map());
+  let sentences = 0;
+  let tokens = 0;
+
+  for (const corpus of corpora) {
+    for (const sentence of splitSentences(corpus.text)) {
+      const words = tokenizeWords(sentence, { language, elision });
+      if (words.length === 0) continue;
+      sentences++;
+      tokens += words.length;
+      for (const run of vocabularyRuns(words, vocabulary)) {
+        // Only a run that opens the sentence follows the start padding
+        const padding = run.start ? order - 1 : 0;
+        const padded = [...new Array(padding).fill(START), ...run.words];
+        for (let i = padding; i < padded.length; i++) {
+          for (let k = 0; k < order && k <= i; k++) {
+            const context = padded.slice(i - k, i).join(" ");
+            let next = ngrams[k].get(context);
+            if (!next) {
+              next = new Map();
+              ngrams[k].set(context, next);
+            }
+            next.set(padded[i], (next.get(padded[i]) || 0) + 1);
+          }
+        }
+      }
+    }
+  }
+
+  return {
+    version: MODEL_VERSION,
+    order,
+    language,
+    sources: corpora.map((corpus) => corpus.name),
+    sentences,
+    tokens,
+    ngrams,
+  };
+}
+
+function serializeModel(model, fingerprint) {
+  return JSON.stringify({
+    ...model,
+    fingerprint,
+    ngrams: model.ngrams.map((level) =>
+      [...level].map(([context, next]) => [context, [...next]])
+    ),
+  });
+}
+
+function deserializeModel(raw) {
+  const data = JSON.parse(raw);
+  return {
+    ...data,
+    ngrams: data.ngrams.map(
+      (level) =>
+        new Map(level.map(([context, next]) => [context, new Map(next)]))
+    ),
+  };
+}
+
+// Weighted draw from [[word, count]]; temperature reshapes counts as
+// count^(1 / temperature), like the oracle's "sample" mode
+function sampleWord(candidates, temperature, random) {
+  const exponent = 1 / Math.max(1e-8, temperature);
+  const weights = candidates.map(([, count]) => Math.pow(count, exponent));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  let r = random() * total;
+  for (let i = 0; i < candidates.length; i++) {
+    r -= weights[i];
+    if (r < 0) return candidates[i][0];
+  }
+  return candidates[candidates.length - 1][0];
+}
+
+// Continue `seedWords` (e.g. the prompt's words) up to `length` words.
+// A context whose continuations have all been used already is backed off
+// from; once there is no shorter context left, used words are drawn with
+// their counts scaled by REPEAT_PENALTY per use. Returns the words, seeds
+// included.
+function generate(model, options = {}) {
+  const {
+    length = 12,
+    seedWords = [],
+    temperature = 1,
+    random = Math.random,
+  } = options;
+  const tokens = [...seedWords];
+  const uses = new Map();
+  for (const token of tokens) uses.set(token, (uses.get(token) || 0) + 1);
+
+  while (tokens.length < length) {
+    const history = [...new Array(model.order - 1).fill(START), ...tokens];
+    let word = null;
+    for (let k = model.order - 1; k >= 0 && !word; k--) {
+      const next = model.ngrams[k].get(
+        history.slice(history.length - k).join(" ")
+      );
+      if (!next) continue;
+      const candidates = [...next].map(([candidate, count]) => [
+        candidate,
+        count * Math.pow(REPEAT_PENALTY, uses.get(candidate) || 0),
+      ]);
+      const fresh = candidates.some(([candidate]) => !uses.has(candidate));
+      if (!fresh && k > 0) continue;
+      word = sampleWord(candidates, temperature, random);
+    }
+    if (!word) break;
+    tokens.push(word);
+    uses.set(word, (uses.get(word) || 0) + 1);
+  }
+
+  return tokens;
+}
+
+// Corpus texts named in a dictionary's "Sources" header: catalog ids
+// (including split works such as iliad_pope) or files relative to the repo
+async function loadSources(dictionary) {
+  const sources = (dictionary.meta.sources || "")
+    .split(",")
+    .map((source) => source.trim())
+    .filter(Boolean);
+  const corpora = [];
+  for (const source of sources) {
+    const text = await passageCatalog.corpus(source);
+    if (text !== null) {
+      corpora.push({ name: source, text });
+      continue;
+    }
+    try {
+      corpora.push({
+        name: source,
+        text: await fs.readFile(path.resolve(ROOT_DIR, source), "utf-8"),
+      });
+    } catch (error) {
+      console.warn(
+        `N-gram model: cannot read source ${source}:`,
+        error.message
+      );
+    }
+  }
+  return corpora;
+}
+
+// Identifies the vocabulary and corpora a model was trained from
+function fingerprintOf(dictionary, order) {
+  return crypto
+    .createHash("sha1")
+    .update(
+      JSON.stringify({
+        version: MODEL_VERSION,
+        order,
+        words: dictionary.words,
+        meta: dictionary.meta,
+      })
+    )
+    .digest("hex");
+}
+
+// One model per dictionary and order, loaded from the disk cache or trained
+// on first use. Concurrent requests share the same load.
+class NgramLibrary {
+  constructor(dir = DEFAULT_DIR) {
+    this.dir = dir;
+    this.models = new Map();
+  }
+
+  cachePath(name, order) {
+    return path.join(this.dir, `${name}.${order}gram.json`);
+  }
+
+  // The model for a named dictionary, or null if there is no such
+  // dictionary. Throws if none of the dictionary's sources can be read.
+  async load(name, { order = DEFAULT_ORDER } = {}) {
+    if (!(order >= 1 && order <= MAX_ORDER)) {
+      throw new Error(`N-gram order must be between 1 and ${MAX_ORDER}`);
+    }
+    const dictionary = await dictionaryLibrary.load(name);
+    if (!dictionary) return null;
+
+    const key = `${name}:${order}`;
+    const cached = this.models.get(key);
+    if (cached && cached.dictionary === dictionary) return cached.promise;
+
+    const promise = this.loadOrTrain(name, order, dictionary);
+    this.models.set(key, { dictionary, promise });
+    promise.catch(() => this.models.delete(key));
+    return promise;
+  }
+
+  async loadOrTrain(name, order, dictionary) {
+    const fingerprint = fingerprintOf(dictionary, order);
+    const cachePath = this.cachePath(name, order);
+    try {
+      const model = deserializeModel(await fs.readFile(cachePath, "utf-8"));
+      if (model.fingerprint === fingerprint) return model;
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.warn(
+          `N-gram model: ignoring cache ${cachePath}:`,
+          error.message
+        );
+      }
+    }
+
+    const corpora = await loadSources(dictionary);
+    if (corpora.length === 0) {
+      throw new Error(`Dictionary "${name}" has no readable source corpus`);
+    }
+    const model = trainNgramModel(corpora, {
+      order,
+      language: dictionary.language,
+      elision: dictionary.meta.elision,
+      vocabulary: dictionary.allowedSet,
+    });
+
+    try {
+      await fs.mkdir(this.dir, { recursive: true });
+      const tmpPath = `${cachePath}.tmp`;
+      await fs.writeFile(tmpPath, serializeModel(model, fingerprint), "utf-8");
+      await fs.rename(tmpPath, cachePath);
+    } catch (error) {
+      console.warn(`N-gram model: cannot write ${cachePath}:`, error.message);
+    }
+    return { ...model, fingerprint };
+  }
+}
+
+const ngramLibrary = new NgramLibrary();
+
+export {
+  NgramLibrary,
+  ngramLibrary,
+  trainNgramModel,
+  generate,
+  DEFAULT_ORDER,
+  MAX_ORDER,
+};
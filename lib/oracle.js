@@ -1,79 +1,50 @@
-import fs from "fs/promises";
-import path from "path";
-import { fileURLToPath } from "url";
-import { Ollama } from "ollama";
+import { getProvider } from "./providers.js";
+import { config } from "./config.js";
+import { personaLibrary } from "./personas.js";
+import { dictionaryLibrary, tokenizeWords } from "./dictionary.js";
+import { ngramLibrary, generate } from "./ngram.js";
+import { repairTokens } from "./repair.js";
+import { createRandom, isValidSeed, randomSeed } from "./random.js";
 
-// Oracle that generates short "predictions" using only words
-// present in passages/iliad_dictionary.txt (format: word\tcount, comments with #)
+// Oracle that generates short "predictions" using only words present in a
+// named dictionary (dictionaries/<name>.txt, built with
+// scripts/build-dictionary.mjs; format: word\tcount, comments with #)
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const DICT_PATH = path.join(
-  __dirname,
-  "..",
-  "passages",
-  "iliad_dictionary.txt"
-);
+// LLM defaults (oracle.model and oracle.temperature in lib/config.js). The
+// provider is the configured one unless a request names one.
+const DEFAULT_MODEL = config.oracle.model;
+const DEFAULT_TEMPERATURE = config.oracle.temperature;
 
-// Ollama client defaults (match translator.js)
-const DEFAULT_MODEL = "llama3.2:3b";
-const DEFAULT_TEMPERATURE = 0.7;
-const DEFAULT_HOST = "http://127.0.0.1:11434";
-const ollamaClient = new Ollama({ host: DEFAULT_HOST });
+// Share of the LLM's words that must survive vocabulary repair (the rest
+// removed) for the repaired sentence to be used instead of retrying
+const MIN_REPAIRED_SHARE = 0.5;
 
-// Developer-editable persona/instruction fragment. Edit this in the code to
-// change the Oracle's persona or style. This is NOT exposed in the UI.
-// Keep it short (one or two sentences) to avoid very large prompts.
-const CUSTOM_PROMPT_TEMPLATE = `You are a Homeric oracle: terse, ominous, and poetic. Speak in elevated phrases that feel prophetic. Answer questions with statements, and use the proper pronouns. For example, if the question uses "I", respond using "you".`;
+// Persona used when a request does not name one. Personas live in the
+// persona library (personas/*.json); keep them short (one or two sentences)
+// to avoid very large prompts.
+const DEFAULT_PERSONA = "oracle";
 
-let words = [];
-let counts = [];
-let allowedSet = null;
+// Dictionary used when a request does not name one
+const DEFAULT_DICTIONARY = "iliad";
 
-async function loadDictionary() {
-  try {
-    const raw = await fs.readFile(DICT_PATH, "utf-8");
-    const lines = raw.split(/\r?\n/);
-    for (const line of lines) {
-      if (!line) continue;
-      if (line.trim().startsWith("#")) continue;
-      const parts = line.split(/\t+/);
-      if (parts.length >= 2) {
-        const w = parts[0].trim();
-        const c = parseInt(parts[1].trim(), 10) || 1;
-        if (w) {
-          words.push(w);
-          counts.push(c);
-        }
-      }
-    }
-    if (words.length === 0) {
-      console.warn("Oracle: dictionary loaded but no words found.");
-    } else {
-      allowedSet = new Set(words);
-    }
-  } catch (err) {
-    console.error("Oracle: failed to read dictionary:", DICT_PATH, err.message);
-  }
+// Load the default dictionary at module load so a missing file shows up at
+// startup rather than on the first prediction
+const defaultDictionary = await dictionaryLibrary.load(DEFAULT_DICTIONARY);
+if (!defaultDictionary || defaultDictionary.words.length === 0) {
+  console.warn(
+    `Oracle: default dictionary "${DEFAULT_DICTIONARY}" is missing or empty.`
+  );
 }
 
-// Initialize at module load
-await loadDictionary();
+// Load (or train and cache) the default dictionary's n-gram model in the
+// background; "markov" requests wait for it if it is not ready yet
+ngramLibrary.load(DEFAULT_DICTIONARY).catch((err) => {
+  console.warn("Oracle: cannot prepare the n-gram model:", err.message);
+});
 
-function normalizeText(s) {
-  if (!s) return "";
-  // lowercase and replace non-letters with spaces (Unicode aware)
-  return s
-    .toString()
-    .toLowerCase()
-    .replace(/[^\p{L}]+/gu, " ")
-    .trim();
-}
-
-function tokenize(s) {
-  const t = normalizeText(s);
-  if (!t) return [];
-  return t.split(/\s+/).filter(Boolean);
+// Words of `s` as the dictionary counts them (elisions expanded, lowercase)
+function tokenize(s, language = "en") {
+  return tokenizeWords(s, { language });
 }
 
 function cumulativeFromArray(arr) {
@@ -86,8 +57,8 @@ function cumulativeFromArray(arr) {
   return { cum, total: s };
 }
 
-function sampleIndexFromCum(cumArr, total) {
-  const r = Math.random() * total;
+function sampleIndexFromCum(cumArr, total, random) {
+  const r = random() * total;
   // binary search for first cum > r
   let lo = 0;
   let hi = cumArr.length - 1;
@@ -99,13 +70,22 @@ function sampleIndexFromCum(cumArr, total) {
   return lo;
 }
 
+function joinWarnings(...warnings) {
+  return warnings.filter(Boolean).join(" ");
+}
+
 function capitalizeSentence(s) {
   if (!s) return s;
   return s[0].toUpperCase() + s.slice(1) + ".";
 }
 
 async function predict(prompt = "", opts = {}) {
-  // opts: { length, size:'short'|'long', mode: 'sample'|'mostLikely'|'llm', temperature, model }
+  // opts: { length, size:'short'|'long', mode: 'sample'|'mostLikely'|'markov'|'llm', temperature, model, provider, persona, dictionary }
+  // persona is a persona id or { id, version }; dictionary is a dictionary name
+  // seed (unsigned 32-bit) makes the prediction replayable; one is chosen when
+  // not given, and every result reports it. history ([{ question, prophecy }],
+  // oldest first) is earlier turns of a consultation, used by the LLM prompt.
+  // Aborting signal stops the LLM call and rejects with an AbortError.
   const size = opts.size || "short";
   const mode = opts.mode || "llm"; // default to LLM-driven
   // map size to a default word-length for local sampling if length not provided
@@ -119,14 +99,26 @@ async function predict(prompt = "", opts = {}) {
       ? opts.temperature
       : DEFAULT_TEMPERATURE;
   const model = opts.model || DEFAULT_MODEL;
+  const provider = getProvider(opts.provider);
+  if (opts.seed !== undefined && !isValidSeed(opts.seed)) {
+    throw new Error(`Oracle: invalid seed ${JSON.stringify(opts.seed)}`);
+  }
+  const seed = opts.seed === undefined ? randomSeed() : opts.seed;
+  const random = createRandom(seed);
 
-  if (!words || words.length === 0) {
-    throw new Error("Oracle: dictionary not loaded or empty");
+  const dictionaryName = opts.dictionary || DEFAULT_DICTIONARY;
+  const dictionary = await dictionaryLibrary.load(dictionaryName);
+  if (!dictionary) {
+    throw new Error(`Oracle: unknown dictionary "${dictionaryName}"`);
+  }
+  const { words, counts, allowedSet, language } = dictionary;
+  if (words.length === 0) {
+    throw new Error(`Oracle: dictionary "${dictionaryName}" is empty`);
   }
   // Tokenize prompt and build a merged allowed set that includes prompt words
-  const promptTokens = tokenize(prompt);
+  const promptTokens = tokenize(prompt, language);
   const promptUnique = Array.from(new Set(promptTokens));
-  // mergedAllowedSet = iliad words + any words that appear in the prompt
+  // mergedAllowedSet = dictionary words + any words that appear in the prompt
   const mergedAllowedSet = new Set([...(allowedSet || []), ...promptUnique]);
   // mergedAllowedList: keep prompt words first so LLM sees them prominently
   const mergedAllowedList = [
@@ -134,18 +126,49 @@ async function predict(prompt = "", opts = {}) {
     ...words.filter((w) => !promptUnique.includes(w)),
   ];
 
+  // N-gram mode: phrases drawn from the dictionary's source corpus, seeded
+  // with the prompt's words. Falls back to "sample" if there is no model.
+  if (mode === "markov") {
+    let model;
+    try {
+      model = await ngramLibrary.load(dictionaryName);
+    } catch (err) {
+      const fallback = await predict(prompt, {
+        length,
+        mode: "sample",
+        temperature,
+        dictionary: dictionaryName,
+        seed,
+      });
+      fallback.warning = `N-gram model unavailable: ${err.message}`;
+      return fallback;
+    }
+    const tokens = generate(model, {
+      length,
+      seedWords: promptUnique,
+      temperature,
+      random,
+    });
+    return {
+      text: capitalizeSentence(tokens.join(" ")),
+      tokens,
+      dictionary: dictionaryName,
+      seed,
+    };
+  }
+
   // Local deterministic/sample modes (fallbacks)
   if (mode === "mostLikely" || mode === "sample") {
     const tokens = [];
     // Seed with first prompt token (whether in dictionary or not) so user's words are allowed
-    let seed = null;
+    let seedWord = null;
     for (const t of promptUnique) {
       if (t) {
-        seed = t;
+        seedWord = t;
         break;
       }
     }
-    if (seed) tokens.push(seed);
+    if (seedWord) tokens.push(seedWord);
 
     if (mode === "mostLikely") {
       // Start with prompt words (preserve order) then highest-count dictionary words
@@ -159,16 +182,21 @@ async function predict(prompt = "", opts = {}) {
         const w = words[idxs[i]];
         if (!tokens.includes(w)) tokens.push(w);
       }
-      return { text: capitalizeSentence(tokens.join(" ")), tokens };
+      return {
+        text: capitalizeSentence(tokens.join(" ")),
+        tokens,
+        dictionary: dictionaryName,
+        seed,
+      };
     }
 
     // sample
     const tempExp = 1 / Math.max(1e-8, temperature);
     const modWeights = counts.map((c) => Math.pow(c, tempExp));
-    // If seed is a prompt-only word (not in dictionary) we keep it as initial token and
+    // If seedWord is a prompt-only word (not in dictionary) we keep it as initial token and
     // do not attempt to zero out any index; if it exists in dictionary, zero it to avoid repeat
-    if (seed) {
-      const seedIdx = words.indexOf(seed);
+    if (seedWord) {
+      const seedIdx = words.indexOf(seedWord);
       if (seedIdx >= 0) modWeights[seedIdx] = 0;
     }
     // Prepend any prompt-unique tokens to ensure user's words appear
@@ -178,17 +206,30 @@ async function predict(prompt = "", opts = {}) {
     for (let i = tokens.length; tokens.length < length; i++) {
       const { cum, total } = cumulativeFromArray(modWeights);
       if (total <= 0) break;
-      const idx = sampleIndexFromCum(cum, total);
+      const idx = sampleIndexFromCum(cum, total, random);
       const w = words[idx];
       tokens.push(w);
       modWeights[idx] = 0;
     }
-    return { text: capitalizeSentence(tokens.join(" ")), tokens };
+    return {
+      text: capitalizeSentence(tokens.join(" ")),
+      tokens,
+      dictionary: dictionaryName,
+      seed,
+    };
   }
 
   // LLM-driven mode: instruct Ollama to produce a sentence using ONLY allowed words
-  // mergedAllowedList includes prompt words followed by iliad dictionary words
+  // mergedAllowedList includes prompt words followed by dictionary words
+  const persona = await personaLibrary.resolve(opts.persona || DEFAULT_PERSONA);
+  if (!persona && opts.persona) {
+    throw new Error(`Oracle: unknown persona ${JSON.stringify(opts.persona)}`);
+  }
+  const personaUsed = persona
+    ? { id: persona.id, version: persona.version }
+    : null;
   const allowedListStr = mergedAllowedList.join(" ");
+  const history = Array.isArray(opts.history) ? opts.history : [];
   const seedTokens = promptUnique.filter((t) => t && mergedAllowedSet.has(t));
   const maxAttempts = 3;
 
@@ -199,8 +240,17 @@ async function predict(prompt = "", opts = {}) {
     // Enforce exactly one sentence for LLM-driven responses per user's preference
     llmPrompt += `- Produce exactly one concise, coherent sentence. Do not produce multiple sentences or paragraphs.\n`;
     llmPrompt += `- Do not add explanations, commentary, or extra lines. Output ONLY the sentence.\n\n`;
-    if (CUSTOM_PROMPT_TEMPLATE && CUSTOM_PROMPT_TEMPLATE.trim()) {
-      llmPrompt += `Persona:\n${CUSTOM_PROMPT_TEMPLATE}\n\n`;
+    if (persona && persona.template.trim()) {
+      llmPrompt += `Persona:\n${persona.template.trim()}\n\n`;
+    }
+    // Earlier turns give the question its context; the prophecies already
+    // keep to the allowed words, the earlier questions are not added to them
+    if (history.length > 0) {
+      llmPrompt += `Earlier in this consultation (for context only; the allowed list still applies):\n`;
+      for (const turn of history) {
+        llmPrompt += `Seeker: ${turn.question}\nOracle: ${turn.prophecy}\n`;
+      }
+      llmPrompt += `\n`;
     }
     if (seedTokens.length > 0) {
       llmPrompt += `If possible, include these seed words from the allowed list: ${seedTokens.join(
@@ -211,50 +261,89 @@ async function predict(prompt = "", opts = {}) {
     llmPrompt += `Seed: ${prompt || ""}\n\nOutput:\n`;
 
     try {
-      const response = await ollamaClient.generate({
+      const response = await provider.generate({
         model,
         prompt: llmPrompt,
-        options: { temperature },
+        signal: opts.signal,
+        // A different seed per attempt, or every retry would repeat itself
+        options: { temperature, seed: (seed + attempt - 1) >>> 0 },
       });
       const raw = response && response.response ? response.response.trim() : "";
       const text = raw.replace(/\n+/g, " ").trim();
-      const toks = tokenize(text);
+      const toks = tokenize(text, language);
 
-      const bad = toks.filter((t) => !(allowedSet && allowedSet.has(t)));
-      if (bad.length === 0 && toks.length > 0) {
-        return { text: capitalizeSentence(toks.join(" ")), tokens: toks };
+      // Out-of-vocabulary words are replaced by the nearest allowed word or
+      // removed; only retry when too little of the sentence survives
+      const repair = repairTokens(toks, {
+        allowedSet: mergedAllowedSet,
+        words,
+        extraWords: promptUnique,
+        language,
+      });
+      if (
+        repair.tokens.length > 0 &&
+        repair.tokens.length >= toks.length * MIN_REPAIRED_SHARE
+      ) {
+        return {
+          text: capitalizeSentence(repair.tokens.join(" ")),
+          tokens: repair.tokens,
+          persona: personaUsed,
+          dictionary: dictionaryName,
+          seed,
+          substitutions: repair.substitutions,
+          removed: repair.removed,
+        };
       }
 
-      // If LLM used disallowed words, retry; final fallback to local sampling
+      // If LLM used disallowed words, retry; final fallback to the n-gram model
       if (attempt < maxAttempts) continue;
       // fallback
       const fallback = await predict(prompt, {
         length,
-        mode: "sample",
+        mode: "markov",
         temperature,
+        dictionary: dictionaryName,
+        seed,
       });
-      fallback.warning =
-        "LLM did not adhere to vocabulary constraints; returned fallback sampled prediction.";
+      fallback.warning = joinWarnings(
+        "LLM did not adhere to vocabulary constraints; returned fallback n-gram prediction.",
+        fallback.warning
+      );
       return fallback;
     } catch (err) {
+      // A cancelled request gets no prophecy, not a fallback
+      if (err.name === "AbortError") throw err;
       const fallback = await predict(prompt, {
         length,
-        mode: "sample",
+        mode: "markov",
         temperature,
+        dictionary: dictionaryName,
+        seed,
       });
-      fallback.warning = `LLM error: ${err.message}`;
+      fallback.warning = joinWarnings(
+        `LLM error: ${err.message}`,
+        fallback.warning
+      );
       return fallback;
     }
   }
 }
 
+// Names of the dictionaries a request can choose from
+async function listDictionaries() {
+  return (await dictionaryLibrary.list()).map((entry) => entry.name);
+}
+
 export default {
   predict,
   tokenize,
+  listDictionaries,
+  DEFAULT_DICTIONARY,
+  // Words and counts of the default dictionary
   get words() {
-    return words;
+    return defaultDictionary ? defaultDictionary.words : [];
   },
   get counts() {
-    return counts;
+    return defaultDictionary ? defaultDictionary.counts : [];
   },
 };
@@ -0,0 +1,507 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { analyzeScript } from "./script-validator.js";
+import { INPUT_FORMATS, isInputFormat, toGreek } from "./transliteration.js";
+
+// Passage catalog. passages/catalog.json describes each text file:
+//   { id, file, title, work, book, start_line, end_line, language, source,
+//     translator, numbering, layout }
+// `language` is "grc" (Ancient Greek) or "en". `numbering` is "homeric" when
+// line numbers follow the Greek text and "translation" when they count the
+// translation's own verse lines (Pope's couplets do not line up with Homer).
+// A file with `layout: "gutenberg-books"` holds a whole work; it is split
+// into one virtual passage per book, `<id>_book<N>`.
+//
+// Citations look like "Iliad 1.1-5", "Od. 1.1–10", "Iliad I.20" or
+// "Iliad 24" (a whole book).
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const DEFAULT_DIR = path.join(__dirname, "..", "passages");
+const CATALOG_FILENAME = "catalog.json";
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const LANGUAGES = ["grc", "en"];
+const MAX_UPLOAD_BYTES = 100 * 1024;
+const MIN_GREEK_PURITY = 0.9;
+
+const WORKS = {
+  iliad: { title: "Iliad", books: 24, aliases: ["iliad", "il"] },
+  odyssey: { title: "Odyssey", books: 24, aliases: ["odyssey", "od"] },
+};
+
+const CITATION =
+  /^\s*([A-Za-z]+)\.?\s+(\d+|[IVXLivxl]+)(?:\.(\d+)(?:\s*[-–—]\s*(\d+))?)?\s*$/;
+const ROMAN = { i: 1, v: 5, x: 10, l: 50 };
+const FOOTNOTE_MARK = /\[\d+\]/g;
+
+// Error carrying the HTTP status the API should answer with
+class PassageError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "PassageError";
+    this.status = status;
+  }
+}
+
+function isValidPassageId(id) {
+  return typeof id === "string" && ID_PATTERN.test(id);
+}
+
+function romanToInt(numeral) {
+  const digits = [...numeral.toLowerCase()].map((ch) => ROMAN[ch]);
+  return digits.reduce(
+    (sum, value, i) =>
+      value < (digits[i + 1] || 0) ? sum - value : sum + value,
+    0
+  );
+}
+
+function findWork(name) {
+  const key = name.toLowerCase();
+  return (
+    Object.keys(WORKS).find((work) => WORKS[work].aliases.includes(key)) || null
+  );
+}
+
+// "Iliad 1.1-5" → { work: "iliad", book: 1, start: 1, end: 5 }. A bare book
+// ("Iliad 1") has start/end null. Returns null if it is not a citation.
+function parseCitation(citation) {
+  const match = CITATION.exec(citation || "");
+  if (!match) return null;
+  const work = findWork(match[1]);
+  if (!work) return null;
+  const book = /^\d+$/.test(match[2])
+    ? parseInt(match[2])
+    : romanToInt(match[2]);
+  const start = match[3] ? parseInt(match[3]) : null;
+  const end = match[4] ? parseInt(match[4]) : start;
+  if (book < 1 || book > WORKS[work].books) return null;
+  if (start !== null && (start < 1 || end < start)) return null;
+  return { work, book, start, end };
+}
+
+function formatCitation({ work, book, start, end }) {
+  const title = WORKS[work] ? WORKS[work].title : work;
+  if (start === null || start === undefined) return `${title} ${book}`;
+  return start === end
+    ? `${title} ${book}.${start}`
+    : `${title} ${book}.${start}-${end}`;
+}
+
+// Non-blank lines of a passage, trimmed
+const verseLines = (text) =>
+  text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+// Split a Project Gutenberg translation laid out as "BOOK I." sections, each
+// opening with an ARGUMENT heading, a title and a prose summary, into the
+// verse of each book. Illustration captions and footnote markers are
+// dropped. Returns [{ book, title, lines }].
+function splitGutenbergBooks(raw) {
+  const lines = raw.replace(/\r\n/g, "\n").split("\n");
+  const headings = [];
+  lines.forEach((line, i) => {
+    if (/^BOOK [IVXL]+\.?$/.test(line.trim())) headings.push(i);
+  });
+  let end = lines.findIndex((line) =>
+    /^(CONCLUDING NOTE|END OF THE [A-Z]+)\.?$/.test(line.trim())
+  );
+  if (end === -1) end = lines.length;
+
+  return headings.map((start, k) => {
+    const stop = k + 1 < headings.length ? headings[k + 1] : end;
+    // Sections are separated by two or more blank lines:
+    // ARGUMENT / title / summary / verse...
+    const blocks = lines
+      .slice(start + 1, stop)
+      .join("\n")
+      .split(/\n\s*\n\s*\n+/)
+      .map((block) => block.trim())
+      .filter(Boolean);
+    const hasArgument = blocks.length > 0 && /^ARGUMENT/.test(blocks[0]);
+    const title =
+      hasArgument && blocks[1] ? blocks[1].replace(FOOTNOTE_MARK, "") : "";
+    const verse = blocks
+      .slice(hasArgument ? 3 : 0)
+      .flatMap((block) => block.split(/\n\s*\n/))
+      .filter((stanza) => !stanza.trim().startsWith("[Illustration"))
+      .flatMap((stanza) => verseLines(stanza.replace(FOOTNOTE_MARK, "")));
+
+    return {
+      book: romanToInt(lines[start].trim().slice(5).replace(".", "")),
+      title: title.replace(/\.$/, ""),
+      lines: verse,
+    };
+  });
+}
+
+// Public description of a catalog entry (no text)
+function describe(entry, lineCount) {
+  const start = entry.start_line || (entry.book ? 1 : null);
+  const end =
+    entry.end_line ||
+    (start !== null && lineCount ? start + lineCount - 1 : null);
+  return {
+    id: entry.id,
+    title: entry.title || entry.id,
+    work: entry.work || null,
+    book: entry.book || null,
+    start_line: start,
+    end_line: end,
+    lines: lineCount,
+    citation:
+      entry.work && WORKS[entry.work] && entry.book && start !== null
+        ? formatCitation({ work: entry.work, book: entry.book, start, end })
+        : null,
+    language: entry.language || null,
+    source: entry.source || null,
+    translator: entry.translator || null,
+    numbering: entry.numbering || null,
+    ...(entry.parent ? { parent: entry.parent } : {}),
+  };
+}
+
+class PassageCatalog {
+  constructor(dir = DEFAULT_DIR) {
+    this.dir = dir;
+    this.catalogPath = path.join(dir, CATALOG_FILENAME);
+    // file → { mtimeMs, books } for split works
+    this.splitCache = new Map();
+    this.queue = Promise.resolve();
+  }
+
+  // Serialize catalog writes
+  exclusive(fn) {
+    const run = this.queue.then(fn, fn);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async readCatalog() {
+    try {
+      const raw = await fs.readFile(this.catalogPath, "utf-8");
+      return JSON.parse(raw).passages || [];
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+  }
+
+  async writeCatalog(passages) {
+    const tmpPath = `${this.catalogPath}.tmp`;
+    await fs.writeFile(
+      tmpPath,
+      JSON.stringify({ passages }, null, 2) + "\n",
+      "utf-8"
+    );
+    await fs.rename(tmpPath, this.catalogPath);
+  }
+
+  // Absolute path of a .txt file directly in the passages directory, or null
+  // for any other name (including ones that climb out of it)
+  resolveFile(filename) {
+    if (typeof filename !== "string" || !filename.endsWith(".txt")) {
+      return null;
+    }
+    const filepath = path.resolve(this.dir, filename);
+    if (path.dirname(filepath) !== path.resolve(this.dir)) return null;
+    return filepath;
+  }
+
+  async readFile(entry) {
+    return fs.readFile(path.join(this.dir, entry.file), "utf-8");
+  }
+
+  async books(entry) {
+    const filepath = path.join(this.dir, entry.file);
+    const stats = await fs.stat(filepath);
+    const cached = this.splitCache.get(entry.file);
+    if (cached && cached.mtimeMs === stats.mtimeMs) return cached.books;
+    const books = splitGutenbergBooks(await fs.readFile(filepath, "utf-8"));
+    this.splitCache.set(entry.file, { mtimeMs: stats.mtimeMs, books });
+    return books;
+  }
+
+  // Catalog entries with split works expanded into their books:
+  // [{ entry, lines }] where `lines` is the passage's verse lines
+  async entries() {
+    const expanded = [];
+    for (const entry of await this.readCatalog()) {
+      if (entry.layout === "gutenberg-books") {
+        for (const book of await this.books(entry)) {
+          expanded.push({
+            entry: {
+              ...entry,
+              id: `${entry.id}_book${book.book}`,
+              title: `${entry.title || entry.id}, Book ${book.book}${
+                book.title ? `: ${book.title}` : ""
+              }`,
+              book: book.book,
+              start_line: 1,
+              end_line: book.lines.length,
+              parent: entry.id,
+            },
+            lines: book.lines,
+          });
+        }
+        continue;
+      }
+      let lines = [];
+      try {
+        lines = verseLines(await this.readFile(entry));
+      } catch (error) {
+        console.warn(
+          `Passage catalog: cannot read ${entry.file}:`,
+          error.message
+        );
+        continue;
+      }
+      expanded.push({ entry, lines });
+    }
+    return expanded;
+  }
+
+  // filters: { work, language, book }
+  async list(filters = {}) {
+    const book = filters.book ? parseInt(filters.book) : null;
+    return (await this.entries())
+      .filter(({ entry }) => {
+        if (filters.work && entry.work !== findWork(filters.work)) return false;
+        if (filters.language && entry.language !== filters.language)
+          return false;
+        if (book && entry.book !== book) return false;
+        return true;
+      })
+      .map(({ entry, lines }) => describe(entry, lines.length));
+  }
+
+  // One passage by id: its description plus `content`. Returns null if the
+  // id is not in the catalog.
+  async get(id) {
+    if (!isValidPassageId(id)) return null;
+    const found = (await this.entries()).find(({ entry }) => entry.id === id);
+    if (!found) return null;
+    return {
+      ...describe(found.entry, found.lines.length),
+      content: found.lines.join("\n"),
+    };
+  }
+
+  // Text of a passage, or of every book of a split work (e.g. iliad_pope),
+  // for building corpora. Returns null if the id is not in the catalog.
+  async corpus(id) {
+    const passage = await this.get(id);
+    if (passage) return passage.content;
+    const books = (await this.entries()).filter(
+      ({ entry }) => entry.parent === id
+    );
+    if (books.length === 0) return null;
+    return books.map(({ lines }) => lines.join("\n")).join("\n");
+  }
+
+  // Resolve a citation to text. `language` picks the edition ("grc" by
+  // default; Greek is what the translation cycles start from).
+  // Throws PassageError (400 bad citation, 404 not covered).
+  async cite(citation, { language = "grc" } = {}) {
+    const parsed = parseCitation(citation);
+    if (!parsed) {
+      throw new PassageError(
+        `Cannot parse citation ${JSON.stringify(
+          citation
+        )}; expected e.g. "Iliad 1.1-5"`
+      );
+    }
+
+    for (const { entry, lines } of await this.entries()) {
+      if (entry.work !== parsed.work || entry.book !== parsed.book) continue;
+      if (entry.language !== language) continue;
+
+      const first = entry.start_line || 1;
+      const last = first + lines.length - 1;
+      const start = parsed.start === null ? first : parsed.start;
+      const end = parsed.end === null ? last : parsed.end;
+      if (start < first || end > last) continue;
+
+      return {
+        ...describe(entry, lines.length),
+        citation: formatCitation({ ...parsed, start, end }),
+        passage_id: entry.id,
+        start_line: start,
+        end_line: end,
+        lines: end - start + 1,
+        content: lines.slice(start - first, end - first + 1).join("\n"),
+      };
+    }
+
+    throw new PassageError(
+      `No ${language} passage covers ${formatCitation(parsed)}`,
+      404
+    );
+  }
+
+  // Add an uploaded passage: writes passages/<id>.txt and a catalog entry.
+  // Greek text may be Beta Code or a Latin transliteration (`input_format`,
+  // detected by default; text that is none of them is refused); it is stored
+  // as Unicode.
+  // metadata: { id, title, work, book, start_line, end_line, language,
+  //             source, translator }
+  async add({ text, input_format: inputFormat = "auto", ...metadata }) {
+    const {
+      id,
+      title,
+      work,
+      book,
+      start_line,
+      end_line,
+      language = "grc",
+      source = null,
+      translator = null,
+    } = metadata;
+
+    if (!isValidPassageId(id)) {
+      throw new PassageError(
+        "id must be lowercase letters, digits, '-' or '_'"
+      );
+    }
+    if (typeof text !== "string" || !text.trim()) {
+      throw new PassageError("text must be a non-empty string");
+    }
+    if (Buffer.byteLength(text, "utf-8") > MAX_UPLOAD_BYTES) {
+      throw new PassageError(
+        `text must be at most ${MAX_UPLOAD_BYTES / 1024} KB`
+      );
+    }
+    if (!LANGUAGES.includes(language)) {
+      throw new PassageError(
+        `language must be one of: ${LANGUAGES.join(", ")}`
+      );
+    }
+    if (!isInputFormat(inputFormat)) {
+      throw new PassageError(
+        `input_format must be one of: ${INPUT_FORMATS.join(", ")}`
+      );
+    }
+
+    const greek =
+      language === "grc" ? toGreek(text, { format: inputFormat }) : null;
+    if (greek && !greek.format) {
+      throw new PassageError(
+        "text does not look like Greek in Unicode, Beta Code or a Latin " +
+          "transliteration; set input_format to read it as one"
+      );
+    }
+    const lines = verseLines(greek ? greek.text : text);
+    const script = analyzeScript(
+      lines.join("\n"),
+      language === "grc" ? "greek" : "english",
+      { minPurity: MIN_GREEK_PURITY }
+    );
+    if (script.purity < MIN_GREEK_PURITY) {
+      throw new PassageError(
+        language === "grc"
+          ? "text does not look like Greek (too many non-Greek letters)"
+          : "text does not look like English (too many non-Latin letters)"
+      );
+    }
+
+    const workKey = work ? findWork(String(work)) : null;
+    if (work && !workKey) {
+      throw new PassageError(
+        `Unknown work "${work}". Available: ${Object.keys(WORKS).join(", ")}`
+      );
+    }
+    const bookNumber =
+      book === undefined || book === null ? null : parseInt(book);
+    if (workKey && !(bookNumber >= 1 && bookNumber <= WORKS[workKey].books)) {
+      throw new PassageError(
+        `book must be between 1 and ${WORKS[workKey].books}`
+      );
+    }
+    if (!workKey && bookNumber !== null) {
+      throw new PassageError("book requires a work");
+    }
+
+    let startLine = null;
+    let endLine = null;
+    if (workKey) {
+      startLine = start_line === undefined ? 1 : parseInt(start_line);
+      if (!(startLine >= 1)) {
+        throw new PassageError("start_line must be a positive integer");
+      }
+      endLine = startLine + lines.length - 1;
+      if (end_line !== undefined && parseInt(end_line) !== endLine) {
+        throw new PassageError(
+          `end_line ${end_line} does not match the text: ${lines.length} lines from ${startLine} end at ${endLine}`
+        );
+      }
+    }
+
+    return this.exclusive(async () => {
+      const passages = await this.readCatalog();
+      const filename = `${id}.txt`;
+      if (
+        passages.some((entry) => entry.id === id || entry.file === filename)
+      ) {
+        throw new PassageError(`Passage "${id}" already exists`, 409);
+      }
+      const fileExists = await fs.access(path.join(this.dir, filename)).then(
+        () => true,
+        () => false
+      );
+      if (fileExists) {
+        throw new PassageError(`A file named ${filename} already exists`, 409);
+      }
+
+      const entry = {
+        id,
+        file: filename,
+        title:
+          title ||
+          (workKey
+            ? formatCitation({
+                work: workKey,
+                book: bookNumber,
+                start: startLine,
+                end: endLine,
+              })
+            : id),
+        work: workKey,
+        book: bookNumber,
+        start_line: startLine,
+        end_line: endLine,
+        language,
+        source,
+        translator,
+        numbering: workKey
+          ? language === "grc"
+            ? "homeric"
+            : "translation"
+          : null,
+      };
+      await fs.writeFile(
+        path.join(this.dir, filename),
+        lines.join("\n") + "\n",
+        "utf-8"
+      );
+      await this.writeCatalog([...passages, entry]);
+      return describe(entry, lines.length);
+    });
+  }
+}
+
+const passageCatalog = new PassageCatalog();
+
+export {
+  PassageCatalog,
+  PassageError,
+  passageCatalog,
+  parseCitation,
+  formatCitation,
+  splitGutenbergBooks,
+  isValidPassageId,
+  WORKS,
+};
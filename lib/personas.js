@@ -0,0 +1,280 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// File-backed persona library. Each persona is personas/<id>.json:
+//   { id, name, description, role, versions: [{ version, template, created_at }] }
+// `role` says where the persona is meant to be used: "to_english",
+// "to_greek", "oracle" or "any". Editing a template appends a new version,
+// so results can record exactly which wording produced them.
+//
+// Personas are archived rather than deleted ({ archived: true, archived_at }),
+// so the { id, version } a saved run records always resolves. Archived
+// personas are left out of listings and cannot be used by id alone. The
+// built-in personas the endpoints fall back to cannot be archived.
+//
+// Templates may use {{direction}}, {{source_language}}, {{target_language}},
+// {{passage_name}} and {{cycle}}.
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const DEFAULT_DIR = path.join(__dirname, "..", "personas");
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+// Defaults of the translation endpoints (poet, muse) and the oracle
+const BUILT_IN_PERSONAS = ["poet", "muse", "oracle"];
+const ROLES = ["to_english", "to_greek", "oracle", "any"];
+const TEMPLATE_VARIABLES = [
+  "direction",
+  "source_language",
+  "target_language",
+  "passage_name",
+  "cycle",
+];
+const PLACEHOLDER = /\{\{\s*([a-z_]+)\s*\}\}/g;
+
+function isValidPersonaId(id) {
+  return typeof id === "string" && ID_PATTERN.test(id);
+}
+
+// Variables for one hop of a cycle
+function hopVariables(direction, { passageName = "custom", cycle = 1 } = {}) {
+  const toGreek = direction === "to_greek";
+  return {
+    direction: toGreek ? "English → Greek" : "Greek → English",
+    source_language: toGreek ? "English" : "Ancient Greek",
+    target_language: toGreek ? "Ancient Greek" : "English",
+    passage_name: passageName,
+    cycle,
+  };
+}
+
+// How a run records the personas it used ({ to_english, to_greek } → refs)
+function personaMetadata(personas = {}) {
+  return Object.fromEntries(
+    Object.entries(personas).map(([direction, persona]) => [
+      direction,
+      persona ? { id: persona.id, version: persona.version } : null,
+    ])
+  );
+}
+
+function renderPersona(persona, variables = {}) {
+  return persona.template.replace(PLACEHOLDER, (match, name) =>
+    Object.prototype.hasOwnProperty.call(variables, name)
+      ? String(variables[name])
+      : ""
+  );
+}
+
+// Returns an error message, or null if the template is usable
+function validateTemplate(template) {
+  if (typeof template !== "string" || !template.trim()) {
+    return "template must be a non-empty string";
+  }
+  const unknown = [...template.matchAll(PLACEHOLDER)]
+    .map((match) => match[1])
+    .filter((name) => !TEMPLATE_VARIABLES.includes(name));
+  if (unknown.length > 0) {
+    return `Unknown template variables: ${[...new Set(unknown)].join(
+      ", "
+    )}. Available: ${TEMPLATE_VARIABLES.join(", ")}`;
+  }
+  return null;
+}
+
+function summarize(persona) {
+  const latest = persona.versions[persona.versions.length - 1];
+  return {
+    id: persona.id,
+    name: persona.name,
+    description: persona.description || "",
+    role: persona.role,
+    version: latest.version,
+    versions: persona.versions.length,
+    updated_at: latest.created_at,
+    ...(persona.archived ? { archived: true } : {}),
+  };
+}
+
+class PersonaLibrary {
+  constructor(dir = DEFAULT_DIR) {
+    this.dir = dir;
+  }
+
+  filePath(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  async read(id) {
+    if (!isValidPersonaId(id)) return null;
+    try {
+      return JSON.parse(await fs.readFile(this.filePath(id), "utf-8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  async write(persona) {
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(
+      this.filePath(persona.id),
+      JSON.stringify(persona, null, 2) + "\n",
+      "utf-8"
+    );
+  }
+
+  // `archived: true` includes archived personas
+  async list({ role, archived = false } = {}) {
+    let files = [];
+    try {
+      files = await fs.readdir(this.dir);
+    } catch {
+      return [];
+    }
+    const personas = [];
+    for (const filename of files.sort()) {
+      if (!filename.endsWith(".json")) continue;
+      const persona = await this.read(filename.slice(0, -".json".length));
+      if (!persona) continue;
+      if (persona.archived && !archived) continue;
+      if (role && persona.role !== role && persona.role !== "any") continue;
+      personas.push(summarize(persona));
+    }
+    return personas;
+  }
+
+  async get(id) {
+    return this.read(id);
+  }
+
+  // Resolve `ref` (an id, or { id, version }) to one concrete version:
+  // { id, name, role, version, template }. Returns null if not found, and
+  // for an archived persona named without a version.
+  async resolve(ref) {
+    const { id, version } = typeof ref === "string" ? { id: ref } : ref || {};
+    const persona = await this.read(id);
+    if (!persona) return null;
+    const latest = version === undefined || version === null;
+    if (latest && persona.archived) return null;
+    const entry = latest
+      ? persona.versions[persona.versions.length - 1]
+      : persona.versions.find((v) => v.version === Number(version));
+    if (!entry) return null;
+    return {
+      id: persona.id,
+      name: persona.name,
+      role: persona.role,
+      version: entry.version,
+      template: entry.template,
+    };
+  }
+
+  async create({ id, name, description = "", role = "any", template }) {
+    if (!isValidPersonaId(id)) {
+      throw new PersonaError(
+        "id must be lowercase letters, digits, '-' or '_'",
+        400
+      );
+    }
+    if (!ROLES.includes(role)) {
+      throw new PersonaError(`role must be one of: ${ROLES.join(", ")}`, 400);
+    }
+    const templateError = validateTemplate(template);
+    if (templateError) throw new PersonaError(templateError, 400);
+    const existing = await this.read(id);
+    if (existing) {
+      throw new PersonaError(
+        `Persona "${id}" already exists${
+          existing.archived ? " (archived)" : ""
+        }`,
+        409
+      );
+    }
+
+    const persona = {
+      id,
+      name: name || id,
+      description,
+      role,
+      versions: [
+        { version: 1, template, created_at: new Date().toISOString() },
+      ],
+    };
+    await this.write(persona);
+    return persona;
+  }
+
+  // Update name/description/role in place; a changed template becomes a new
+  // version. Returns null if the persona does not exist.
+  async update(id, { name, description, role, template }) {
+    const persona = await this.read(id);
+    if (!persona) return null;
+    if (persona.archived) {
+      throw new PersonaError(`Persona "${id}" is archived`, 409);
+    }
+
+    if (role !== undefined && !ROLES.includes(role)) {
+      throw new PersonaError(`role must be one of: ${ROLES.join(", ")}`, 400);
+    }
+    if (name !== undefined) persona.name = name;
+    if (description !== undefined) persona.description = description;
+    if (role !== undefined) persona.role = role;
+
+    if (template !== undefined) {
+      const templateError = validateTemplate(template);
+      if (templateError) throw new PersonaError(templateError, 400);
+      const latest = persona.versions[persona.versions.length - 1];
+      if (template !== latest.template) {
+        persona.versions.push({
+          version: latest.version + 1,
+          template,
+          created_at: new Date().toISOString(),
+        });
+      }
+    }
+
+    await this.write(persona);
+    return persona;
+  }
+
+  // Archive a persona. Returns null if it does not exist.
+  async archive(id) {
+    const persona = await this.read(id);
+    if (!persona) return null;
+    if (BUILT_IN_PERSONAS.includes(id)) {
+      throw new PersonaError(`Persona "${id}" is built in`, 409);
+    }
+    if (!persona.archived) {
+      persona.archived = true;
+      persona.archived_at = new Date().toISOString();
+      await this.write(persona);
+    }
+    return persona;
+  }
+}
+
+// Error carrying the HTTP status the API should answer with
+class PersonaError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "PersonaError";
+    this.status = status;
+  }
+}
+
+const personaLibrary = new PersonaLibrary();
+
+export {
+  PersonaLibrary,
+  PersonaError,
+  personaLibrary,
+  renderPersona,
+  personaMetadata,
+  hopVariables,
+  isValidPersonaId,
+  BUILT_IN_PERSONAS,
+  TEMPLATE_VARIABLES,
+  ROLES,
+};
@@ -0,0 +1,538 @@
+// Pronunciation of polytonic Greek for speech synthesis, in one of three
+// schemes:
+//   - restored: reconstructed Attic of the 5th century BC (after W. S.
+//     Allen, Vox Graeca), with aspirated stops, vowel length and a pitch
+//     accent; close enough to Homer's for a reading voice
+//   - erasmian: the school pronunciation, with the accent read as stress
+//   - modern: Modern Greek phonology (iotacism, fricatives, stress)
+// Each word is split into syllables, a vowel or diphthong with the
+// consonants before it, and word-internal clusters that can begin a word
+// ("πρ", "σθ", "μν") go with the following syllable. The accented syllable
+// is marked in the IPA: pitch (á, â, à) in the restored scheme, stress (ˈ)
+// in the others.
+//
+// Browser voices can only read Modern Greek, and many skip polytonic
+// letters, so the result also carries `speech` { text, lang } for the voice:
+// monotonic Greek for an el-GR voice in the modern scheme, and a Latin
+// respelling with the accented vowel marked for an it-IT voice (plain
+// vowels, no Greek sounds it cannot spell) in the others.
+
+const PRONUNCIATION_SCHEMES = ["restored", "erasmian", "modern"];
+const DEFAULT_PRONUNCIATION_SCHEME = "restored";
+const SPEECH_LANGS = { restored: "it-IT", erasmian: "it-IT", modern: "el-GR" };
+
+const ACUTE = "\u0301";
+const GRAVE = "\u0300";
+const CIRCUMFLEX = "\u0342";
+const SMOOTH = "\u0313";
+const ROUGH = "\u0314";
+const IOTA_SUBSCRIPT = "\u0345";
+const DIAERESIS = "\u0308";
+const MACRON = "\u0304";
+const BREVE = "\u0306";
+const ACCENTS = {
+  [ACUTE]: "acute",
+  [GRAVE]: "grave",
+  [CIRCUMFLEX]: "circumflex",
+};
+const IPA_PITCH = { acute: "\u0301", grave: "\u0300", circumflex: "\u0302" };
+
+const VOWELS = "αεηιουω";
+const CONSONANTS = "βγδζθκλμνξπρστφχψ";
+const DIPHTHONGS = new Set([
+  "αι",
+  "ει",
+  "οι",
+  "υι",
+  "αυ",
+  "ευ",
+  "ηυ",
+  "ου",
+  "ωυ",
+]);
+const WORD = /[\p{Script=Greek}\p{M}]+/gu;
+
+// Clusters that can begin a Greek word, so never split between syllables
+const ONSETS = new Set([
+  "πλ",
+  "πρ",
+  "βλ",
+  "βρ",
+  "φλ",
+  "φρ",
+  "τρ",
+  "δρ",
+  "θρ",
+  "κλ",
+  "κρ",
+  "γλ",
+  "γρ",
+  "χλ",
+  "χρ",
+  "πν",
+  "κν",
+  "γν",
+  "θν",
+  "χν",
+  "μν",
+  "τμ",
+  "δμ",
+  "θλ",
+  "κτ",
+  "πτ",
+  "φθ",
+  "χθ",
+  "βδ",
+  "γδ",
+  "σπ",
+  "στ",
+  "σκ",
+  "σφ",
+  "σθ",
+  "σχ",
+  "σμ",
+  "στρ",
+  "σπλ",
+  "σπρ",
+  "σκλ",
+  "σκρ",
+  "σφρ",
+]);
+
+// Vowels as [ipa, respelling]. Entries with two ipa forms are [short, long]
+// for α, ι and υ, whose length the spelling does not always show.
+const VOWEL_SOUNDS = {
+  restored: {
+    α: [["a", "aː"], "a"],
+    ε: ["e", "e"],
+    η: ["ɛː", "e"],
+    ι: [["i", "iː"], "i"],
+    ο: ["o", "o"],
+    υ: [["y", "yː"], "u"],
+    ω: ["ɔː", "o"],
+    αι: ["ai\u032f", "ai"],
+    ει: ["eː", "e"],
+    οι: ["oi\u032f", "oi"],
+    υι: ["yi\u032f", "ui"],
+    αυ: ["au\u032f", "au"],
+    ευ: ["eu\u032f", "eu"],
+    ηυ: ["ɛːu\u032f", "eu"],
+    ου: ["uː", "u"],
+    ωυ: ["ɔːu\u032f", "ou"],
+    ᾳ: ["aːi\u032f", "ai"],
+    ῃ: ["ɛːi\u032f", "ei"],
+    ῳ: ["ɔːi\u032f", "oi"],
+  },
+  erasmian: {
+    α: [["a", "aː"], "a"],
+    ε: ["e", "e"],
+    η: ["ɛː", "e"],
+    ι: [["i", "iː"], "i"],
+    ο: ["o", "o"],
+    υ: [["y", "yː"], "u"],
+    ω: ["ɔː", "o"],
+    αι: ["ai\u032f", "ai"],
+    ει: ["ei\u032f", "ei"],
+    οι: ["oi\u032f", "oi"],
+    υι: ["yi\u032f", "ui"],
+    αυ: ["au\u032f", "au"],
+    ευ: ["eu\u032f", "eu"],
+    ηυ: ["ɛːu\u032f", "eu"],
+    ου: ["uː", "u"],
+    ωυ: ["ɔːu\u032f", "ou"],
+    ᾳ: ["aː", "a"],
+    ῃ: ["ɛː", "e"],
+    ῳ: ["ɔː", "o"],
+  },
+  modern: {
+    α: ["a"],
+    ε: ["e"],
+    η: ["i"],
+    ι: ["i"],
+    ο: ["o"],
+    υ: ["i"],
+    ω: ["o"],
+    αι: ["e"],
+    ει: ["i"],
+    οι: ["i"],
+    υι: ["i"],
+    ου: ["u"],
+    ᾳ: ["a"],
+    ῃ: ["i"],
+    ῳ: ["o"],
+  },
+};
+
+// Consonants as [ipa, respelling] (the modern scheme is worked out in
+// modernConsonant)
+const CONSONANT_SOUNDS = {
+  restored: {
+    β: ["b", "b"],
+    γ: ["ɡ", "g"],
+    δ: ["d", "d"],
+    ζ: ["zd", "sd"],
+    θ: ["tʰ", "th"],
+    κ: ["k", "k"],
+    λ: ["l", "l"],
+    μ: ["m", "m"],
+    ν: ["n", "n"],
+    ξ: ["ks", "ks"],
+    π: ["p", "p"],
+    ρ: ["r", "r"],
+    σ: ["s", "s"],
+    τ: ["t", "t"],
+    φ: ["pʰ", "ph"],
+    χ: ["kʰ", "kh"],
+    ψ: ["ps", "ps"],
+  },
+  erasmian: {
+    β: ["b", "b"],
+    γ: ["ɡ", "g"],
+    δ: ["d", "d"],
+    ζ: ["dz", "z"],
+    θ: ["θ", "th"],
+    κ: ["k", "k"],
+    λ: ["l", "l"],
+    μ: ["m", "m"],
+    ν: ["n", "n"],
+    ξ: ["ks", "ks"],
+    π: ["p", "p"],
+    ρ: ["r", "r"],
+    σ: ["s", "s"],
+    τ: ["t", "t"],
+    φ: ["f", "f"],
+    χ: ["x", "kh"],
+    ψ: ["ps", "ps"],
+  },
+};
+
+const VELARS = "γκχξ";
+const VOICED = "βγδζλμνρ";
+const VOICELESS = "θκξπστφχψ";
+
+function isPronunciationScheme(name) {
+  return PRONUNCIATION_SCHEMES.includes(name);
+}
+
+// A word's letters: { base, marks, text } with the base lowercased (final
+// sigma as σ) and `text` as written. Non-Greek letters are dropped.
+function letters(word) {
+  const result = [];
+  for (const char of word.normalize("NFD")) {
+    if (/\p{M}/u.test(char)) {
+      const last = result[result.length - 1];
+      if (last) {
+        last.marks.add(char);
+        last.text += char;
+      }
+      continue;
+    }
+    const base = char.toLowerCase().replace("ς", "σ");
+    if (!VOWELS.includes(base) && !CONSONANTS.includes(base)) continue;
+    result.push({ base, marks: new Set(), text: char });
+  }
+  return result;
+}
+
+// Letters → segments: vowels (single or diphthong) and consonants. Accents
+// and breathings of a diphthong are written on its second letter.
+function segments(word) {
+  const list = letters(word);
+  const result = [];
+  for (let i = 0; i < list.length; i++) {
+    const letter = list[i];
+    if (CONSONANTS.includes(letter.base)) {
+      result.push({
+        type: "consonant",
+        letter: letter.base,
+        rough: letter.marks.has(ROUGH),
+        text: letter.text,
+      });
+      continue;
+    }
+    const parts = [letter];
+    const next = list[i + 1];
+    if (
+      next &&
+      DIPHTHONGS.has(letter.base + next.base) &&
+      !next.marks.has(DIAERESIS) &&
+      ![ACUTE, GRAVE, CIRCUMFLEX, SMOOTH, ROUGH, IOTA_SUBSCRIPT].some((mark) =>
+        letter.marks.has(mark)
+      )
+    ) {
+      parts.push(next);
+      i++;
+    }
+    const marks = new Set(parts.flatMap((part) => [...part.marks]));
+    const iota = marks.has(IOTA_SUBSCRIPT);
+    const accentMark = [ACUTE, GRAVE, CIRCUMFLEX].find((mark) =>
+      marks.has(mark)
+    );
+    const key = parts.map((part) => part.base).join("");
+    result.push({
+      type: "vowel",
+      key: iota ? { α: "ᾳ", η: "ῃ", ω: "ῳ" }[key] || key : key,
+      long: vowelLength(key, marks),
+      accent: accentMark ? ACCENTS[accentMark] : null,
+      rough: marks.has(ROUGH),
+      text: parts.map((part) => part.text).join(""),
+    });
+  }
+  return result;
+}
+
+// true, false, or null when the spelling leaves α, ι or υ undecided
+function vowelLength(key, marks) {
+  if (key.length > 1 || marks.has(IOTA_SUBSCRIPT)) return true;
+  if (key === "η" || key === "ω") return true;
+  if (key === "ε" || key === "ο") return false;
+  if (marks.has(CIRCUMFLEX) || marks.has(MACRON)) return true;
+  if (marks.has(BREVE)) return false;
+  return null;
+}
+
+// How many of the consonants between two vowels close the first syllable
+function codaLength(cluster) {
+  for (let split = 0; split < cluster.length; split++) {
+    const onset = cluster
+      .slice(split)
+      .map((segment) => segment.letter)
+      .join("");
+    if (onset.length === 1 || ONSETS.has(onset)) return split;
+  }
+  return cluster.length;
+}
+
+// Split a word into syllables: [{ text, segments, long, accent }], where
+// `long` is the length of the syllable's vowel (true, false or null) and
+// `accent` "acute", "grave", "circumflex" or null
+function syllabify(word) {
+  const list = segments(word);
+  const nuclei = list
+    .map((segment, index) => (segment.type === "vowel" ? index : -1))
+    .filter((index) => index >= 0);
+  if (nuclei.length === 0) return [];
+
+  // Index of the first segment of each syllable
+  const starts = [0];
+  for (let n = 1; n < nuclei.length; n++) {
+    const cluster = list.slice(nuclei[n - 1] + 1, nuclei[n]);
+    starts.push(nuclei[n - 1] + 1 + codaLength(cluster));
+  }
+
+  return starts.map((start, n) => {
+    const end = n + 1 < starts.length ? starts[n + 1] : list.length;
+    const parts = list.slice(start, end);
+    const nucleus = list[nuclei[n]];
+    return {
+      text: parts
+        .map((segment) => segment.text)
+        .join("")
+        .normalize("NFC"),
+      segments: parts,
+      long: nucleus.long,
+      accent: nucleus.accent,
+    };
+  });
+}
+
+// [ipa, respelling] of every segment of a word, in order
+function wordSounds(list, scheme) {
+  return list.map((segment, i) => {
+    const next = list[i + 1];
+    if (segment.type === "vowel") {
+      if (scheme === "modern") return modernVowel(segment, next);
+      const [ipa, spelling] = VOWEL_SOUNDS[scheme][segment.key];
+      const sound = Array.isArray(ipa) ? ipa[segment.long ? 1 : 0] : ipa;
+      const breath = segment.rough ? ["h", "h"] : ["", ""];
+      return [breath[0] + sound, breath[1] + spelling];
+    }
+    if (scheme === "modern") return modernConsonant(list, i);
+
+    const [ipa, spelling] = CONSONANT_SOUNDS[scheme][segment.letter];
+    if (segment.letter === "γ" && next && VELARS.includes(next.letter)) {
+      return ["ŋ", "n"];
+    }
+    if (segment.letter === "ρ" && segment.rough && scheme === "restored") {
+      return ["r\u0325", "rh"];
+    }
+    if (segment.letter === "σ" && next && "βγδμ".includes(next.letter)) {
+      return ["z", "s"];
+    }
+    // Italian spelling would soften g before e and i
+    if (spelling === "g" && next && next.type === "vowel") {
+      const vowel = VOWEL_SOUNDS[scheme][next.key][1];
+      if (/^[ei]/.test(vowel) && !next.rough) return [ipa, "gh"];
+    }
+    return [ipa, spelling];
+  });
+}
+
+function modernVowel(segment, next) {
+  const key = segment.key;
+  if (["αυ", "ευ", "ηυ"].includes(key)) {
+    const vowel = { α: "a", ε: "e", η: "i" }[key[0]];
+    const voiceless =
+      !next || (next.type === "consonant" && VOICELESS.includes(next.letter));
+    return [vowel + (voiceless ? "f" : "v")];
+  }
+  return [VOWEL_SOUNDS.modern[key][0]];
+}
+
+function frontVowelFollows(list, i) {
+  const next = list[i + 1];
+  return Boolean(
+    next &&
+      next.type === "vowel" &&
+      /^[ei]/.test(VOWEL_SOUNDS.modern[next.key]?.[0] || "")
+  );
+}
+
+function modernConsonant(list, i) {
+  const { letter } = list[i];
+  const prev = list[i - 1];
+  const next = list[i + 1];
+  const front = frontVowelFollows(list, i);
+  const initial = i === 0;
+
+  if (letter === "γ" && next && VELARS.includes(next.letter)) {
+    return [initial ? "" : "ŋ"];
+  }
+  if (letter === "μ" && next && next.letter === "π") {
+    return [initial ? "" : "m"];
+  }
+  if (letter === "ν" && next && next.letter === "τ") {
+    return [initial ? "" : "n"];
+  }
+  // The second half of γκ, γγ, μπ, ντ is voiced
+  if (prev && prev.type === "consonant") {
+    const pair = prev.letter + letter;
+    if (pair === "γκ" || pair === "γγ") return [front ? "ɟ" : "ɡ"];
+    if (pair === "μπ") return ["b"];
+    if (pair === "ντ") return ["d"];
+    if (pair === "τζ") return ["z"];
+  }
+  if (letter === "τ" && next && next.letter === "ζ") return ["d"];
+  // Double consonants are pronounced single
+  if (next && next.letter === letter) return [""];
+
+  switch (letter) {
+    case "β":
+      return ["v"];
+    case "γ":
+      return [front ? "ʝ" : "ɣ"];
+    case "δ":
+      return ["ð"];
+    case "κ":
+      return [front ? "c" : "k"];
+    case "χ":
+      return [front ? "ç" : "x"];
+    case "σ":
+      return [next && VOICED.includes(next.letter) ? "z" : "s"];
+    case "φ":
+      return ["f"];
+    default:
+      return [CONSONANT_SOUNDS.erasmian[letter][0]];
+  }
+}
+
+// { text, syllables, accent, ipa, spelling } for one word
+function pronounceWord(word, scheme) {
+  const syllables = syllabify(word);
+  if (syllables.length === 0) return null;
+  const list = syllables.flatMap((syllable) => syllable.segments);
+  const sounds = wordSounds(list, scheme);
+
+  const accentIndex = syllables.findIndex((syllable) => syllable.accent);
+  const ipaSyllables = [];
+  const spelled = [];
+  let offset = 0;
+  syllables.forEach((syllable, n) => {
+    const parts = sounds.slice(offset, offset + syllable.segments.length);
+    offset += syllable.segments.length;
+    let ipa = parts.map((part) => part[0]).join("");
+    let spelling = parts.map((part) => part[1] || "").join("");
+    if (n === accentIndex) {
+      if (scheme === "restored") {
+        ipa = ipa.replace(/[aeiouyɛɔ]/, (v) => v + IPA_PITCH[syllable.accent]);
+      } else {
+        ipa = "ˈ" + ipa;
+      }
+      spelling = spelling.replace(/[aeiou]/, (v) => v + ACUTE);
+    }
+    ipaSyllables.push(ipa);
+    spelled.push(spelling);
+  });
+
+  let spelling = spelled.join("").normalize("NFC");
+  if (/^\p{Lu}/u.test(word.normalize("NFD"))) {
+    spelling = spelling.charAt(0).toUpperCase() + spelling.slice(1);
+  }
+  return {
+    text: word,
+    syllables: syllables.map((syllable) => syllable.text),
+    accent:
+      accentIndex >= 0
+        ? { syllable: accentIndex, type: syllables[accentIndex].accent }
+        : null,
+    ipa: ipaSyllables.join(".").normalize("NFC"),
+    spelling,
+  };
+}
+
+// Modern monotonic spelling: no breathings or iota subscripts, one accent
+// (tonos) and none on words of one syllable
+function monotonic(word, syllableCount) {
+  let text = word
+    .normalize("NFD")
+    .replace(/[\u0313\u0314\u0345\u0304\u0306]/gu, "")
+    .replace(/[\u0300\u0342]/gu, ACUTE);
+  if (syllableCount < 2) text = text.replace(/\u0301/gu, "");
+  return text.normalize("NFC");
+}
+
+// Pronunciation of a Greek text in `scheme`:
+//   { scheme, ipa, speech: { text, lang }, words: [{ text, syllables,
+//     accent: { syllable, type } | null, ipa }] }
+// Punctuation and line breaks are kept in `ipa` and `speech.text`; words
+// in other scripts pass through unchanged.
+function pronounce(text, { scheme = DEFAULT_PRONUNCIATION_SCHEME } = {}) {
+  if (!isPronunciationScheme(scheme)) {
+    throw new Error(
+      `Unknown pronunciation scheme "${scheme}". Available: ${PRONUNCIATION_SCHEMES.join(
+        ", "
+      )}`
+    );
+  }
+  const source = (text || "").normalize("NFC");
+  const words = [];
+  const render = (field) =>
+    source.replace(WORD, (word) => {
+      const result = pronounceWord(word, scheme);
+      if (!result) return word;
+      if (field === "ipa") words.push(result);
+      if (field === "speech" && scheme === "modern") {
+        return monotonic(word, result.syllables.length);
+      }
+      return field === "ipa" ? result.ipa : result.spelling;
+    });
+
+  const ipa = render("ipa");
+  const speech = render("speech")
+    // Elision marks are letters to the voice
+    .replace(/[᾽᾿ʼ’]/gu, "'");
+  return {
+    scheme,
+    ipa,
+    speech: { text: speech, lang: SPEECH_LANGS[scheme] },
+    words: words.map(({ spelling, ...word }) => word),
+  };
+}
+
+export {
+  DEFAULT_PRONUNCIATION_SCHEME,
+  PRONUNCIATION_SCHEMES,
+  isPronunciationScheme,
+  pronounce,
+  syllabify,
+};
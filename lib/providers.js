@@ -0,0 +1,556 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import { Ollama } from "ollama";
+import { config } from "./config.js";
+
+// LLM provider layer shared by TranslationEngine and the oracle.
+// Every provider exposes the same small surface:
+//   generate({ model, prompt, options, signal }) -> { response }
+//   stream({ model, prompt, options, signal }) -> async iterable of text chunks
+//   list() -> [model names]
+//   warmUp(model) -> loads a model into memory ahead of use (optional; only
+//                    Ollama, and recordings of it, have one)
+// Aborting `signal` stops a generation or a stream with an AbortError.
+// `options` uses Ollama's option names (temperature, seed, num_predict, ...);
+// other backends translate them to their own request fields.
+//
+// Cassettes record and replay LLM calls (cassettes/<name>.jsonl):
+//   record:<name>[:<provider>]  passes calls to <provider> (the default
+//                               provider, or ollama) and appends each one
+//   replay:<name>               answers from the cassette, without a model
+// Either can be named per request like any provider, or for the whole
+// server with LLM_PROVIDER.
+//
+// The default provider, the Ollama host and the OpenAI-compatible base URL
+// come from lib/config.js.
+
+const DEFAULT_PROVIDER = config.provider;
+const DEFAULT_OLLAMA_HOST = config.ollama.host;
+const DEFAULT_OPENAI_BASE_URL = config.openai.base_url;
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const CASSETTE_DIR =
+  process.env.LLM_CASSETTE_DIR || path.join(__dirname, "..", "cassettes");
+const CASSETTE_NAME = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+
+class OllamaProvider {
+  constructor({
+    host = DEFAULT_OLLAMA_HOST,
+    keepAlive = config.ollama.keep_alive,
+  } = {}) {
+    this.name = "ollama";
+    this.host = host;
+    this.keepAlive = keepAlive;
+    this.client = new Ollama({ host });
+  }
+
+  // Request fields shared by every call: how long the model stays loaded
+  request(fields) {
+    return this.keepAlive === null || this.keepAlive === undefined
+      ? fields
+      : { ...fields, keep_alive: this.keepAlive };
+  }
+
+  // The client can only abort streamed requests, so a generation that may
+  // be cancelled is streamed and collected
+  async generate({ model, prompt, options = {}, signal }) {
+    if (signal) {
+      let text = "";
+      for await (const token of this.stream({
+        model,
+        prompt,
+        options,
+        signal,
+      })) {
+        text += token;
+      }
+      return { response: text };
+    }
+    const response = await this.client.generate(
+      this.request({ model, prompt, options })
+    );
+    return { response: response.response || "" };
+  }
+
+  async *stream({ model, prompt, options = {}, signal }) {
+    throwIfAborted(signal);
+    const iterator = await this.client.generate(
+      this.request({ model, prompt, options, stream: true })
+    );
+    const onAbort = () => iterator.abort();
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+    try {
+      for await (const part of iterator) {
+        if (part.response) yield part.response;
+      }
+      throwIfAborted(signal);
+    } catch (error) {
+      throwIfAborted(signal);
+      throw error;
+    } finally {
+      if (signal) signal.removeEventListener("abort", onAbort);
+    }
+  }
+
+  async list() {
+    const models = await this.client.list();
+    return models.models.map((model) => model.name);
+  }
+
+  // An empty prompt loads the model without generating anything
+  async warmUp(model) {
+    await this.client.generate(this.request({ model, prompt: "" }));
+  }
+}
+
+// Speaks the OpenAI chat completions protocol, as served by llama.cpp's
+// `llama-server`, vLLM and similar local servers.
+class OpenAICompatibleProvider {
+  constructor({
+    baseURL = DEFAULT_OPENAI_BASE_URL,
+    apiKey = process.env.OPENAI_API_KEY || "",
+  } = {}) {
+    this.name = "openai";
+    this.baseURL = baseURL.replace(/\/+$/, "");
+    this.apiKey = apiKey;
+  }
+
+  headers() {
+    const headers = { "Content-Type": "application/json" };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+    return headers;
+  }
+
+  async request(pathname, init = {}) {
+    const response = await fetch(`${this.baseURL}${pathname}`, {
+      ...init,
+      headers: this.headers(),
+    });
+    if (!response.ok) {
+      const body = await response.text().catch(() => "");
+      throw new Error(
+        `${this.name} provider: HTTP ${response.status} ${body}`.trim()
+      );
+    }
+    return response.json();
+  }
+
+  completionBody(model, prompt, options) {
+    const body = {
+      model,
+      messages: [{ role: "user", content: prompt }],
+    };
+    if (typeof options.temperature === "number")
+      body.temperature = options.temperature;
+    if (typeof options.top_p === "number") body.top_p = options.top_p;
+    if (typeof options.seed === "number") body.seed = options.seed;
+    if (typeof options.num_predict === "number")
+      body.max_tokens = options.num_predict;
+    return body;
+  }
+
+  async generate({ model, prompt, options = {}, signal }) {
+    let data;
+    try {
+      data = await this.request("/chat/completions", {
+        method: "POST",
+        body: JSON.stringify(this.completionBody(model, prompt, options)),
+        signal,
+      });
+    } catch (error) {
+      throwIfAborted(signal);
+      throw error;
+    }
+    const choice = data.choices && data.choices[0];
+    const text = choice && choice.message ? choice.message.content : "";
+    return { response: text || "" };
+  }
+
+  async *stream({ model, prompt, options = {}, signal }) {
+    const response = await fetch(`${this.baseURL}/chat/completions`, {
+      method: "POST",
+      headers: this.headers(),
+      body: JSON.stringify({
+        ...this.completionBody(model, prompt, options),
+        stream: true,
+      }),
+      signal,
+    });
+    if (!response.ok) {
+      const body = await response.text().catch(() => "");
+      throw new Error(
+        `${this.name} provider: HTTP ${response.status} ${body}`.trim()
+      );
+    }
+
+    // The body is itself an SSE stream of `data: {json}` lines
+    const decoder = new TextDecoder();
+    let buffer = "";
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+      for (const line of lines) {
+        const payload = line.replace(/^data:\s*/, "").trim();
+        if (!line.startsWith("data:") || !payload) continue;
+        if (payload === "[DONE]") return;
+        const data = JSON.parse(payload);
+        const choice = data.choices && data.choices[0];
+        const token = choice && choice.delta ? choice.delta.content : "";
+        if (token) yield token;
+      }
+    }
+  }
+
+  async list() {
+    const data = await this.request("/models");
+    return (data.data || []).map((model) => model.id);
+  }
+}
+
+// Deterministic offline provider. Responses are chosen in this order:
+//   1. the first rule whose `match` (a regular expression) matches the prompt
+//   2. the next entry of `responses`, consumed in order
+//   3. an echo of the prompt's input block (the text under e.g.
+//      "Text to translate:"), so translation cycles run end to end
+// Rules and responses can be loaded from the JSON file named by
+// SCRIPTED_RESPONSES: { "rules": [{ "match", "response" }], "responses": [] }
+class ScriptedProvider {
+  constructor({ rules = [], responses = [], models = ["scripted"] } = {}) {
+    this.name = "scripted";
+    this.rules = rules.map((rule) => ({
+      match: new RegExp(rule.match, "u"),
+      response: rule.response,
+    }));
+    this.responses = [...responses];
+    this.models = models;
+  }
+
+  static fromFile(filepath) {
+    const raw = fs.readFileSync(filepath, "utf-8");
+    return new ScriptedProvider(JSON.parse(raw));
+  }
+
+  async generate({ prompt, signal }) {
+    throwIfAborted(signal);
+    for (const rule of this.rules) {
+      if (rule.match.test(prompt)) return { response: rule.response };
+    }
+    if (this.responses.length > 0) {
+      return { response: this.responses.shift() };
+    }
+    return { response: extractInputBlock(prompt) };
+  }
+
+  // Replays the scripted response word by word so streaming clients see
+  // the same token/boundary sequence as with a live model.
+  async *stream({ model, prompt, options = {}, signal }) {
+    const { response } = await this.generate({ model, prompt, options });
+    for (const token of response.split(/(?<=\s)/u)) {
+      throwIfAborted(signal);
+      await new Promise((resolve) => setImmediate(resolve));
+      yield token;
+    }
+    throwIfAborted(signal);
+  }
+
+  async list() {
+    return this.models;
+  }
+}
+
+// Identifies a call for replay: the model, prompt and options (key order
+// ignored), not the provider that answered it
+function cassetteKey({ model, prompt, options = {} }) {
+  const sorted = Object.fromEntries(
+    Object.keys(options)
+      .sort()
+      .map((key) => [key, options[key]])
+  );
+  return crypto
+    .createHash("sha1")
+    .update(JSON.stringify({ model, prompt, options: sorted }))
+    .digest("hex");
+}
+
+function cassettePath(name) {
+  return path.join(CASSETTE_DIR, `${name}.jsonl`);
+}
+
+function listCassettes() {
+  try {
+    return fs
+      .readdirSync(CASSETTE_DIR)
+      .filter((filename) => filename.endsWith(".jsonl"))
+      .map((filename) => filename.slice(0, -".jsonl".length))
+      .sort();
+  } catch {
+    return [];
+  }
+}
+
+// Wraps another provider and appends every completed call to a cassette:
+// one JSON line { key, provider, model, prompt, options, response,
+// duration_ms, recorded_at }. Aborted streams are not recorded.
+class RecordingProvider {
+  constructor(name, inner) {
+    this.name = `record:${name}`;
+    this.inner = inner;
+    this.filepath = cassettePath(name);
+    this.queue = Promise.resolve();
+  }
+
+  record(request, response, started) {
+    const line = JSON.stringify({
+      key: cassetteKey(request),
+      provider: this.inner.name,
+      model: request.model,
+      prompt: request.prompt,
+      options: request.options || {},
+      response,
+      duration_ms: Date.now() - started,
+      recorded_at: new Date().toISOString(),
+    });
+    const write = async () => {
+      await fs.promises.mkdir(path.dirname(this.filepath), {
+        recursive: true,
+      });
+      await fs.promises.appendFile(this.filepath, `${line}\n`, "utf-8");
+    };
+    this.queue = this.queue.then(write, write);
+    return this.queue;
+  }
+
+  async generate({ signal, ...request }) {
+    const started = Date.now();
+    const result = await this.inner.generate({ ...request, signal });
+    await this.record(request, result.response, started);
+    return result;
+  }
+
+  async *stream({ model, prompt, options = {}, signal }) {
+    const started = Date.now();
+    let text = "";
+    for await (const token of this.inner.stream({
+      model,
+      prompt,
+      options,
+      signal,
+    })) {
+      text += token;
+      yield token;
+    }
+    await this.record({ model, prompt, options }, text, started);
+  }
+
+  async list() {
+    return this.inner.list();
+  }
+
+  async warmUp(model) {
+    if (typeof this.inner.warmUp === "function") {
+      await this.inner.warmUp(model);
+    }
+  }
+}
+
+// Serves recorded responses. Calls with the same model, prompt and options
+// get the recorded responses in order; once they run out the last one is
+// repeated. A call that was never recorded is an error. The cassette is
+// reread when its file changes (e.g. while it is being recorded).
+class ReplayProvider {
+  constructor(name) {
+    this.name = `replay:${name}`;
+    this.cassette = name;
+    this.filepath = cassettePath(name);
+    this.mtimeMs = null;
+    this.entries = new Map();
+    this.served = new Map();
+  }
+
+  load() {
+    const { mtimeMs } = fs.statSync(this.filepath);
+    if (mtimeMs === this.mtimeMs) return;
+    this.entries = new Map();
+    this.served = new Map();
+    const lines = fs.readFileSync(this.filepath, "utf-8").split("\n");
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue; // a partial line from an interrupted recording
+      }
+      const key = entry.key || cassetteKey(entry);
+      if (!this.entries.has(key)) this.entries.set(key, []);
+      this.entries.get(key).push(entry);
+    }
+    this.mtimeMs = mtimeMs;
+  }
+
+  async generate({ signal, ...request }) {
+    throwIfAborted(signal);
+    this.load();
+    const key = cassetteKey(request);
+    const recorded = this.entries.get(key);
+    if (!recorded) {
+      throw new Error(
+        `${this.name}: no recorded response for model ${
+          request.model
+        } and prompt "${request.prompt.slice(0, 60)}..."`
+      );
+    }
+    const index = this.served.get(key) || 0;
+    this.served.set(key, index + 1);
+    return {
+      response: recorded[Math.min(index, recorded.length - 1)].response,
+    };
+  }
+
+  // Replays the recorded response word by word, like ScriptedProvider
+  async *stream({ model, prompt, options = {}, signal }) {
+    throwIfAborted(signal);
+    const { response } = await this.generate({ model, prompt, options });
+    for (const token of response.split(/(?<=\s)/u)) {
+      throwIfAborted(signal);
+      await new Promise((resolve) => setImmediate(resolve));
+      yield token;
+    }
+    throwIfAborted(signal);
+  }
+
+  async list() {
+    this.load();
+    const models = new Set();
+    for (const recorded of this.entries.values()) {
+      for (const entry of recorded) models.add(entry.model);
+    }
+    return [...models];
+  }
+}
+
+// Whether two model names are the same model: Ollama reads "llama3.2" as
+// "llama3.2:latest"
+function sameModel(a, b) {
+  const tagged = (name) => (name.includes(":") ? name : `${name}:latest`);
+  return a === b || tagged(a) === tagged(b);
+}
+
+// "record:<name>[:<provider>]" / "replay:<name>" → { mode, name, inner },
+// or null for other names
+function parseCassetteProvider(spec) {
+  const match = /^(record|replay):([^:]+)(?::(.+))?$/.exec(spec || "");
+  if (!match || !CASSETTE_NAME.test(match[2])) return null;
+  const [, mode, name, inner] = match;
+  if (mode === "replay" && inner) return null;
+  return { mode, name, inner: inner || null };
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    const error = new Error("Generation aborted");
+    error.name = "AbortError";
+    throw error;
+  }
+}
+
+// Returns the block of text that precedes the prompt's final cue line
+// ("Translation:", "English:", "Output:"), stopping at the header line that
+// introduces it or at a blank line.
+function extractInputBlock(prompt) {
+  const lines = prompt.replace(/\s+$/, "").split("\n");
+  if (lines.length > 1 && lines[lines.length - 1].trim().endsWith(":")) {
+    lines.pop();
+  }
+  const block = [];
+  for (let i = lines.length - 1; i >= 0; i--) {
+    const line = lines[i];
+    if (line.trim().endsWith(":")) break;
+    if (!line.trim()) {
+      if (block.length > 0) break;
+      continue;
+    }
+    block.unshift(line);
+  }
+  return block.join("\n").trim();
+}
+
+const PROVIDER_FACTORIES = {
+  ollama: () => new OllamaProvider(),
+  openai: () => new OpenAICompatibleProvider(),
+  scripted: () =>
+    process.env.SCRIPTED_RESPONSES
+      ? ScriptedProvider.fromFile(process.env.SCRIPTED_RESPONSES)
+      : new ScriptedProvider(),
+};
+
+const providerCache = new Map();
+
+// The provider a recording passes calls to
+function recordedProviderName(inner) {
+  if (inner) return inner;
+  return parseCassetteProvider(DEFAULT_PROVIDER) ? "ollama" : DEFAULT_PROVIDER;
+}
+
+function isKnownProvider(name) {
+  const cassette = parseCassetteProvider(name);
+  if (cassette) {
+    return cassette.mode === "replay"
+      ? fs.existsSync(cassettePath(cassette.name))
+      : isKnownProvider(recordedProviderName(cassette.inner));
+  }
+  return Object.prototype.hasOwnProperty.call(PROVIDER_FACTORIES, name);
+}
+
+function createProvider(name) {
+  const cassette = parseCassetteProvider(name);
+  if (!cassette) return PROVIDER_FACTORIES[name]();
+  if (cassette.mode === "replay") return new ReplayProvider(cassette.name);
+  return new RecordingProvider(
+    cassette.name,
+    getProvider(recordedProviderName(cassette.inner))
+  );
+}
+
+// Resolve a provider by name (or pass an instance straight through).
+// Named providers are created once and shared for the life of the process.
+function getProvider(provider = DEFAULT_PROVIDER) {
+  if (provider && typeof provider === "object") return provider;
+  const name = provider || DEFAULT_PROVIDER;
+  if (!isKnownProvider(name)) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+  if (!providerCache.has(name)) {
+    providerCache.set(name, createProvider(name));
+  }
+  return providerCache.get(name);
+}
+
+// Provider names for messages, with a replay: entry per recorded cassette
+function listProviders() {
+  return [
+    ...Object.keys(PROVIDER_FACTORIES),
+    "record:<cassette>",
+    ...listCassettes().map((name) => `replay:${name}`),
+  ];
+}
+
+export {
+  OllamaProvider,
+  OpenAICompatibleProvider,
+  ScriptedProvider,
+  RecordingProvider,
+  ReplayProvider,
+  DEFAULT_PROVIDER,
+  getProvider,
+  isKnownProvider,
+  throwIfAborted,
+  listProviders,
+  listCassettes,
+  sameModel,
+  cassetteKey,
+};
@@ -0,0 +1,30 @@
+import crypto from "crypto";
+
+// Seedable pseudo-random numbers, so a sampled prediction can be replayed
+// exactly. Seeds are unsigned 32-bit integers (the range Ollama's `seed`
+// option accepts); createRandom(seed) returns a function with the same
+// contract as Math.random. The generator is mulberry32.
+
+const MAX_SEED = 2 ** 32 - 1;
+
+function isValidSeed(seed) {
+  return Number.isInteger(seed) && seed >= 0 && seed <= MAX_SEED;
+}
+
+// A fresh seed for requests that do not give one
+function randomSeed() {
+  return crypto.randomInt(0, MAX_SEED);
+}
+
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 2 ** 32;
+  };
+}
+
+export { MAX_SEED, isValidSeed, randomSeed, createRandom };
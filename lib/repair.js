@@ -0,0 +1,147 @@
+import { STOPWORDS } from "./dictionary.js";
+import { levenshtein, normalizeGreek } from "./metrics.js";
+
+// Vocabulary repair for the oracle's LLM mode. Instead of discarding a
+// sentence for one out-of-vocabulary word, each such word is replaced by the
+// closest allowed word or removed:
+//   1. inflection: an allowed word with the same crude stem
+//      ("prophecies" → "prophecy", "burning" → "burns")
+//   2. spelling: an allowed word within a small edit distance that starts
+//      with the same letter ("achilleus" → "achilles")
+//   3. otherwise (and always for stopwords) the word is removed
+// Greek words are compared without accents and breathings.
+
+// Words shorter than this are never matched by edit distance
+const MIN_EDIT_LENGTH = 6;
+
+const ENGLISH_SUFFIXES = [
+  ["ies", "y"],
+  ["ied", "y"],
+  ["eth", ""],
+  ["est", ""],
+  ["ing", ""],
+  ["ed", ""],
+  ["es", ""],
+  ["er", ""],
+  ["ly", ""],
+  ["st", ""],
+  ["s", ""],
+];
+const GREEK_ENDINGS =
+  /(?:οισ|αισ|ουσ|ευσ|ασ|ησ|οσ|ισ|ον|ου|ων|ιν|οι|αι|α|η|ε|ι|ο|ω)$/u;
+
+function comparable(word, language) {
+  return language === "grc"
+    ? normalizeGreek(word, { foldDiacritics: true })
+    : word;
+}
+
+// Crude stem: one inflectional ending off, and a final e for English
+// ("fated" and "fate" both → "fat")
+function stem(word, language) {
+  const form = comparable(word, language);
+  if (language === "grc") {
+    const stripped = form.replace(GREEK_ENDINGS, "");
+    return stripped.length >= 3 ? stripped : form;
+  }
+  for (const [suffix, replacement] of ENGLISH_SUFFIXES) {
+    if (form.endsWith(suffix) && form.length - suffix.length >= 3) {
+      return (form.slice(0, -suffix.length) + replacement).replace(/e$/, "");
+    }
+  }
+  return form.length > 3 ? form.replace(/e$/, "") : form;
+}
+
+// Stem and comparable form of each allowed word, built once per word list
+const indexCache = new WeakMap();
+
+function indexWords(words, language) {
+  const cached = indexCache.get(words);
+  if (cached && cached.language === language) return cached;
+  const index = {
+    language,
+    entries: words.map((word) => ({
+      word,
+      form: comparable(word, language),
+      stem: stem(word, language),
+    })),
+  };
+  indexCache.set(words, index);
+  return index;
+}
+
+// The allowed word `token` should become, with how it was found, or null
+function findReplacement(token, entries, language) {
+  const form = comparable(token, language);
+  const tokenStem = stem(token, language);
+  const inflections = entries.filter((entry) => entry.stem === tokenStem);
+  if (inflections.length > 0) {
+    // Closest spelling; the list is in dictionary order, most frequent first
+    let best = inflections[0];
+    let bestDistance = levenshtein(form, best.form);
+    for (const entry of inflections.slice(1)) {
+      const distance = levenshtein(form, entry.form);
+      if (distance < bestDistance) {
+        best = entry;
+        bestDistance = distance;
+      }
+    }
+    return { word: best.word, method: "inflection" };
+  }
+
+  const length = [...form].length;
+  if (length < MIN_EDIT_LENGTH) return null;
+  const maxDistance = length >= 9 ? 2 : 1;
+  let best = null;
+  let bestDistance = maxDistance + 1;
+  for (const entry of entries) {
+    if (entry.form[0] !== form[0]) continue;
+    if (Math.abs([...entry.form].length - length) > maxDistance) continue;
+    const distance = levenshtein(form, entry.form);
+    if (distance < bestDistance) {
+      best = entry;
+      bestDistance = distance;
+    }
+  }
+  return best ? { word: best.word, method: "edit_distance" } : null;
+}
+
+// Repair `tokens` against `allowedSet`. `words` lists the candidates for
+// replacements (dictionary order); `extraWords` (e.g. the prompt's words)
+// are allowed and also considered. Returns { tokens, substitutions: [{ from,
+// to, method }], removed: [word] }.
+function repairTokens(
+  tokens,
+  { allowedSet, words, extraWords = [], language = "en" }
+) {
+  const stopwords = new Set(STOPWORDS[language] || []);
+  const entries = [
+    ...indexWords(extraWords, language).entries,
+    ...indexWords(words, language).entries,
+  ];
+  const repaired = [];
+  const substitutions = [];
+  const removed = [];
+  for (const token of tokens) {
+    if (allowedSet.has(token)) {
+      repaired.push(token);
+      continue;
+    }
+    const replacement = stopwords.has(token)
+      ? null
+      : findReplacement(token, entries, language);
+    if (!replacement) {
+      removed.push(token);
+      continue;
+    }
+    repaired.push(replacement.word);
+    substitutions.push({
+      from: token,
+      to: replacement.word,
+      method: replacement.method,
+    });
+  }
+  return { tokens: repaired, substitutions, removed };
+}
+
+export { repairTokens, stem };
@@ -0,0 +1,335 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+
+// File-backed store for degradation runs. Each run is one JSON file in
+// results/ named `<id>.json`; results/index.json keeps a summary of every run
+// so listing never has to open the run files themselves.
+//
+// Older `web_results_<timestamp>.json` files are picked up by migrate(): their
+// id is the filename without `.json`, so existing links keep working.
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const DEFAULT_DIR = path.join(__dirname, "..", "results");
+const INDEX_FILENAME = "index.json";
+const INDEX_VERSION = 1;
+
+// Ids double as filenames, so only allow characters that are safe in both
+const ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,127}$/;
+
+function isValidRunId(id) {
+  return typeof id === "string" && ID_PATTERN.test(id);
+}
+
+function newRunId(date = new Date()) {
+  const stamp = date.toISOString().replace(/[:.]/g, "-");
+  return `run_${stamp}_${crypto.randomBytes(3).toString("hex")}`;
+}
+
+function summarize(id, data, stats) {
+  const metadata = data.metadata || {};
+  const cycles = Array.isArray(data.cycles) ? data.cycles : [];
+  const lastCycle = cycles[cycles.length - 1];
+  let finalSimilarity = null;
+  if (data.analysis && typeof data.analysis.final_similarity === "number") {
+    finalSimilarity = data.analysis.final_similarity;
+  } else if (lastCycle && typeof lastCycle.similarity === "number") {
+    finalSimilarity = lastCycle.similarity;
+  }
+
+  return {
+    id,
+    filename: `${id}.json`,
+    kind: data.kind || metadata.kind || "translate",
+    passage_name: metadata.passage_name || "custom",
+    model: metadata.model || null,
+    // Every model a run used; multi-model chains record model "chain"
+    models: Array.isArray(metadata.models)
+      ? metadata.models
+      : metadata.model
+      ? [metadata.model]
+      : [],
+    provider: metadata.provider || null,
+    total_cycles: metadata.total_cycles || cycles.length,
+    completed_cycles: cycles.length,
+    final_similarity: finalSimilarity,
+    timestamp: metadata.timestamp || stats.mtime.toISOString(),
+    modified: stats.mtime.toISOString(),
+    size: stats.size,
+    tags: Array.isArray(data.tags) ? data.tags : [],
+  };
+}
+
+class RunStore {
+  constructor(dir = DEFAULT_DIR) {
+    this.dir = dir;
+    this.indexPath = path.join(dir, INDEX_FILENAME);
+    this.entries = new Map();
+    this.ready = null;
+    // Mutations are chained so concurrent requests never interleave writes
+    this.pending = Promise.resolve();
+  }
+
+  init() {
+    if (!this.ready) {
+      this.ready = this.load();
+    }
+    return this.ready;
+  }
+
+  async load() {
+    await fs.mkdir(this.dir, { recursive: true });
+    try {
+      const raw = await fs.readFile(this.indexPath, "utf-8");
+      const index = JSON.parse(raw);
+      if (index.version === INDEX_VERSION && Array.isArray(index.runs)) {
+        for (const entry of index.runs) this.entries.set(entry.id, entry);
+      }
+    } catch {
+      // Missing or unreadable index: rebuilt by migrate() below
+    }
+    await this.migrate();
+  }
+
+  // Serialize a mutation behind any in-flight ones
+  exclusive(fn) {
+    const run = this.pending.then(fn, fn);
+    this.pending = run.catch(() => {});
+    return run;
+  }
+
+  async writeIndex() {
+    const runs = [...this.entries.values()];
+    const tmpPath = `${this.indexPath}.tmp`;
+    await fs.writeFile(
+      tmpPath,
+      JSON.stringify({ version: INDEX_VERSION, runs }, null, 2),
+      "utf-8"
+    );
+    await fs.rename(tmpPath, this.indexPath);
+  }
+
+  // Resolve a run file inside the results directory. Returns null for
+  // anything that is not a plain `<id>.json` name.
+  resolveFile(filename) {
+    if (typeof filename !== "string" || !filename.endsWith(".json")) {
+      return null;
+    }
+    const id = filename.slice(0, -".json".length);
+    if (!isValidRunId(id) || filename === INDEX_FILENAME) return null;
+    const filepath = path.resolve(this.dir, filename);
+    if (path.dirname(filepath) !== path.resolve(this.dir)) return null;
+    return filepath;
+  }
+
+  // Index any run files the index does not know about and drop entries whose
+  // files have disappeared. With `rewrite`, legacy files also get their `id`
+  // written into the JSON so they are self-describing.
+  async migrate({ rewrite = false } = {}) {
+    return this.exclusive(async () => {
+      const files = await fs.readdir(this.dir);
+      const onDisk = new Set();
+      let added = 0;
+      let rewritten = 0;
+
+      for (const filename of files) {
+        const filepath = this.resolveFile(filename);
+        if (!filepath) continue;
+        const id = filename.slice(0, -".json".length);
+        onDisk.add(id);
+        if (this.entries.has(id) && !rewrite) continue;
+
+        try {
+          const data = JSON.parse(await fs.readFile(filepath, "utf-8"));
+          if (rewrite && data.id !== id) {
+            data.id = id;
+            await fs.writeFile(
+              filepath,
+              JSON.stringify(data, null, 2),
+              "utf-8"
+            );
+            rewritten++;
+          }
+          if (!this.entries.has(id)) added++;
+          const stats = await fs.stat(filepath);
+          this.entries.set(id, summarize(id, data, stats));
+        } catch (error) {
+          console.warn(
+            `Run store: skipping unreadable ${filename}:`,
+            error.message
+          );
+        }
+      }
+
+      let removed = 0;
+      for (const id of [...this.entries.keys()]) {
+        if (!onDisk.has(id)) {
+          this.entries.delete(id);
+          removed++;
+        }
+      }
+
+      await this.writeIndex();
+      return { added, removed, rewritten, total: this.entries.size };
+    });
+  }
+
+  async writeRun(id, data) {
+    const filepath = this.resolveFile(`${id}.json`);
+    await fs.writeFile(filepath, JSON.stringify(data, null, 2), "utf-8");
+    const stats = await fs.stat(filepath);
+    const entry = summarize(id, data, stats);
+    this.entries.set(id, entry);
+    await this.writeIndex();
+    return entry;
+  }
+
+  // Persist a new run. `data` follows the /api/translate result shape
+  // ({ original, cycles, analysis, metadata }); returns the index entry.
+  async save(data, { kind = "translate", tags = [] } = {}) {
+    await this.init();
+    return this.exclusive(async () => {
+      const id = newRunId();
+      const record = { id, kind, tags, ...data };
+      return this.writeRun(id, record);
+    });
+  }
+
+  async get(id) {
+    await this.init();
+    if (!isValidRunId(id) || !this.entries.has(id)) return null;
+    try {
+      const raw = await fs.readFile(this.resolveFile(`${id}.json`), "utf-8");
+      return JSON.parse(raw);
+    } catch {
+      return null;
+    }
+  }
+
+  // Every index entry, newest first
+  async all() {
+    await this.init();
+    return [...this.entries.values()].sort(
+      (a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp)
+    );
+  }
+
+  getEntry(id) {
+    return this.entries.get(id) || null;
+  }
+
+  // Read-modify-write of a stored run; `fn` receives the parsed run and may
+  // mutate it. Returns the updated index entry, or null if the run is missing.
+  async update(id, fn) {
+    await this.init();
+    return this.exclusive(async () => {
+      if (!isValidRunId(id) || !this.entries.has(id)) return null;
+      const filepath = this.resolveFile(`${id}.json`);
+      const data = JSON.parse(await fs.readFile(filepath, "utf-8"));
+      await fn(data);
+      return this.writeRun(id, data);
+    });
+  }
+
+  async setTags(id, tags) {
+    const clean = [...new Set(tags.map((tag) => String(tag).trim()))].filter(
+      Boolean
+    );
+    return this.update(id, (data) => {
+      data.tags = clean;
+    });
+  }
+
+  async appendCycle(id, cycle) {
+    return this.update(id, (data) => {
+      data.cycles = Array.isArray(data.cycles) ? data.cycles : [];
+      data.cycles.push(cycle);
+      data.metadata = data.metadata || {};
+      data.metadata.total_cycles = data.cycles.length;
+    });
+  }
+
+  async remove(id) {
+    await this.init();
+    return this.exclusive(async () => {
+      if (!isValidRunId(id) || !this.entries.has(id)) return false;
+      await fs.rm(this.resolveFile(`${id}.json`), { force: true });
+      this.entries.delete(id);
+      await this.writeIndex();
+      return true;
+    });
+  }
+
+  // filters: { passage, model, kind, tag, from, to } (from/to are ISO dates,
+  // inclusive). Results are newest first and paged.
+  async list({ page = 1, limit = 20, ...filters } = {}) {
+    await this.init();
+    const fromTime = filters.from ? Date.parse(filters.from) : null;
+    let toTime = filters.to ? Date.parse(filters.to) : null;
+    // A bare date means "through the end of that day"
+    if (toTime !== null && /^\d{4}-\d{2}-\d{2}$/.test(filters.to)) {
+      toTime += 24 * 60 * 60 * 1000 - 1;
+    }
+
+    const matches = [...this.entries.values()].filter((entry) => {
+      if (filters.passage && entry.passage_name !== filters.passage)
+        return false;
+      if (
+        filters.model &&
+        entry.model !== filters.model &&
+        !(entry.models || []).includes(filters.model)
+      )
+        return false;
+      if (filters.kind && entry.kind !== filters.kind) return false;
+      if (filters.tag && !entry.tags.includes(filters.tag)) return false;
+      const time = Date.parse(entry.timestamp);
+      if (fromTime !== null && !(time >= fromTime)) return false;
+      if (toTime !== null && !(time <= toTime)) return false;
+      return true;
+    });
+
+    matches.sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp));
+
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 200);
+    const pageCount = Math.max(1, Math.ceil(matches.length / pageSize));
+    const pageNumber = Math.min(
+      Math.max(parseInt(page, 10) || 1, 1),
+      pageCount
+    );
+    const start = (pageNumber - 1) * pageSize;
+
+    return {
+      runs: matches.slice(start, start + pageSize),
+      total: matches.length,
+      page: pageNumber,
+      limit: pageSize,
+      pages: pageCount,
+    };
+  }
+
+  // Distinct values to filter runs by, each with its run count
+  async facets() {
+    await this.init();
+    const count = (values) => {
+      const counts = new Map();
+      for (const value of values) {
+        counts.set(value, (counts.get(value) || 0) + 1);
+      }
+      return [...counts]
+        .sort((a, b) => a[0].localeCompare(b[0]))
+        .map(([name, runs]) => ({ name, runs }));
+    };
+    const entries = [...this.entries.values()];
+    return {
+      passages: count(entries.map((entry) => entry.passage_name)),
+      models: count(entries.flatMap((entry) => entry.models || [])),
+      kinds: count(entries.map((entry) => entry.kind)),
+    };
+  }
+}
+
+const runStore = new RunStore();
+
+export { RunStore, runStore, isValidRunId };
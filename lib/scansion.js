@@ -0,0 +1,236 @@
+import { syllabify } from "./pronunciation.js";
+
+// Dactylic hexameter scansion of Greek verse. Each line is split into
+// syllables (see pronunciation.js) and every syllable gets a quantity:
+//   - long by nature: η, ω, diphthongs, iota subscripts, a circumflex
+//   - long by position: the vowel is followed by two consonants, across
+//     word boundaries too (ζ, ξ and ψ count as two)
+//   - common (either): α, ι or υ of unmarked length before at most one
+//     consonant, a short vowel before a stop + liquid or nasal, and a long
+//     vowel or diphthong ending a word before a vowel (epic correption)
+// ε before another vowel of the same word may merge with it by synizesis
+// ("Πηληϊάδεω" as Πη-λη-ϊ-ά-δεω).
+//
+// The line is then fitted to each of the 32 hexameter templates (feet one to
+// five dactyl or spondee, the sixth – ×) by edit distance: a syllable whose
+// quantity the slot forbids, a syllable left over and a slot left empty
+// each cost 1. `metricality` is 1 - cost / slots for the best template,
+// floored at 0, so a regular hexameter scores 1 and prose falls towards 0.
+// Lines are the text's own line breaks; a translation that runs its verse
+// together into one paragraph will not scan.
+
+const LONG = "long";
+const SHORT = "short";
+const COMMON = "common";
+
+const DOUBLE_CONSONANTS = "ζξψ";
+const STOPS = "πβφτδθκγχ";
+const LIQUIDS = "λρμν";
+
+// Slot marks: – long, ∪ short, × either (the line's last syllable)
+const FOOT_MARKS = { D: "–∪∪", S: "––" };
+const LAST_FOOT = "–×";
+
+// Every hexameter shape as { feet: "DDSDD", slots: "–∪∪–∪∪––..." }
+const TEMPLATES = Array.from({ length: 32 }, (_, n) => {
+  const feet = Array.from({ length: 5 }, (__, foot) =>
+    n & (1 << foot) ? "S" : "D"
+  ).join("");
+  return {
+    feet,
+    slots: [...feet].map((foot) => FOOT_MARKS[foot]).join("") + LAST_FOOT,
+  };
+});
+
+// A line's syllables with their quantities:
+// [{ text, word, quantity, synizesis }], where `synizesis` marks a syllable
+// that may merge with the next
+function lineSyllables(line) {
+  const words = line.normalize("NFC").match(/[\p{Script=Greek}\p{M}]+/gu);
+  const syllables = [];
+  // Words without a vowel (elided δ᾽, τ᾽) lean on the word after them
+  let proclitic = "";
+  (words || []).forEach((word, index) => {
+    const split = syllabify(proclitic + word);
+    proclitic = split.length === 0 ? proclitic + word : "";
+    for (const syllable of split) {
+      const nucleus = syllable.segments.findIndex(
+        (segment) => segment.type === "vowel"
+      );
+      syllables.push({
+        text: syllable.text,
+        word: index,
+        segments: syllable.segments,
+        nucleus: syllable.segments[nucleus],
+        // Consonants after the vowel inside this syllable
+        coda: syllable.segments.slice(nucleus + 1),
+        // Consonants before the vowel
+        onset: syllable.segments.slice(0, nucleus),
+        long: syllable.long,
+      });
+    }
+  });
+
+  return syllables.map((syllable, i) => {
+    const next = syllables[i + 1];
+    const following = [...syllable.coda, ...(next ? next.onset : [])];
+    const letters = following.map((segment) => segment.letter).join("");
+    const consonants =
+      following.length +
+      [...letters].filter((letter) => DOUBLE_CONSONANTS.includes(letter))
+        .length;
+    const wordFinal = !next || next.word !== syllable.word;
+
+    let quantity;
+    if (!next) {
+      // The last syllable of the line is anceps; report what it is
+      quantity = syllable.long ? LONG : consonants > 0 ? LONG : COMMON;
+    } else if (syllable.long && consonants === 0 && wordFinal) {
+      quantity = COMMON;
+    } else if (syllable.long) {
+      quantity = LONG;
+    } else if (consonants >= 2) {
+      const mutaCumLiquida =
+        following.length === 2 &&
+        STOPS.includes(letters[0]) &&
+        LIQUIDS.includes(letters[1]);
+      quantity = mutaCumLiquida ? COMMON : LONG;
+    } else {
+      quantity = syllable.long === null ? COMMON : SHORT;
+    }
+
+    return {
+      text: syllable.text,
+      word: syllable.word,
+      quantity,
+      synizesis: Boolean(
+        next &&
+          !wordFinal &&
+          syllable.nucleus.key === "ε" &&
+          syllable.coda.length === 0 &&
+          next.onset.length === 0
+      ),
+    };
+  });
+}
+
+// Whether a syllable of `quantity` may fill a slot
+function fits(quantity, slot) {
+  if (slot === "×" || quantity === COMMON) return true;
+  return slot === "–" ? quantity === LONG : quantity === SHORT;
+}
+
+// Edit distance between a line's syllables and one template, with the
+// alignment: `marks[i]` is the slot mark syllable i filled (null when left
+// over), and two syllables merged by synizesis share one slot
+function fitTemplate(syllables, slots) {
+  const rows = syllables.length + 1;
+  const cols = slots.length + 1;
+  const cost = Array.from({ length: rows }, () => new Array(cols).fill(0));
+  const step = Array.from({ length: rows }, () => new Array(cols).fill(null));
+  for (let i = 1; i < rows; i++) {
+    cost[i][0] = i;
+    step[i][0] = "skip";
+  }
+  for (let j = 1; j < cols; j++) {
+    cost[0][j] = j;
+    step[0][j] = "empty";
+  }
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const syllable = syllables[i - 1];
+      const slot = slots[j - 1];
+      const options = [
+        ["match", cost[i - 1][j - 1] + (fits(syllable.quantity, slot) ? 0 : 1)],
+        ["skip", cost[i - 1][j] + 1],
+        ["empty", cost[i][j - 1] + 1],
+      ];
+      // Synizesis: two syllables for one long slot
+      if (i >= 2 && syllables[i - 2].synizesis && slot !== "∪") {
+        options.push(["merge", cost[i - 2][j - 1]]);
+      }
+      const [best, value] = options.reduce((a, b) => (b[1] < a[1] ? b : a));
+      cost[i][j] = value;
+      step[i][j] = best;
+    }
+  }
+
+  const marks = new Array(syllables.length).fill(null);
+  const merged = new Set();
+  let i = syllables.length;
+  let j = slots.length;
+  while (i > 0 || j > 0) {
+    const move = step[i][j];
+    if (move === "match") {
+      marks[i - 1] = slots[j - 1];
+      i--;
+      j--;
+    } else if (move === "merge") {
+      marks[i - 1] = marks[i - 2] = slots[j - 1];
+      merged.add(i - 2);
+      i -= 2;
+      j--;
+    } else if (move === "skip") {
+      i--;
+    } else {
+      j--;
+    }
+  }
+  return { cost: cost[syllables.length][slots.length], marks, merged };
+}
+
+// Scan one line:
+//   { text, syllables: [{ text, quantity, mark, synizesis }], feet, pattern,
+//     metricality }
+// `feet` names feet one to five ("DDSDD": D dactyl, S spondee), `pattern`
+// shows the template ("–∪∪|–∪∪|––|–∪∪|–∪∪|–×") and each syllable's `mark` is
+// the slot it filled (null when it fits nowhere). Lines without Greek
+// return null.
+function scanLine(line) {
+  const syllables = lineSyllables(line);
+  if (syllables.length === 0) return null;
+
+  let best = null;
+  for (const template of TEMPLATES) {
+    const fit = fitTemplate(syllables, template.slots);
+    if (!best || fit.cost < best.fit.cost) best = { template, fit };
+  }
+  const { template, fit } = best;
+  return {
+    text: line.trim(),
+    syllables: syllables.map((syllable, i) => ({
+      text: syllable.text,
+      quantity: syllable.quantity,
+      mark: fit.marks[i],
+      synizesis: fit.merged.has(i),
+    })),
+    feet: template.feet,
+    pattern: [...template.feet]
+      .map((foot) => FOOT_MARKS[foot])
+      .concat(LAST_FOOT)
+      .join("|"),
+    metricality: Math.max(0, 1 - fit.cost / template.slots.length),
+  };
+}
+
+// Scan every line of a text: { metricality, lines }, where `metricality` is
+// the mean over the lines that hold Greek (0 when there are none)
+function scanText(text) {
+  const lines = String(text || "")
+    .split(/\r?\n/)
+    .map(scanLine)
+    .filter(Boolean);
+  const total = lines.reduce((sum, line) => sum + line.metricality, 0);
+  return {
+    metricality: lines.length > 0 ? total / lines.length : 0,
+    lines,
+  };
+}
+
+// Just the text's metricality score
+function metricality(text) {
+  return scanText(text).metricality;
+}
+
+export { metricality, scanLine, scanText };
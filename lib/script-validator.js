@@ -0,0 +1,147 @@
+// Script-purity checks for model output. A "Greek" translation that contains
+// Latin words ("Ο Muse") or Modern Greek ("μας", unaccented monotonic text)
+// is a model failure rather than semantic drift, so cycles record these
+// flags separately from the similarity metrics.
+
+const GREEK_LETTER = /[\p{Script=Greek}]/u;
+const LATIN_LETTER = /[\p{Script=Latin}]/u;
+const LETTER = /\p{L}/u;
+
+// Common Modern Greek function words that have no Ancient Greek equivalent in
+// this (monotonic, unbreathed) form
+const MODERN_GREEK_WORDS = new Set([
+  "μας",
+  "σας",
+  "θα",
+  "να",
+  "δεν",
+  "είναι",
+  "ειναι",
+  "αυτό",
+  "αυτή",
+  "αυτός",
+  "αυτοί",
+  "πολύ",
+  "εμείς",
+  "εσείς",
+  "μπορεί",
+  "ότι",
+  "όταν",
+  "γιατί",
+  "τώρα",
+  "κάτι",
+]);
+
+const VOWELS = new Set(["α", "ε", "η", "ι", "ο", "υ", "ω"]);
+const SMOOTH_BREATHING = "\u0313";
+const ROUGH_BREATHING = "\u0314";
+
+const DEFAULT_MIN_PURITY = 0.97;
+
+// Ancient (polytonic) words that start with a vowel always carry a
+// breathing, on the first vowel or on the second vowel of a diphthong
+function lacksBreathing(word) {
+  const chars = [...word.normalize("NFD").toLowerCase()];
+  if (!VOWELS.has(chars[0])) return false;
+  let vowelsSeen = 0;
+  for (const ch of chars) {
+    if (ch === SMOOTH_BREATHING || ch === ROUGH_BREATHING) return false;
+    if (LETTER.test(ch)) {
+      vowelsSeen++;
+      if (vowelsSeen > 2 || !VOWELS.has(ch)) break;
+    }
+  }
+  return true;
+}
+
+function wordScript(word) {
+  let greek = 0;
+  let latin = 0;
+  for (const ch of word) {
+    if (GREEK_LETTER.test(ch)) greek++;
+    else if (LATIN_LETTER.test(ch)) latin++;
+  }
+  if (greek === 0 && latin === 0) return "other";
+  return greek >= latin ? "greek" : "latin";
+}
+
+// Score `text`, which is supposed to be in `expected` ("greek" | "english").
+// Returns letter counts, `purity` (share of letters in the expected script),
+// the foreign words found, Modern Greek markers, and `flags`; `ok` is true
+// when there are no flags.
+function analyzeScript(
+  text,
+  expected,
+  { minPurity = DEFAULT_MIN_PURITY } = {}
+) {
+  const words = (text || "").normalize("NFC").match(/[\p{L}\p{M}]+/gu) || [];
+  const expectedScript = expected === "greek" ? "greek" : "latin";
+
+  let letters = 0;
+  let greekLetters = 0;
+  let latinLetters = 0;
+  const foreignWords = [];
+  const modernMarkers = [];
+
+  for (const word of words) {
+    for (const ch of word) {
+      if (!LETTER.test(ch)) continue;
+      letters++;
+      if (GREEK_LETTER.test(ch)) greekLetters++;
+      else if (LATIN_LETTER.test(ch)) latinLetters++;
+    }
+
+    const script = wordScript(word);
+    if (script !== expectedScript) foreignWords.push(word);
+
+    if (expected === "greek" && script === "greek") {
+      const lower = word.toLowerCase();
+      if (MODERN_GREEK_WORDS.has(lower) || lacksBreathing(lower)) {
+        modernMarkers.push(word);
+      }
+    }
+  }
+
+  const expectedLetters = expected === "greek" ? greekLetters : latinLetters;
+  const otherLetters = letters - greekLetters - latinLetters;
+  const purity = letters > 0 ? expectedLetters / letters : 0.0;
+
+  const flags = [];
+  if (letters === 0) flags.push("empty");
+  if (expected === "greek" && latinLetters > 0) flags.push("latin_in_greek");
+  if (expected !== "greek" && greekLetters > 0) flags.push("greek_in_english");
+  if (otherLetters > 0) flags.push("other_script");
+  if (letters > 0 && purity < minPurity) flags.push("low_purity");
+  if (modernMarkers.length > 0) flags.push("modern_greek");
+
+  return {
+    expected,
+    letters,
+    greek_letters: greekLetters,
+    latin_letters: latinLetters,
+    other_letters: otherLetters,
+    purity,
+    foreign_words: [...new Set(foreignWords)],
+    modern_greek_markers: [...new Set(modernMarkers)],
+    flags,
+    ok: flags.length === 0,
+  };
+}
+
+// Extra instructions prepended to the prompt when an output is retried
+function strictInstructions(expected) {
+  if (expected === "greek") {
+    return `STRICT: Your answer must be written entirely in Ancient Greek using polytonic Greek script, with breathings and accents.
+Do not use any Latin letters or English words, not even for names.
+Do not use Modern Greek words or forms (such as μας, σας, θα, να, δεν, είναι).`;
+  }
+  return `STRICT: Your answer must be written entirely in English using the Latin alphabet.
+Do not include any Greek letters or untranslated Greek words; transliterate names.`;
+}
+
+export {
+  analyzeScript,
+  strictInstructions,
+  DEFAULT_MIN_PURITY,
+  MODERN_GREEK_WORDS,
+};
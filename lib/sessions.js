@@ -0,0 +1,222 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import oracle from "./oracle.js";
+
+// Multi-turn oracle consultations. A session keeps the options it was
+// started with (dictionary, mode, persona, ...) and every question and
+// prophecy so far; the latest turns are passed to oracle.predict as
+// `history`, which the LLM prompt folds in. Sessions are stored as
+// results/oracle-sessions/<id>.json and stay listable after they close.
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const DEFAULT_DIR = path.join(__dirname, "..", "results", "oracle-sessions");
+
+const ID_PATTERN = /^session_[A-Za-z0-9_-]{1,64}$/;
+// Turns folded into the prompt; older turns stay in the session file only
+const HISTORY_TURNS = 6;
+const MAX_TURNS = 100;
+// Options a session is started with and each question may override
+const OPTION_KEYS = [
+  "size",
+  "mode",
+  "temperature",
+  "provider",
+  "persona",
+  "dictionary",
+];
+
+function isValidSessionId(id) {
+  return typeof id === "string" && ID_PATTERN.test(id);
+}
+
+function newSessionId(date = new Date()) {
+  const stamp = date.toISOString().replace(/[:.]/g, "-");
+  return `session_${stamp}_${crypto.randomBytes(3).toString("hex")}`;
+}
+
+// Error carrying the HTTP status the API should answer with
+class SessionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "SessionError";
+    this.status = status;
+  }
+}
+
+function pickOptions(source = {}) {
+  const options = {};
+  for (const key of OPTION_KEYS) {
+    if (source[key] !== undefined && source[key] !== null) {
+      options[key] = source[key];
+    }
+  }
+  return options;
+}
+
+// List entry: the session without its turns
+function describe(session) {
+  const last = session.turns[session.turns.length - 1];
+  return {
+    id: session.id,
+    status: session.status,
+    created_at: session.created_at,
+    updated_at: session.updated_at,
+    options: session.options,
+    turns: session.turns.length,
+    last_question: last ? last.question : null,
+  };
+}
+
+class OracleSessions {
+  constructor(dir = DEFAULT_DIR) {
+    this.dir = dir;
+    // id → promise chain serializing questions within a session
+    this.queues = new Map();
+  }
+
+  exclusive(id, fn) {
+    const previous = this.queues.get(id) || Promise.resolve();
+    const run = previous.then(fn, fn);
+    const settled = run.catch(() => {});
+    this.queues.set(id, settled);
+    settled.then(() => {
+      if (this.queues.get(id) === settled) this.queues.delete(id);
+    });
+    return run;
+  }
+
+  filePath(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  async write(session) {
+    await fs.mkdir(this.dir, { recursive: true });
+    const filepath = this.filePath(session.id);
+    const tmpPath = `${filepath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(session, null, 2), "utf-8");
+    await fs.rename(tmpPath, filepath);
+  }
+
+  // The full session, or null if there is no such session
+  async get(id) {
+    if (!isValidSessionId(id)) return null;
+    try {
+      return JSON.parse(await fs.readFile(this.filePath(id), "utf-8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  async require(id) {
+    const session = await this.get(id);
+    if (!session) throw new SessionError(`Session not found: ${id}`, 404);
+    return session;
+  }
+
+  // filters: { status: "open" | "closed" }; newest first
+  async list(filters = {}) {
+    let files = [];
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+    const sessions = [];
+    for (const filename of files) {
+      if (!filename.endsWith(".json")) continue;
+      const session = await this.get(filename.slice(0, -".json".length));
+      if (!session) continue;
+      if (filters.status && session.status !== filters.status) continue;
+      sessions.push(describe(session));
+    }
+    return sessions.sort((a, b) => b.updated_at.localeCompare(a.updated_at));
+  }
+
+  // options: { size, mode, temperature, provider, persona, dictionary }
+  async start(options = {}) {
+    const now = new Date();
+    const session = {
+      id: newSessionId(now),
+      status: "open",
+      created_at: now.toISOString(),
+      updated_at: now.toISOString(),
+      options: pickOptions(options),
+      turns: [],
+    };
+    await this.write(session);
+    return session;
+  }
+
+  // Ask the next question. `overrides` (including `seed`) apply to this
+  // turn only; aborting `signal` cancels it. Returns { session, turn }.
+  async ask(id, question, overrides = {}, { signal } = {}) {
+    if (typeof question !== "string" || !question.trim()) {
+      throw new SessionError("No question provided");
+    }
+    return this.exclusive(id, async () => {
+      const session = await this.require(id);
+      if (session.status !== "open") {
+        throw new SessionError(`Session ${id} is closed`, 409);
+      }
+      if (session.turns.length >= MAX_TURNS) {
+        throw new SessionError(
+          `Session ${id} has reached ${MAX_TURNS} questions`,
+          409
+        );
+      }
+
+      const options = { ...session.options, ...pickOptions(overrides) };
+      const result = await oracle.predict(question.trim(), {
+        ...options,
+        seed: overrides.seed === null ? undefined : overrides.seed,
+        signal,
+        history: session.turns.slice(-HISTORY_TURNS).map((turn) => ({
+          question: turn.question,
+          prophecy: turn.prophecy,
+        })),
+      });
+
+      const { text, ...details } = result;
+      const turn = {
+        index: session.turns.length + 1,
+        question: question.trim(),
+        prophecy: text,
+        asked_at: new Date().toISOString(),
+        mode: options.mode || "llm",
+        ...details,
+      };
+      session.turns.push(turn);
+      session.updated_at = turn.asked_at;
+      await this.write(session);
+      return { session, turn };
+    });
+  }
+
+  async close(id) {
+    return this.exclusive(id, async () => {
+      const session = await this.require(id);
+      if (session.status !== "closed") {
+        session.status = "closed";
+        session.updated_at = new Date().toISOString();
+        session.closed_at = session.updated_at;
+        await this.write(session);
+      }
+      return session;
+    });
+  }
+}
+
+const oracleSessions = new OracleSessions();
+
+export {
+  OracleSessions,
+  SessionError,
+  oracleSessions,
+  isValidSessionId,
+  HISTORY_TURNS,
+};
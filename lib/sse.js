@@ -0,0 +1,43 @@
+// Minimal Server-Sent Events helper for Express responses.
+// The returned `signal` aborts when the client disconnects, so long-running
+// generations can be cancelled instead of running to completion unobserved.
+
+const HEARTBEAT_MS = 15000;
+
+function openEventStream(res) {
+  const controller = new AbortController();
+
+  res.status(200);
+  res.set({
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  // Comment lines keep proxies from closing an idle connection while the
+  // model is still loading
+  const heartbeat = setInterval(() => {
+    if (!res.writableEnded) res.write(": keep-alive\n\n");
+  }, HEARTBEAT_MS);
+
+  res.on("close", () => {
+    clearInterval(heartbeat);
+    if (!res.writableEnded) controller.abort();
+  });
+
+  return {
+    signal: controller.signal,
+    send(event, data) {
+      if (res.writableEnded || controller.signal.aborted) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      clearInterval(heartbeat);
+      if (!res.writableEnded) res.end();
+    },
+  };
+}
+
+export { openEventStream };
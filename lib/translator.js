@@ -1,28 +1,78 @@
-import { Ollama } from "ollama";
+import { getProvider, OllamaProvider, sameModel } from "./providers.js";
+import { config } from "./config.js";
+import {
+  METRIC_NAMES,
+  computeMetrics,
+  isMetricName,
+  jaccard,
+  tokenizeGreek,
+} from "./metrics.js";
+import { analyzeScript, strictInstructions } from "./script-validator.js";
+import { metricality } from "./scansion.js";
 
 class TranslationEngine {
+  // `provider` is a provider name ("ollama", "openai", "scripted"), a provider
+  // instance, or an Ollama host URL (kept for older callers).
+  // options: { maxRetries, minPurity } for translateValidated(). The model
+  // and temperature default to the configured translation ones.
   constructor(
-    modelName = "llama3.2:3b",
-    temperature = 0.3,
-    host = "http://127.0.0.1:11434"
+    modelName = config.translation.model,
+    temperature = config.translation.temperature,
+    provider = null,
+    { maxRetries = 2, minPurity } = {}
   ) {
     this.modelName = modelName;
     this.temperature = temperature;
-    this.client = new Ollama({ host });
+    this.maxRetries = maxRetries;
+    this.minPurity = minPurity;
+    this.provider =
+      typeof provider === "string" && /^https?:\/\//.test(provider)
+        ? new OllamaProvider({ host: provider })
+        : getProvider(provider || undefined);
+  }
+
+  // options: { onToken, signal, instructions }. Passing onToken or signal
+  // switches to the provider's streaming API so tokens can be forwarded and
+  // the generation aborted; `instructions` are prepended to the prompt.
+  async generate(prompt, { onToken, signal, instructions } = {}) {
+    const request = {
+      model: this.modelName,
+      prompt: instructions ? `${instructions}\n\n${prompt}` : prompt,
+      options: { temperature: this.temperature },
+    };
+
+    if (!onToken && !signal) {
+      const response = await this.provider.generate(request);
+      return response.response;
+    }
+
+    let text = "";
+    for await (const token of this.provider.stream({ ...request, signal })) {
+      text += token;
+      if (onToken) onToken(token);
+    }
+    return text;
   }
 
   async checkModelAvailable() {
     try {
-      const models = await this.client.list();
-      const availableModels = models.models.map((model) => model.name);
-      return availableModels.includes(this.modelName);
+      const availableModels = await this.provider.list();
+      return availableModels.some((name) => sameModel(name, this.modelName));
     } catch (error) {
       console.error("Error checking model availability:", error);
       return false;
     }
   }
 
-  async translateGreekToEnglish(greekText) {
+  // Load the model into memory so the first translation does not wait for
+  // it; providers that cannot do this are left alone
+  async warmUp() {
+    if (typeof this.provider.warmUp === "function") {
+      await this.provider.warmUp(this.modelName);
+    }
+  }
+
+  async translateGreekToEnglish(greekText, options = {}) {
     const prompt = `Translate this Ancient Greek text to English. 
 
 IMPORTANT: Provide ONLY the English translation. Do not include:
@@ -37,20 +87,17 @@ ${greekText}
 English:`;
 
     try {
-      const response = await this.client.generate({
-        model: this.modelName,
-        prompt: prompt,
-        options: { temperature: this.temperature },
-      });
+      const response = await this.generate(prompt, options);
 
-      return this.cleanTranslation(response.response);
+      return this.cleanTranslation(response);
     } catch (error) {
+      if (error.name === "AbortError") throw error;
       console.error("Greek to English translation failed:", error);
       throw new Error(`Translation failed: ${error.message}`);
     }
   }
 
-  async translateEnglishToGreek(englishText) {
+  async translateEnglishToGreek(englishText, options = {}) {
     const prompt = `Translate this English text to Ancient Greek in Homeric style.
 
 IMPORTANT: Provide ONLY the Ancient Greek translation. Do not include:
@@ -65,34 +112,39 @@ ${englishText}
 Ancient Greek:`;
 
     try {
-      const response = await this.client.generate({
-        model: this.modelName,
-        prompt: prompt,
-        options: { temperature: this.temperature },
-      });
+      const response = await this.generate(prompt, options);
 
-      return this.cleanTranslation(response.response);
+      return this.cleanTranslation(response);
     } catch (error) {
+      if (error.name === "AbortError") throw error;
       console.error("English to Greek translation failed:", error);
       throw new Error(`Translation failed: ${error.message}`);
     }
   }
 
-  async translateToEnglish(greekText, customPrompt = null) {
+  async translateToEnglish(greekText, customPrompt = null, options = {}) {
     if (customPrompt) {
-      return await this.translateWithCustomPrompt(greekText, customPrompt);
+      return await this.translateWithCustomPrompt(
+        greekText,
+        customPrompt,
+        options
+      );
     }
-    return await this.translateGreekToEnglish(greekText);
+    return await this.translateGreekToEnglish(greekText, options);
   }
 
-  async translateToGreek(englishText, customPrompt = null) {
+  async translateToGreek(englishText, customPrompt = null, options = {}) {
     if (customPrompt) {
-      return await this.translateWithCustomPrompt(englishText, customPrompt);
+      return await this.translateWithCustomPrompt(
+        englishText,
+        customPrompt,
+        options
+      );
     }
-    return await this.translateEnglishToGreek(englishText);
+    return await this.translateEnglishToGreek(englishText, options);
   }
 
-  async translateWithCustomPrompt(text, customPrompt) {
+  async translateWithCustomPrompt(text, customPrompt, options = {}) {
     const prompt = `${customPrompt}
 
 Text to translate:
@@ -101,19 +153,68 @@ ${text}
 Translation:`;
 
     try {
-      const response = await this.client.generate({
-        model: this.modelName,
-        prompt: prompt,
-        options: { temperature: this.temperature },
-      });
+      const response = await this.generate(prompt, options);
 
-      return this.cleanTranslation(response.response);
+      return this.cleanTranslation(response);
     } catch (error) {
+      if (error.name === "AbortError") throw error;
       console.error("Custom prompt translation failed:", error);
       throw new Error(`Translation failed: ${error.message}`);
     }
   }
 
+  // Translate and check the output's script. direction is "to_english" or
+  // "to_greek". Outputs that mix scripts or use Modern Greek are retried
+  // with stricter instructions up to maxRetries times; the best attempt is
+  // returned as { text, quality }. options.onRetry({ attempt, flags }) is
+  // called before each retry.
+  async translateValidated(text, direction, customPrompt = null, options = {}) {
+    const expected = direction === "to_greek" ? "greek" : "english";
+    const { onRetry, ...hopOptions } = options;
+    const attemptFlags = [];
+    let best = null;
+
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      const attemptOptions =
+        attempt === 0
+          ? hopOptions
+          : { ...hopOptions, instructions: strictInstructions(expected) };
+      const output =
+        expected === "greek"
+          ? await this.translateToGreek(text, customPrompt, attemptOptions)
+          : await this.translateToEnglish(text, customPrompt, attemptOptions);
+
+      const check = analyzeScript(output, expected, {
+        minPurity: this.minPurity,
+      });
+      attemptFlags.push(check.flags);
+
+      // Prefer fewer flags, then higher purity
+      if (
+        !best ||
+        check.flags.length < best.check.flags.length ||
+        (check.flags.length === best.check.flags.length &&
+          check.purity > best.check.purity)
+      ) {
+        best = { output, check };
+      }
+
+      if (check.ok) break;
+      if (attempt < this.maxRetries && onRetry) {
+        onRetry({ attempt: attempt + 1, flags: check.flags });
+      }
+    }
+
+    return {
+      text: best.output,
+      quality: {
+        ...best.check,
+        attempts: attemptFlags.length,
+        attempt_flags: attemptFlags,
+      },
+    };
+  }
+
   cleanTranslation(translation) {
     let cleaned = translation.trim();
 
@@ -176,42 +277,89 @@ Translation:`;
 }
 
 class DegradationAnalyzer {
-  static calculateTextSimilarity(original, final) {
+  // options: { metric, foldDiacritics, metrics }. `metric` is the metric
+  // (see METRIC_NAMES in metrics.js) reported as `similarity` and used for
+  // degradation_level; foldDiacritics ignores accents and breathings (off
+  // unless asked for). `metrics` limits the ones computed (all by default);
+  // `metric` is always among them.
+  constructor({
+    metric = "jaccard",
+    foldDiacritics = false,
+    metrics = METRIC_NAMES,
+  } = {}) {
+    const unknown = [metric, ...metrics].find((name) => !isMetricName(name));
+    if (unknown !== undefined) {
+      throw new Error(
+        `Unknown metric "${unknown}". Available: ${METRIC_NAMES.join(", ")}`
+      );
+    }
+    this.metric = metric;
+    this.foldDiacritics = foldDiacritics;
+    this.metrics = METRIC_NAMES.filter(
+      (name) => name === metric || metrics.includes(name)
+    );
+  }
+
+  static calculateTextSimilarity(original, final, options = {}) {
     try {
-      // Word-based similarity matching Python implementation
-      const originalWords = new Set(original.toLowerCase().split(/\s+/));
-      const finalWords = new Set(final.toLowerCase().split(/\s+/));
+      // Word-set (Jaccard) similarity over normalized Greek tokens
+      const originalWords = tokenizeGreek(original, options);
+      const finalWords = tokenizeGreek(final, options);
 
-      if (originalWords.size === 0) {
+      if (originalWords.length === 0) {
         return 0.0;
       }
 
-      const intersection = new Set(
-        [...originalWords].filter((x) => finalWords.has(x))
-      );
-      const union = new Set([...originalWords, ...finalWords]);
-
-      return union.size > 0 ? intersection.size / union.size : 0.0;
+      return jaccard(originalWords, finalWords);
     } catch (error) {
       console.error("Text similarity calculation failed:", error);
       return 0.0;
     }
   }
 
+  calculateMetrics(reference, text) {
+    try {
+      return computeMetrics(reference, text, {
+        foldDiacritics: this.foldDiacritics,
+        metrics: this.metrics,
+      });
+    } catch (error) {
+      console.error("Metric calculation failed:", error);
+      return Object.fromEntries(this.metrics.map((name) => [name, 0.0]));
+    }
+  }
+
   calculateSimilarity(original, final) {
-    // Alias for calculateTextSimilarity for compatibility
-    return DegradationAnalyzer.calculateTextSimilarity(original, final);
+    // The selected metric; Jaccard by default for compatibility
+    return this.calculateMetrics(original, final)[this.metric];
+  }
+
+  // Drift of one cycle's Greek against the original and the previous cycle,
+  // and how well its lines scan as dactylic hexameter (see scansion.js)
+  compareCycle(original, previous, text) {
+    return {
+      vs_original: this.calculateMetrics(original, text),
+      vs_previous: this.calculateMetrics(previous, text),
+      metricality: metricality(text),
+    };
   }
 
-  analyzeDegradation(original, final) {
+  // `cycles` (optional) are cycle records carrying `metrics` from
+  // compareCycle(); they add the per-cycle drift and metricality series to
+  // the analysis, and those with an `alignment` the share of original words
+  // surviving each.
+  analyzeDegradation(original, final, cycles = []) {
     try {
-      const similarity = this.calculateSimilarity(original, final);
+      const metrics = this.calculateMetrics(original, final);
+      const similarity = metrics[this.metric];
       const lengthChange = final.length - original.length;
 
-      return {
+      const analysis = {
         key_changes: [
           `Text length: ${original.length} → ${final.length} characters`,
-          `Similarity score: ${(similarity * 100).toFixed(1)}%`,
+          `Similarity score (${this.metric}): ${(similarity * 100).toFixed(
+            1
+          )}%`,
           "Vocabulary and style have shifted through translation cycles",
         ],
         summary: `Translation degraded through ${Math.abs(
@@ -220,18 +368,43 @@ class DegradationAnalyzer {
           1
         )}% similarity remaining`,
         final_similarity: similarity,
+        metric: this.metric,
+        metrics,
         length_change: lengthChange,
         length_ratio:
           original.length > 0 ? final.length / original.length : 1.0,
         degradation_level:
           similarity < 0.5 ? "high" : similarity < 0.8 ? "moderate" : "low",
       };
+
+      const measured = cycles.filter((cycle) => cycle.metrics);
+      if (measured.length > 0) {
+        analysis.drift = {
+          vs_original: measured.map(
+            (cycle) => cycle.metrics.vs_original[this.metric]
+          ),
+          vs_previous: measured.map(
+            (cycle) => cycle.metrics.vs_previous[this.metric]
+          ),
+        };
+        analysis.metricality = {
+          original: metricality(original),
+          cycles: measured.map((cycle) => cycle.metrics.metricality),
+        };
+      }
+      const aligned = cycles.filter((cycle) => cycle.alignment);
+      if (aligned.length > 0) {
+        analysis.survival = aligned.map((cycle) => cycle.alignment.survival);
+      }
+
+      return analysis;
     } catch (error) {
       console.error("Degradation analysis failed:", error);
       return {
         key_changes: ["Analysis failed"],
         summary: "Unable to analyze degradation",
         final_similarity: 0.0,
+        metric: this.metric,
         length_change: 0,
         length_ratio: 1.0,
         degradation_level: "unknown",
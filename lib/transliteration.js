@@ -0,0 +1,582 @@
+// Conversion between the ways Greek text reaches us and NFC polytonic
+// Unicode:
+//   - Beta Code (TLG/Perseus): "mh=nin a)/eide qea/", capitals as "*)axilh=os"
+//     with the marks before the letter; ) ( / \ = + | are smooth and rough
+//     breathing, acute, grave, circumflex, diaeresis and iota subscript
+//   - Latin transliteration: "mē̂nin áeide theá". Output follows the usual
+//     scholarly style (ē ō for η ω, with the circumflex over the macron, h for
+//     the rough breathing, y for υ outside diphthongs, iota subscript as i
+//     after ā ē ō, accents kept) and reads back as the same Greek; input is
+//     also read loosely (kh or ch, y or u, ê for ē̂, with or without accents)
+// Input is detected from the text: mostly Greek letters is Unicode, Beta
+// Code marks after Latin letters or Beta Code spellings (h q w for η θ ω) are
+// Beta Code, and Latin words spelled like transliterated Greek are a
+// transliteration when something shows it: a length mark, a Greek digraph
+// (th ph kh ps) or mostly words that are not common English. Other
+// Latin-script text (English) is not Greek and is left as it is. Final sigma
+// is restored on the way in.
+
+const INPUT_FORMATS = ["auto", "unicode", "betacode", "latin"];
+const OUTPUT_FORMATS = ["latin", "betacode"];
+
+const SMOOTH = "\u0313";
+const ROUGH = "\u0314";
+const ACUTE = "\u0301";
+const GRAVE = "\u0300";
+const CIRCUMFLEX = "\u0342";
+const DIAERESIS = "\u0308";
+const IOTA_SUBSCRIPT = "\u0345";
+const MACRON = "\u0304";
+const LATIN_CIRCUMFLEX = "\u0302";
+const ELISION = "\u1fbd";
+
+const BETA_LETTERS = {
+  a: "α",
+  b: "β",
+  g: "γ",
+  d: "δ",
+  e: "ε",
+  z: "ζ",
+  h: "η",
+  q: "θ",
+  i: "ι",
+  k: "κ",
+  l: "λ",
+  m: "μ",
+  n: "ν",
+  c: "ξ",
+  o: "ο",
+  p: "π",
+  r: "ρ",
+  s: "σ",
+  t: "τ",
+  u: "υ",
+  f: "φ",
+  x: "χ",
+  y: "ψ",
+  w: "ω",
+  v: "ϝ",
+};
+const BETA_MARKS = {
+  ")": SMOOTH,
+  "(": ROUGH,
+  "/": ACUTE,
+  "\\": GRAVE,
+  "=": CIRCUMFLEX,
+  "+": DIAERESIS,
+  "|": IOTA_SUBSCRIPT,
+};
+const BETA_PUNCTUATION = { ":": "\u00b7", "'": ELISION };
+const GREEK_TO_BETA = Object.fromEntries(
+  Object.entries(BETA_LETTERS).map(([beta, greek]) => [greek, beta])
+);
+const MARKS_TO_BETA = Object.fromEntries(
+  Object.entries(BETA_MARKS).map(([beta, mark]) => [mark, beta])
+);
+
+// Combining marks in canonical order: breathing or diaeresis, then the
+// accent, then iota subscript
+const MARK_ORDER = [
+  DIAERESIS,
+  SMOOTH,
+  ROUGH,
+  ACUTE,
+  GRAVE,
+  CIRCUMFLEX,
+  IOTA_SUBSCRIPT,
+];
+const orderMarks = (marks) =>
+  [...new Set(marks)]
+    .sort((a, b) => MARK_ORDER.indexOf(a) - MARK_ORDER.indexOf(b))
+    .join("");
+
+const GREEK_VOWELS = "αεηιουω";
+const DIPHTHONGS = new Set([
+  "αι",
+  "ει",
+  "οι",
+  "υι",
+  "αυ",
+  "ευ",
+  "ηυ",
+  "ου",
+  "ωυ",
+]);
+
+function isInputFormat(name) {
+  return INPUT_FORMATS.includes(name);
+}
+
+function isOutputFormat(name) {
+  return OUTPUT_FORMATS.includes(name);
+}
+
+// σ at the end of a word becomes ς
+const finalSigma = (text) => text.replace(/σ(?![\p{L}\p{M}])/gu, "ς");
+
+// Beta Code without its marks still spells η θ ω as h q w, which a
+// transliteration never does: h after a consonant that does not make a
+// digraph with it (th, ph, kh, ch, rh), q before a letter other than u, w
+// after a consonant and not before a vowel
+const BETA_SPELLING =
+  /[bdfglmnqvxz]h|q[a-tv-z]|[bdfgklmnpqrstvxz]w(?![aeiouhry])/i;
+
+// A transliterated Greek word has none of j w q f v, c only in ch, no sh, and
+// ends in a vowel, n, r, s, x, ps or k (ouk, ek); elided words ("ap'") may
+// end in anything
+const isTransliteratedWord = (word) => {
+  const bare = word.normalize("NFD").replace(/\p{M}/gu, "");
+  return !/[jwqfv]|c(?!h)|sh/i.test(bare) && /([aeiouynrsxk]|ps)$/i.test(bare);
+};
+
+// Common English words that are also spelled like a transliteration; English
+// made of these ("I see the sea", "a man") must not read as Greek
+const ENGLISH_WORDS = new Set(
+  (
+    "a an the i o to too so no go do be he me my by as is us in on or one " +
+    "are there here these those this his her hers our ours your yours you " +
+    "they thy thee ye see sea saw man men more some any many say says sun " +
+    "son run ran time other others after over under ever never same take " +
+    "make like mine home hope rage tree trees sing king kings sky yes " +
+    "hello then than their three into onto upon unto else once only also " +
+    "ere nor nine ten tens sure rose none gone done"
+  ).split(" ")
+);
+
+// Marks a transliteration uses and English does not: a macron, or a
+// circumflex on e or o for a long η or ω
+const LENGTH_MARK = /\u0304|[eo]\u0302/i;
+// Greek consonants spelled with two Latin letters
+const DIGRAPH = /th|ph|kh|ch|ps|rh/i;
+
+// "unicode", "betacode", "latin", or null for Latin-script text that is not
+// Greek in any of them (English, say). Latin words are a transliteration only
+// on positive evidence: a length mark, a Greek digraph outside common English
+// words, or at least three words of which hardly any are common English
+function detectFormat(text) {
+  const letters = String(text || "").match(/\p{L}/gu) || [];
+  if (letters.length === 0) return "unicode";
+  const greek = letters.filter((letter) => /\p{Script=Greek}/u.test(letter));
+  if (greek.length / letters.length >= 0.5) return "unicode";
+  // Beta Code marks sit right after a letter or a capital's asterisk; the odd
+  // bracket in English ("(see above)") does not
+  const marks = (text.match(/[a-z*][)(/\\=|+]/gi) || []).length;
+  const words = text.match(/[\p{Script=Latin}\p{M}]+(?!['’])/gu) || [];
+  if (marks > 0 && marks >= words.length * 0.2) return "betacode";
+  const spelled = words.filter((word) => BETA_SPELLING.test(word)).length;
+  if (spelled > 0 && spelled >= words.length * 0.2) return "betacode";
+  // Greek letters with English around them ("Ὦ Muse sing") are Unicode Greek
+  // with the rest left as it is
+  const otherwise = greek.length > 0 ? "unicode" : null;
+  const foreign = words.filter((word) => !isTransliteratedWord(word)).length;
+  if (foreign >= words.length * 0.2) return otherwise;
+  const unknown = words.filter(
+    (word) => !ENGLISH_WORDS.has(word.toLowerCase())
+  );
+  const evidence =
+    words.some((word) => LENGTH_MARK.test(word.normalize("NFD"))) ||
+    unknown.some((word) => DIGRAPH.test(word)) ||
+    (words.length >= 3 && unknown.length >= words.length * 0.8);
+  return evidence ? "latin" : otherwise;
+}
+
+function betaCodeToGreek(text) {
+  const source = String(text || "");
+  let result = "";
+  let i = 0;
+  const readMarks = () => {
+    const marks = [];
+    while (i < source.length && BETA_MARKS[source[i]]) {
+      marks.push(BETA_MARKS[source[i++]]);
+    }
+    return marks;
+  };
+
+  while (i < source.length) {
+    const char = source[i];
+    const capital = char === "*";
+    if (capital) i++;
+    const before = capital ? readMarks() : [];
+    const letter = BETA_LETTERS[(source[i] || "").toLowerCase()];
+    if (!letter) {
+      if (!capital) {
+        result += BETA_PUNCTUATION[char] || char;
+        i++;
+      }
+      continue;
+    }
+    i++;
+    let greek = capital ? letter.toUpperCase() : letter;
+    // s1, s2, s3: medial, final and lunate sigma
+    if (letter === "σ" && /[123]/.test(source[i] || "")) {
+      greek = { 1: "\u0001", 2: "ς", 3: "ϲ" }[source[i++]];
+      if (capital) greek = greek.toUpperCase();
+    }
+    result += greek + orderMarks([...before, ...readMarks()]);
+  }
+  // An explicit medial sigma (s1) stays medial
+  return finalSigma(result.normalize("NFC")).replace(/\u0001/g, "σ");
+}
+
+function greekToBetaCode(text) {
+  let result = "";
+  let pending = null;
+  const flush = () => {
+    if (!pending) return;
+    const marks = orderMarks(pending.marks)
+      .split("")
+      .map((mark) => MARKS_TO_BETA[mark])
+      .join("");
+    result += pending.capital
+      ? `*${marks}${pending.beta}`
+      : `${pending.beta}${marks}`;
+    pending = null;
+  };
+
+  for (const char of String(text || "").normalize("NFD")) {
+    if (MARKS_TO_BETA[char] && pending) {
+      pending.marks.push(char);
+      continue;
+    }
+    flush();
+    const lower = char.toLowerCase();
+    const beta =
+      lower === "ς" ? "s" : lower === "ϲ" ? "s3" : GREEK_TO_BETA[lower];
+    if (beta) {
+      pending = { beta, capital: char !== lower, marks: [] };
+    } else if (char === ELISION || char === "\u1fbf" || char === "\u2019") {
+      result += "'";
+    } else if (char === "\u00b7" || char === "\u0387") {
+      result += ":";
+    } else if (!/\p{M}/u.test(char)) {
+      result += char;
+    }
+  }
+  flush();
+  return result;
+}
+
+// Greek consonants in Latin letters (γ before a velar is n)
+const CONSONANTS = {
+  β: "b",
+  γ: "g",
+  δ: "d",
+  ζ: "z",
+  θ: "th",
+  κ: "k",
+  λ: "l",
+  μ: "m",
+  ν: "n",
+  ξ: "x",
+  π: "p",
+  ρ: "r",
+  σ: "s",
+  ς: "s",
+  ϲ: "s",
+  τ: "t",
+  φ: "ph",
+  χ: "ch",
+  ψ: "ps",
+  ϝ: "w",
+};
+const VOWELS = { α: "a", ε: "e", η: "e", ι: "i", ο: "o", υ: "y", ω: "o" };
+const LATIN_ACCENTS = {
+  [ACUTE]: ACUTE,
+  [GRAVE]: GRAVE,
+  [CIRCUMFLEX]: LATIN_CIRCUMFLEX,
+};
+
+// Greek letters of a word: [{ base, marks, capital }]
+function greekLetters(word) {
+  const letters = [];
+  for (const char of word.normalize("NFD")) {
+    if (/\p{M}/u.test(char)) {
+      if (letters.length > 0) letters[letters.length - 1].marks.add(char);
+      continue;
+    }
+    const base = char.toLowerCase();
+    letters.push({ base, marks: new Set(), capital: char !== base });
+  }
+  return letters;
+}
+
+// Greek → Latin transliteration; latinToGreek reads it back. `accents:
+// false` drops the accents (but keeps ē, ō and the rough breathing).
+function transliterate(text, { accents = true } = {}) {
+  const words = String(text || "")
+    .normalize("NFC")
+    .replace(/[\u1fbd\u1fbf]/g, "'")
+    .replace(/;/g, "?")
+    .replace(/[\u00b7\u0387]/g, ";");
+  return words.replace(/[\p{Script=Greek}\p{M}]+/gu, (word) => {
+    const letters = greekLetters(word);
+    let out = "";
+    for (let i = 0; i < letters.length; i++) {
+      const letter = letters[i];
+      const next = letters[i + 1];
+      const { base, marks } = letter;
+
+      if (!GREEK_VOWELS.includes(base)) {
+        let latin = CONSONANTS[base];
+        if (latin === undefined) {
+          out += base;
+          continue;
+        }
+        if (base === "γ" && next && "γκξχ".includes(next.base)) latin = "n";
+        if (base === "ρ" && marks.has(ROUGH)) latin = "rh";
+        out += letter.capital ? capitalize(latin) : latin;
+        continue;
+      }
+
+      // A diphthong carries its breathing and accent on the second letter
+      const parts = [letter];
+      if (
+        next &&
+        DIPHTHONGS.has(base + next.base) &&
+        !next.marks.has(DIAERESIS) &&
+        ![ACUTE, GRAVE, CIRCUMFLEX, SMOOTH, ROUGH].some((mark) =>
+          marks.has(mark)
+        )
+      ) {
+        parts.push(next);
+        i++;
+      }
+      const rough = parts.some((part) => part.marks.has(ROUGH));
+      let latin = parts
+        .map((part, n) => {
+          const subscript = part.marks.has(IOTA_SUBSCRIPT);
+          let vowel =
+            n === 1 && part.base === "υ" ? "u" : VOWELS[part.base] || "";
+          // η and ω are always long; ᾳ is marked long too, so that its
+          // iota is read back as a subscript rather than a diphthong
+          if (part.base === "η" || part.base === "ω" || subscript) {
+            vowel += MACRON;
+          }
+          if (part.marks.has(DIAERESIS)) vowel += DIAERESIS;
+          if (accents) {
+            for (const mark of part.marks) {
+              if (LATIN_ACCENTS[mark]) vowel += LATIN_ACCENTS[mark];
+            }
+          }
+          if (subscript) vowel += "i";
+          return vowel;
+        })
+        .join("");
+      if (rough) latin = "h" + latin;
+      out += letter.capital ? capitalize(latin) : latin;
+    }
+    return out.normalize("NFC");
+  });
+}
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Latin spellings read as Greek, longest first
+const LATIN_TO_GREEK = [
+  ["nch", "γχ"],
+  ["nkh", "γχ"],
+  ["rrh", "ρρ"],
+  ["ng", "γγ"],
+  ["nk", "γκ"],
+  ["nx", "γξ"],
+  ["th", "θ"],
+  ["ph", "φ"],
+  ["ch", "χ"],
+  ["kh", "χ"],
+  ["ps", "ψ"],
+  ["rh", "ρ"],
+  ["ks", "ξ"],
+  ["a", "α"],
+  ["b", "β"],
+  ["c", "κ"],
+  ["d", "δ"],
+  ["e", "ε"],
+  ["f", "φ"],
+  ["g", "γ"],
+  ["i", "ι"],
+  ["j", "ι"],
+  ["k", "κ"],
+  ["l", "λ"],
+  ["m", "μ"],
+  ["n", "ν"],
+  ["o", "ο"],
+  ["p", "π"],
+  ["q", "κ"],
+  ["r", "ρ"],
+  ["s", "σ"],
+  ["t", "τ"],
+  ["u", "υ"],
+  ["v", "β"],
+  ["w", "ϝ"],
+  ["x", "ξ"],
+  ["y", "υ"],
+  ["z", "ζ"],
+];
+const LATIN_MARKS = {
+  [ACUTE]: ACUTE,
+  [GRAVE]: GRAVE,
+  [LATIN_CIRCUMFLEX]: CIRCUMFLEX,
+  "\u0303": CIRCUMFLEX,
+  [DIAERESIS]: DIAERESIS,
+};
+
+// One Latin word → Greek letters [{ greek, marks, long, capital }]
+function readLatinWord(word) {
+  const chars = [];
+  for (const char of word.normalize("NFD")) {
+    if (/\p{M}/u.test(char)) {
+      if (chars.length > 0) chars[chars.length - 1].marks.push(char);
+    } else {
+      chars.push({
+        char: char.toLowerCase(),
+        upper: char !== char.toLowerCase(),
+        marks: [],
+      });
+    }
+  }
+
+  const letters = [];
+  let rough = false;
+  let i = 0;
+  // A word-initial h is the rough breathing
+  if (chars[0] && chars[0].char === "h" && chars[1]) {
+    rough = true;
+    if (chars[0].upper) chars[1].upper = true;
+    i = 1;
+  }
+  while (i < chars.length) {
+    const rest = chars
+      .slice(i, i + 3)
+      .map((c) => c.char)
+      .join("");
+    const match = LATIN_TO_GREEK.find(([latin]) => rest.startsWith(latin));
+    if (!match) {
+      i++; // a stray h or a letter Greek does not have
+      continue;
+    }
+    const [latin, greek] = match;
+    const taken = chars.slice(i, i + latin.length);
+    const marks = taken.flatMap((c) => c.marks);
+    const long = marks.includes(MACRON) || marks.includes(LATIN_CIRCUMFLEX);
+    [...greek].forEach((letter, n) => {
+      let base = letter;
+      if (long && base === "ε") base = "η";
+      if (long && base === "ο") base = "ω";
+      letters.push({
+        greek: base,
+        marks: n === greek.length - 1 ? marks : [],
+        long,
+        capital: n === 0 && taken[0].upper,
+        initialRho: latin === "rh" && letters.length === 0,
+      });
+    });
+    i += latin.length;
+  }
+  return { letters, rough };
+}
+
+// Latin transliteration → Greek
+function latinToGreek(text) {
+  const converted = String(text || "").replace(
+    /[\p{Script=Latin}\p{M}]+/gu,
+    (word) => {
+      const { letters, rough } = readLatinWord(word);
+      if (letters.length === 0) return word;
+
+      // Breathing on the first vowel, or the second of a diphthong
+      const first = letters[0];
+      if (GREEK_VOWELS.includes(first.greek)) {
+        const second = letters[1];
+        const diphthong =
+          second &&
+          DIPHTHONGS.has(first.greek + second.greek) &&
+          !second.marks.includes(DIAERESIS) &&
+          first.marks.every((mark) => mark === MACRON);
+        (diphthong ? second : first).marks.push(rough ? ROUGH : SMOOTH);
+      } else if (first.initialRho) {
+        first.marks.push(ROUGH);
+      }
+
+      // āi, ēi, ōi are iota subscripts (a diphthong starts with a short
+      // vowel)
+      for (let i = letters.length - 1; i > 0; i--) {
+        const letter = letters[i];
+        const before = letters[i - 1];
+        if (
+          letter.greek === "ι" &&
+          letter.marks.length === 0 &&
+          before.long &&
+          "αηω".includes(before.greek)
+        ) {
+          letters.splice(i, 1);
+          before.marks.push(IOTA_SUBSCRIPT);
+        }
+      }
+
+      return letters
+        .map((letter) => {
+          const base = letter.capital
+            ? letter.greek.toUpperCase()
+            : letter.greek;
+          const marks = letter.marks
+            .map((mark) => LATIN_MARKS[mark] || mark)
+            .filter((mark) => MARK_ORDER.includes(mark));
+          return base + orderMarks(marks);
+        })
+        .join("")
+        .normalize("NFC");
+    }
+  );
+  // transliterate() writes the Greek question mark as ? and the raised dot
+  // as ;
+  return finalSigma(
+    converted.replace(/'/g, ELISION).replace(/;/g, "\u00b7").replace(/\?/g, ";")
+  );
+}
+
+// Any supported input as Unicode Greek: { text, format } where `format` is
+// the one detected (or given); text that is not Greek in any format comes
+// back unchanged with `format` null
+function toGreek(text, { format = "auto" } = {}) {
+  if (!isInputFormat(format)) {
+    throw new Error(
+      `Unknown input format "${format}". Available: ${INPUT_FORMATS.join(", ")}`
+    );
+  }
+  const detected = format === "auto" ? detectFormat(text) : format;
+  const converted =
+    detected === "betacode"
+      ? betaCodeToGreek(text)
+      : detected === "latin"
+      ? latinToGreek(text)
+      : detected === "unicode"
+      ? String(text || "").normalize("NFC")
+      : String(text || "");
+  return { text: converted, format: detected };
+}
+
+// Unicode Greek in an output format ("latin" or "betacode")
+function fromGreek(text, format = "latin") {
+  if (!isOutputFormat(format)) {
+    throw new Error(
+      `Unknown transliteration "${format}". Available: ${OUTPUT_FORMATS.join(
+        ", "
+      )}`
+    );
+  }
+  return format === "betacode" ? greekToBetaCode(text) : transliterate(text);
+}
+
+export {
+  INPUT_FORMATS,
+  OUTPUT_FORMATS,
+  betaCodeToGreek,
+  detectFormat,
+  fromGreek,
+  greekToBetaCode,
+  isInputFormat,
+  isOutputFormat,
+  latinToGreek,
+  toGreek,
+  transliterate,
+};
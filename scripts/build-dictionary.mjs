@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+import fs from "fs/promises";
+import {
+  buildDictionary,
+  dictionaryLibrary,
+  ELISION_MODES,
+} from "../lib/dictionary.js";
+import { passageCatalog } from "../lib/passages.js";
+
+// Build a named oracle dictionary (dictionaries/<name>.txt) from one or more
+// corpora. Sources are catalog ids (iliad_book1, or iliad_pope for every
+// book of Pope's Iliad) or paths to text files; counts are merged.
+//
+//   node scripts/build-dictionary.mjs --name iliad --source iliad_pope \
+//     --min 10 --max 99
+//   node scripts/build-dictionary.mjs --name homer-greek \
+//     --source iliad_book1,odyssey_book1 --language grc
+
+const usage = `Usage: node scripts/build-dictionary.mjs --name <name> --source <id|file>[,...]
+  [--language en|grc] [--min N] [--max N] [--min-length N]
+  [--stopwords default|none|<file>] [--elision ${ELISION_MODES.join("|")}]
+  [--dry-run]`;
+
+function parseArgs(argv) {
+  const args = { sources: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    const value = argv[i + 1];
+    switch (flag) {
+      case "--name":
+        args.name = value;
+        i++;
+        break;
+      case "--source":
+        args.sources.push(...value.split(",").filter(Boolean));
+        i++;
+        break;
+      case "--language":
+        args.language = value;
+        i++;
+        break;
+      case "--min":
+        args.minCount = parseInt(value, 10);
+        i++;
+        break;
+      case "--max":
+        args.maxCount = parseInt(value, 10);
+        i++;
+        break;
+      case "--min-length":
+        args.minLength = parseInt(value, 10);
+        i++;
+        break;
+      case "--stopwords":
+        args.stopwords = value;
+        i++;
+        break;
+      case "--elision":
+        args.elision = value;
+        i++;
+        break;
+      case "--dry-run":
+        args.dryRun = true;
+        break;
+      default:
+        throw new Error(`Unknown option ${flag}`);
+    }
+  }
+  return args;
+}
+
+// A catalog passage, every book of a split work, or a file
+async function loadCorpus(source) {
+  const text = await passageCatalog.corpus(source);
+  if (text !== null) return { name: source, text };
+  return { name: source, text: await fs.readFile(source, "utf-8") };
+}
+
+async function loadStopwords(value) {
+  if (!value || value === "default" || value === "none") return value;
+  const raw = await fs.readFile(value, "utf-8");
+  return raw.split(/\s+/).filter((word) => word && !word.startsWith("#"));
+}
+
+(async function run() {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.name || args.sources.length === 0) {
+      console.error(usage);
+      process.exit(1);
+    }
+
+    const corpora = [];
+    for (const source of args.sources) {
+      corpora.push(await loadCorpus(source));
+    }
+    const dictionary = buildDictionary(corpora, {
+      language: args.language,
+      minCount: args.minCount,
+      maxCount: args.maxCount,
+      minLength: args.minLength,
+      stopwords: await loadStopwords(args.stopwords),
+      elision: args.elision,
+    });
+
+    console.log(
+      `${args.name}: ${dictionary.entries.length} of ${dictionary.unique_words} unique words (${dictionary.language}, ${dictionary.total_words} words in ${corpora.length} corpora)`
+    );
+    console.log(
+      "Most frequent:",
+      dictionary.entries
+        .slice(0, 10)
+        .map(({ word, count }) => `${word} (${count})`)
+        .join(", ")
+    );
+    if (!args.dryRun) {
+      console.log("Wrote", await dictionaryLibrary.save(args.name, dictionary));
+    }
+    process.exit(0);
+  } catch (err) {
+    console.error("Build failed:", err.message);
+    console.error(usage);
+    process.exit(1);
+  }
+})();
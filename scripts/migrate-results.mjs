@@ -0,0 +1,19 @@
+#!/usr/bin/env node
+import { runStore } from "../lib/run-store.js";
+
+// Index every result file in results/ and stamp legacy web_results_*.json
+// files with their run id. Safe to run repeatedly.
+
+(async function run() {
+  try {
+    await runStore.init();
+    const summary = await runStore.migrate({ rewrite: true });
+    console.log(
+      `Indexed ${summary.total} runs (${summary.added} new, ${summary.removed} removed, ${summary.rewritten} files updated)`
+    );
+    process.exit(0);
+  } catch (err) {
+    console.error("Migration failed:", err);
+    process.exit(1);
+  }
+})();
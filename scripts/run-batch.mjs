@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+import fs from "fs/promises";
+import { batchRunner } from "../lib/batch.js";
+
+// Run a batch experiment from a spec file, or resume one by id:
+//
+//   node scripts/run-batch.mjs scripts/batch.example.json
+//   node scripts/run-batch.mjs --resume <batch id>
+//
+// Combinations already completed are skipped, so rerunning the same command
+// after a crash (or Ctrl-C) picks up where it stopped. Give the spec an "id"
+// to make rerunning the spec file itself resume the batch.
+
+const usage = `Usage: node scripts/run-batch.mjs <spec.json>
+       node scripts/run-batch.mjs --resume <batch id>`;
+
+(async function run() {
+  const args = process.argv.slice(2);
+  if (args.length === 0 || args.includes("--help")) {
+    console.log(usage);
+    process.exit(args.length === 0 ? 1 : 0);
+  }
+
+  const controller = new AbortController();
+  process.on("SIGINT", () => {
+    console.log("\nStopping; the run in progress will be redone on resume.");
+    controller.abort();
+  });
+
+  let id;
+  try {
+    if (args[0] === "--resume") {
+      id = args[1];
+      if (!id) {
+        console.error(usage);
+        process.exit(1);
+      }
+    } else {
+      const spec = JSON.parse(await fs.readFile(args[0], "utf-8"));
+      id = (await batchRunner.create(spec)).id;
+    }
+
+    const start = await batchRunner.status(id);
+    if (!start) {
+      console.error(`Batch "${id}" not found`);
+      process.exit(1);
+    }
+    console.log(
+      `Batch ${id}: ${start.completed}/${start.total} runs already completed`
+    );
+
+    const status = await batchRunner.run(id, {
+      signal: controller.signal,
+      onProgress: (row, progress) => {
+        const result =
+          row.status === "completed"
+            ? `similarity ${row.final_similarity.toFixed(3)} (${row.run_id})`
+            : `FAILED: ${row.error}`;
+        console.log(
+          `[${progress.completed}/${progress.total}] ${row.passage} | ${row.model} | ${row.personas} | t=${row.temperature} | ${row.cycles} cycles | #${row.repeat}: ${result}`
+        );
+      },
+    });
+
+    console.log(
+      `Done: ${status.completed}/${status.total} completed, ${status.failed} failed`
+    );
+    console.log(`Summary: ${batchRunner.batchDir(id)}/summary.{csv,json}`);
+    process.exit(status.failed > 0 ? 1 : 0);
+  } catch (err) {
+    if (err.name === "AbortError") {
+      console.log(
+        `Interrupted. Resume with: node scripts/run-batch.mjs --resume ${id}`
+      );
+      process.exit(130);
+    }
+    console.error("Batch failed:", err.message);
+    process.exit(1);
+  }
+})();
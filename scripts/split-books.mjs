@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+import fs from "fs/promises";
+import path from "path";
+import { passageCatalog } from "../lib/passages.js";
+
+// Write each book of a split work (a catalog entry with
+// layout "gutenberg-books", e.g. iliad_pope) to its own file:
+//
+//   node scripts/split-books.mjs [catalog id] [output dir]
+//
+// Defaults to iliad_pope and passages/books/. The server splits books in
+// memory, so this is only needed to read or edit them as files.
+
+(async function run() {
+  const id = process.argv[2] || "iliad_pope";
+  const outDir = process.argv[3] || path.join("passages", "books");
+
+  try {
+    const books = (await passageCatalog.list()).filter(
+      (passage) => passage.parent === id
+    );
+    if (books.length === 0) {
+      console.error(`No split work with id "${id}" in passages/catalog.json`);
+      process.exit(1);
+    }
+
+    await fs.mkdir(outDir, { recursive: true });
+    for (const book of books) {
+      const passage = await passageCatalog.get(book.id);
+      const filepath = path.join(outDir, `${book.id}.txt`);
+      await fs.writeFile(filepath, passage.content + "\n", "utf-8");
+      console.log(`${filepath}: ${passage.lines} lines`);
+    }
+    process.exit(0);
+  } catch (err) {
+    console.error("Split failed:", err);
+    process.exit(1);
+  }
+})();
@@ -3,21 +3,40 @@ import oracle from "../lib/oracle.js";
 
 (async function run() {
   try {
-    const res = await oracle.predict("prophecy", {
+    const prompt = "prophecy";
+    const res = await oracle.predict(prompt, {
       length: 8,
       temperature: 1.0,
     });
     console.log("Prediction:", res.text);
     console.log("Tokens:", (res.tokens || []).join(" "));
+    console.log("Seed:", res.seed);
 
-    const allowed = new Set(oracle.words || []);
+    // The prompt's own words are allowed alongside the dictionary
+    const allowed = new Set([
+      ...(oracle.words || []),
+      ...oracle.tokenize(prompt),
+    ]);
     const bad = (res.tokens || []).filter((t) => !allowed.has(t));
     if (bad.length) {
       console.error("ERROR: tokens not in dictionary:", bad);
       process.exit(2);
     }
-
     console.log("OK: all tokens present in dictionary");
+
+    // The same seed replays a local prediction exactly
+    for (const mode of ["sample", "markov"]) {
+      const first = await oracle.predict(prompt, { mode, length: 8, seed: 7 });
+      const again = await oracle.predict(prompt, { mode, length: 8, seed: 7 });
+      if (first.text !== again.text) {
+        console.error(`ERROR: ${mode} mode did not replay seed 7:`, [
+          first.text,
+          again.text,
+        ]);
+        process.exit(3);
+      }
+    }
+    console.log("OK: seeded predictions replay");
     process.exit(0);
   } catch (err) {
     console.error("Test failed:", err);
@@ -1,9 +1,49 @@
+import "dotenv/config";
 import express from "express";
 import fs from "fs/promises";
 import path from "path";
 import { fileURLToPath } from "url";
 import { TranslationEngine, DegradationAnalyzer } from "./lib/translator.js";
 import oracle from "./lib/oracle.js";
+import { isKnownProvider, listProviders } from "./lib/providers.js";
+import { config } from "./lib/config.js";
+import { modelManager } from "./lib/models.js";
+import { runCycleExperiment } from "./lib/cycles.js";
+import { buildChain } from "./lib/chain.js";
+import { openEventStream } from "./lib/sse.js";
+import { runStore } from "./lib/run-store.js";
+import { batchRunner, BatchError } from "./lib/batch.js";
+import { passageCatalog, PassageError } from "./lib/passages.js";
+import { dictionaryLibrary } from "./lib/dictionary.js";
+import { isValidSeed, MAX_SEED } from "./lib/random.js";
+import { oracleSessions, SessionError } from "./lib/sessions.js";
+import { jobQueue, JobError } from "./lib/jobs.js";
+import { alignTokens, survivalHistory } from "./lib/alignment.js";
+import { EXPORT_FORMATS, exportRun, isExportFormat } from "./lib/export.js";
+import { exhibition, ExhibitionError } from "./lib/exhibition.js";
+import { METRIC_NAMES, isMetricName } from "./lib/metrics.js";
+import { scanText } from "./lib/scansion.js";
+import {
+  INPUT_FORMATS,
+  OUTPUT_FORMATS,
+  fromGreek,
+  isInputFormat,
+  isOutputFormat,
+  toGreek,
+} from "./lib/transliteration.js";
+import {
+  DEFAULT_PRONUNCIATION_SCHEME,
+  PRONUNCIATION_SCHEMES,
+  isPronunciationScheme,
+  pronounce,
+} from "./lib/pronunciation.js";
+import {
+  personaLibrary,
+  PersonaError,
+  renderPersona,
+  personaMetadata,
+  hopVariables,
+} from "./lib/personas.js";
 
 // ES module equivalent of __dirname
 const __filename = fileURLToPath(import.meta.url);
@@ -17,21 +57,203 @@ app.set("view engine", "ejs");
 app.use(express.json());
 app.use(express.static("public"));
 
-// Ensure results directory exists
-const ensureDirectoryExists = async (dir) => {
+// Initialize the run store (creates results/ and indexes any result files
+// written before the store existed)
+runStore.init().catch((error) => {
+  console.error("Run store initialization failed:", error);
+});
+
+// Requests may name an LLM provider; reject unknown names up front
+const validateProvider = (provider) => {
+  if (provider === undefined || provider === null || provider === "") {
+    return null;
+  }
+  if (!isKnownProvider(provider)) {
+    return `Unknown provider "${provider}". Available: ${listProviders().join(
+      ", "
+    )}`;
+  }
+  return null;
+};
+
+// Script-validation retries (see lib/script-validator.js)
+const DEFAULT_MAX_RETRIES = 2;
+const MAX_RETRIES_LIMIT = 5;
+
+const parseMaxRetries = (value) => {
+  if (value === undefined || value === null || value === "") {
+    return { maxRetries: DEFAULT_MAX_RETRIES };
+  }
+  const maxRetries = parseInt(value);
+  if (
+    Number.isNaN(maxRetries) ||
+    maxRetries < 0 ||
+    maxRetries > MAX_RETRIES_LIMIT
+  ) {
+    return { error: `max_retries must be between 0 and ${MAX_RETRIES_LIMIT}` };
+  }
+  return { maxRetries };
+};
+
+// `metrics` in a request: the similarity metrics to compute, all of them when
+// absent. Returns { metrics } or { error }.
+const parseMetricNames = (value) => {
+  if (value === undefined || value === null) {
+    return { metrics: METRIC_NAMES };
+  }
+  if (!Array.isArray(value) || value.length === 0) {
+    return { error: "metrics must be a non-empty list of metric names" };
+  }
+  const unknown = value.find((name) => !isMetricName(name));
+  if (unknown !== undefined) {
+    return {
+      error: `Unknown metric "${unknown}". Available: ${METRIC_NAMES.join(
+        ", "
+      )}`,
+    };
+  }
+  return { metrics: value };
+};
+
+// `pronunciation` in a request: a scheme from lib/pronunciation.js, restored
+// Attic by default. Returns { scheme } or { error }.
+const parsePronunciation = (value) => {
+  if (value === undefined || value === null || value === "") {
+    return { scheme: DEFAULT_PRONUNCIATION_SCHEME };
+  }
+  if (!isPronunciationScheme(value)) {
+    return {
+      error: `Unknown pronunciation "${value}". Available: ${PRONUNCIATION_SCHEMES.join(
+        ", "
+      )}`,
+    };
+  }
+  return { scheme: value };
+};
+
+// Pronunciation of the Greek in `text` for the speech voice, or null when
+// there is no Greek to read
+const greekPronunciation = (text, scheme) =>
+  /\p{Script=Greek}/u.test(text || "") ? pronounce(text, { scheme }) : null;
+
+// `input_format` of Greek text in a request: "auto" (the default) detects
+// Unicode, Beta Code or a Latin transliteration, and text that is none of
+// them (English, say) is refused with NOT_GREEK. Returns { format } or
+// { error }.
+const NOT_GREEK =
+  "Text does not look like Greek in Unicode, Beta Code or a Latin " +
+  "transliteration; set input_format to read it as one";
+const parseInputFormat = (value) => {
+  if (value === undefined || value === null || value === "") {
+    return { format: "auto" };
+  }
+  if (!isInputFormat(value)) {
+    return {
+      error: `Unknown input_format "${value}". Available: ${INPUT_FORMATS.join(
+        ", "
+      )}`,
+    };
+  }
+  return { format: value };
+};
+
+// `transliterate` in a request: true or "latin" for a Latin transliteration
+// next to the Greek, "betacode" for Beta Code. Returns { format } (null for
+// none) or { error }.
+const parseTransliterate = (value) => {
+  if (value === undefined || value === null || value === false) {
+    return { format: null };
+  }
+  const format = value === true || value === "true" ? "latin" : value;
+  if (!isOutputFormat(format)) {
+    return {
+      error: `Unknown transliterate "${value}". Available: ${OUTPUT_FORMATS.join(
+        ", "
+      )}`,
+    };
+  }
+  return { format };
+};
+
+// Default personas for the Poet/Muse single translations (personas/*.json)
+const DEFAULT_PERSONAS = { to_english: "poet", to_greek: "muse" };
+
+// Resolve a persona reference from a request body: an id, or { id, version }.
+// Returns { persona } (null when no reference and no fallback) or { error }.
+const resolvePersonaRef = async (ref, fallbackId = null) => {
+  const target = ref || fallbackId;
+  if (!target) return { persona: null };
+  const persona = await personaLibrary.resolve(target);
+  if (!persona) {
+    return { error: `Unknown persona ${JSON.stringify(target)}` };
+  }
+  return { persona };
+};
+
+// Resolve { to_english, to_greek } persona references for a cycle request
+const resolveCyclePersonas = async (refs = {}, defaults = {}) => {
+  if (refs === null || typeof refs !== "object" || Array.isArray(refs)) {
+    return { error: "personas must be an object with to_english/to_greek" };
+  }
+  const personas = {};
+  for (const direction of ["to_english", "to_greek"]) {
+    const result = await resolvePersonaRef(
+      refs[direction],
+      defaults[direction]
+    );
+    if (result.error) return result;
+    personas[direction] = result.persona;
+  }
+  return { personas };
+};
+
+// LLM work runs on the job queue (lib/jobs.js). For a plain JSON request
+// the job is cancelled if the client disconnects before it finishes; with
+// `async: true` in the body the request answers 202 with the job at once and
+// the result is read from GET /api/jobs/:id. Returns { result }, or null when
+// the response has already been sent (accepted, cancelled or disconnected).
+const runJob = async (req, res, options, run) => {
+  const detached = Boolean(req.body && req.body.async === true);
+  const job = jobQueue.enqueue(run, { ...options, keepResult: detached });
+  res.set("X-Job-Id", job.id);
+  if (detached) {
+    res.status(202).json(jobQueue.get(job.id));
+    return null;
+  }
+
+  const onClose = () => {
+    if (!res.writableEnded && !job.finished_at) {
+      jobQueue.cancel(job.id, "Client disconnected");
+    }
+  };
+  res.on("close", onClose);
   try {
-    await fs.access(dir);
-  } catch {
-    await fs.mkdir(dir, { recursive: true });
+    return { result: await job.promise };
+  } catch (error) {
+    if (error.name !== "AbortError") throw error;
+    if (!res.writableEnded && !res.destroyed) {
+      res.status(409).json({ error: error.message, job: jobQueue.get(job.id) });
+    }
+    return null;
+  } finally {
+    res.off("close", onClose);
   }
 };
 
-// Initialize results directory
-ensureDirectoryExists("results");
+// The same for Server-Sent Events: `queued` { job_id, position } events
+// report the place in the queue, and closing the stream cancels the job
+const streamJob = (stream, options, run) => {
+  const job = jobQueue.enqueue(run, {
+    ...options,
+    signal: stream.signal,
+    onQueued: (position) => stream.send("queued", { job_id: job.id, position }),
+  });
+  return job.promise;
+};
 
 // Routes
 app.get("/", (req, res) => {
-  res.render("index");
+  res.render("index", { maxCycles: config.cycles.max });
 });
 
 // Storyteller / Oracle UI route
@@ -39,140 +261,587 @@ app.get("/storyteller", (req, res) => {
   res.render("storyteller");
 });
 
-app.post("/api/single-translate", async (req, res) => {
-  try {
-    const { text, is_greek } = req.body;
+// Dashboard of saved runs: filters, similarity charts and side-by-side text
+app.get("/dashboard", (req, res) => {
+  res.render("dashboard", { metrics: METRIC_NAMES });
+});
 
-    if (!text || !text.trim()) {
-      return res.status(400).json({ error: "No text provided" });
-    }
+// Interlinear view of a run's word survival: /interlinear?run=<run id>
+app.get("/interlinear", (req, res) => {
+  res.render("interlinear");
+});
 
-    const modelName = "llama3.2:3b";
-    const engine = new TranslationEngine(modelName);
+// Shared by /api/single-translate and its streaming variant
+const parseSingleTranslateRequest = (body = {}) => {
+  const {
+    text,
+    is_greek,
+    provider,
+    max_retries,
+    persona,
+    passage_name,
+    pronunciation,
+    input_format,
+    transliterate,
+  } = body;
 
-    if (is_greek) {
-      // Greek to English - Poet personality
-      const poetPrompt = `You are a passionate poet who translates with creative flair and dramatic expression.
-Translate this Ancient Greek text to English, while capturing its epic spirit and emotional power.
-Embrace vivid imagery, grand language, and the heroic tone of classical literature.
-Provide ONLY the English translation, no explanations.`;
+  if (!text || !text.trim()) {
+    return { error: "No text provided" };
+  }
 
-      const translation = await engine.translateToEnglish(text, poetPrompt);
-      return res.json({
-        translation,
-        is_greek: false,
-        model_used: `${modelName} (Poet)`,
-        direction: "Greek → English",
-      });
-    } else {
-      // English to Greek - Muse personality
-      const musePrompt = `You are the divine Muse of epic poetry, weaving words with supernatural grace.
-Translate this English text to Ancient Greek.
-Channel divine inspiration, using magical epithets, mystical language and patterns, and the sacred rhythm of the gods.
-Let your translation flow with otherworldly beauty and mythic power.
-Give absolutely NO explanations.`;
-
-      const translation = await engine.translateToGreek(text, musePrompt);
-      return res.json({
-        translation,
-        is_greek: true,
-        model_used: `${modelName} (Muse)`,
-        direction: "English → Greek",
-      });
+  const providerError = validateProvider(provider);
+  if (providerError) {
+    return { error: providerError };
+  }
+
+  const retries = parseMaxRetries(max_retries);
+  if (retries.error) {
+    return { error: retries.error };
+  }
+
+  const speech = parsePronunciation(pronunciation);
+  if (speech.error) {
+    return { error: speech.error };
+  }
+
+  const input = parseInputFormat(input_format);
+  if (input.error) {
+    return { error: input.error };
+  }
+  const output = parseTransliterate(transliterate);
+  if (output.error) {
+    return { error: output.error };
+  }
+
+  // Greek input may arrive as Beta Code or transliterated; English is as is
+  const source = is_greek
+    ? toGreek(text, { format: input.format })
+    : { text, format: null };
+  if (is_greek && !source.format) {
+    return { error: NOT_GREEK };
+  }
+
+  return {
+    text: source.text,
+    inputFormat: source.format,
+    transliterate: output.format,
+    isGreek: Boolean(is_greek),
+    provider,
+    maxRetries: retries.maxRetries,
+    personaRef: persona,
+    passageName: passage_name || "custom",
+    pronunciation: speech.scheme,
+  };
+};
+
+// The Greek side of a single translation (the source or the translation) is
+// returned with its pronunciation for the speech voice, and transliterated
+// when asked. Greek input that was not Unicode is echoed back converted, as
+// `source`, with the `input_format` it was read as.
+const singleTranslate = async (request, options = {}) => {
+  const { text, isGreek, provider, maxRetries, persona } = request;
+  const modelName = config.translation.model;
+  const engine = new TranslationEngine(modelName, undefined, provider, {
+    maxRetries,
+  });
+  const direction = isGreek ? "to_english" : "to_greek";
+  const prompt = renderPersona(
+    persona,
+    hopVariables(direction, { passageName: request.passageName })
+  );
+
+  const { text: translation, quality } = await engine.translateValidated(
+    text,
+    direction,
+    prompt,
+    options
+  );
+  return {
+    translation,
+    is_greek: !isGreek,
+    model_used: `${modelName} (${persona.name})`,
+    direction: isGreek ? "Greek → English" : "English → Greek",
+    persona: { id: persona.id, version: persona.version },
+    quality,
+    pronunciation: greekPronunciation(
+      isGreek ? text : translation,
+      request.pronunciation
+    ),
+    ...(request.transliterate
+      ? {
+          transliteration: fromGreek(
+            isGreek ? text : translation,
+            request.transliterate
+          ),
+        }
+      : {}),
+    ...(request.inputFormat && request.inputFormat !== "unicode"
+      ? { input_format: request.inputFormat, source: text }
+      : {}),
+  };
+};
+
+// Validate the body and resolve its persona (Poet/Muse by default)
+const prepareSingleTranslate = async (body) => {
+  const request = parseSingleTranslateRequest(body);
+  if (request.error) return request;
+  const direction = request.isGreek ? "to_english" : "to_greek";
+  const resolved = await resolvePersonaRef(
+    request.personaRef,
+    DEFAULT_PERSONAS[direction]
+  );
+  if (resolved.error) return resolved;
+  return { ...request, persona: resolved.persona };
+};
+
+app.post("/api/single-translate", async (req, res) => {
+  try {
+    const request = await prepareSingleTranslate(req.body);
+    if (request.error) {
+      return res.status(400).json({ error: request.error });
     }
+
+    const job = await runJob(
+      req,
+      res,
+      { kind: "single-translate", priority: "interactive" },
+      (signal) => singleTranslate(request, { signal })
+    );
+    if (job) return res.json(job.result);
   } catch (error) {
     console.error("Single translate error:", error);
     return res.status(500).json({ error: error.message });
   }
 });
 
-app.post("/api/translate", async (req, res) => {
+// Streaming variant of /api/single-translate. Emits `queued` events while the
+// request waits for the job queue, `token` events while the model generates,
+// `retry` { attempt, flags } when an output failed the script check and is
+// being regenerated, and a final `done` event carrying the usual JSON
+// response.
+app.post("/api/single-translate/stream", async (req, res) => {
+  const request = await prepareSingleTranslate(req.body);
+  if (request.error) {
+    return res.status(400).json({ error: request.error });
+  }
+
+  const stream = openEventStream(res);
   try {
-    const { text, cycles, model, passage_name } = req.body;
+    const result = await streamJob(
+      stream,
+      { kind: "single-translate", priority: "interactive" },
+      (signal) =>
+        singleTranslate(request, {
+          signal,
+          onToken: (token) => stream.send("token", { token }),
+          onRetry: (retry) => stream.send("retry", retry),
+        })
+    );
+    stream.send("done", result);
+  } catch (error) {
+    if (!stream.signal.aborted) {
+      console.error("Single translate stream error:", error);
+      stream.send("error", { error: error.message });
+    }
+  } finally {
+    stream.close();
+  }
+});
 
-    if (!text || !text.trim()) {
-      return res.status(400).json({ error: "No text provided" });
+// Pronunciation of any Greek text: { text, pronunciation } → the syllables,
+// accents and IPA of lib/pronunciation.js plus the string a voice can read
+app.post("/api/pronounce", (req, res) => {
+  const { text, pronunciation } = req.body || {};
+  if (!text || !text.trim()) {
+    return res.status(400).json({ error: "No text provided" });
+  }
+  const speech = parsePronunciation(pronunciation);
+  if (speech.error) {
+    return res.status(400).json({ error: speech.error });
+  }
+  return res.json(pronounce(text, { scheme: speech.scheme }));
+});
+
+// Resolve a request's `citation` ("Iliad 1.1-5") to the Greek text the
+// cycles start from. Returns { passage } or { error }.
+const resolveCitation = async (citation) => {
+  try {
+    return {
+      passage: await passageCatalog.cite(citation, { language: "grc" }),
+    };
+  } catch (error) {
+    if (error instanceof PassageError) return { error: error.message };
+    throw error;
+  }
+};
+
+// Shared by /api/translate and /api/translate/stream. `personas`
+// ({ to_english, to_greek }) is optional; directions without one use the
+// engine's plain translation prompts. `chain` is an optional list of hops
+// ({ model, persona, temperature, provider }) used in rotation, e.g.
+//   [{ model: "llama3.2:3b" }, { model: "mistral", persona: "muse" }]
+// for llama3.2 Greek → English and mistral English → Greek; see lib/chain.js.
+// `citation` ("Iliad 1.1-5") may be given instead of `text`; the passage is
+// looked up in the catalog and the citation becomes the default passage name.
+// `text` may be Beta Code or transliterated (`input_format`, see
+// parseInputFormat), and `transliterate` adds the original and every cycle's
+// Greek in Latin letters or Beta Code to the response. The index page's
+// continuous display sends `continuous: true` to save its runs as kind
+// `continuous`, and `continues` with the id of the run a request carries on
+// from. `fold_diacritics: true` makes the metrics ignore accents and
+// breathings; the run records it in `metadata.fold_diacritics`. `metrics`
+// limits the metrics computed for each cycle (`metric` is always among them).
+const parseCycleRequest = async (body = {}) => {
+  const {
+    citation,
+    cycles,
+    model,
+    provider,
+    metric = "jaccard",
+    metrics,
+    fold_diacritics,
+    max_retries,
+    personas,
+    chain,
+    input_format,
+    transliterate,
+    continuous,
+    continues,
+  } = body;
+  let { text, passage_name: passageName } = body;
+  let inputFormat = null;
+
+  if (citation) {
+    if (text) {
+      return { error: "Provide either text or citation, not both" };
     }
+    const cited = await resolveCitation(citation);
+    if (cited.error) {
+      return { error: cited.error };
+    }
+    text = cited.passage.content;
+    passageName = passageName || cited.passage.citation;
+  }
 
-    const cycleCount = parseInt(cycles) || 3;
-    if (cycleCount < 1 || cycleCount > 10) {
-      return res.status(400).json({ error: "Cycles must be between 1 and 10" });
+  if (!text || !text.trim()) {
+    return { error: "No text provided" };
+  }
+
+  const input = parseInputFormat(input_format);
+  if (input.error) {
+    return { error: input.error };
+  }
+  if (!citation) {
+    const source = toGreek(text, { format: input.format });
+    if (!source.format) {
+      return { error: NOT_GREEK };
     }
+    text = source.text;
+    inputFormat = source.format;
+  }
+  const output = parseTransliterate(transliterate);
+  if (output.error) {
+    return { error: output.error };
+  }
 
-    const modelName = model || "llama3.2:3b";
-    const engine = new TranslationEngine(modelName);
-    const analyzer = new DegradationAnalyzer();
+  if (
+    continues !== undefined &&
+    continues !== null &&
+    (typeof continues !== "string" || !continues.trim())
+  ) {
+    return { error: "continues must be a run id" };
+  }
 
-    const results = {
-      original: text,
-      cycles: [],
-      metadata: {
-        passage_name: passage_name || "custom",
-        model: modelName,
-        total_cycles: cycleCount,
-        timestamp: new Date().toISOString(),
-      },
+  const cycleCount = parseInt(cycles) || config.cycles.default;
+  if (cycleCount < 1 || cycleCount > config.cycles.max) {
+    return { error: `Cycles must be between 1 and ${config.cycles.max}` };
+  }
+
+  const providerError = validateProvider(provider);
+  if (providerError) {
+    return { error: providerError };
+  }
+
+  if (!isMetricName(metric)) {
+    return {
+      error: `Unknown metric "${metric}". Available: ${METRIC_NAMES.join(
+        ", "
+      )}`,
     };
+  }
 
-    let currentText = text;
+  const measured = parseMetricNames(metrics);
+  if (measured.error) {
+    return { error: measured.error };
+  }
 
-    for (let cycle = 1; cycle <= cycleCount; cycle++) {
-      // Greek to English
-      const englishTranslation = await engine.translateToEnglish(currentText);
+  const retries = parseMaxRetries(max_retries);
+  if (retries.error) {
+    return { error: retries.error };
+  }
 
-      // English back to Greek
-      const greekTranslation = await engine.translateToGreek(
-        englishTranslation
-      );
+  const resolved = await resolveCyclePersonas(personas || {});
+  if (resolved.error) {
+    return { error: resolved.error };
+  }
+
+  const modelName = model || config.translation.model;
+  const built = await buildChain(chain, {
+    model: modelName,
+    provider,
+    personas: resolved.personas,
+    maxRetries: retries.maxRetries,
+  });
+  if (built.error) {
+    return { error: built.error };
+  }
 
-      // Calculate similarity
-      const similarity = analyzer.calculateSimilarity(text, greekTranslation);
+  return {
+    text,
+    cycleCount,
+    personas: resolved.personas,
+    chain: built.chain,
+    maxRetries: retries.maxRetries,
+    modelName,
+    passageName: passageName || "custom",
+    provider,
+    metric,
+    metrics: measured.metrics,
+    foldDiacritics: fold_diacritics === true,
+    inputFormat,
+    transliterate: output.format,
+    kind: continuous ? "continuous" : "translate",
+    continues: continues || null,
+  };
+};
 
-      const cycleResult = {
-        cycle,
-        english: englishTranslation,
-        greek: greekTranslation,
-        similarity,
-      };
+// Transliterations are added to the response (and `cycle` events) only;
+// the saved run keeps the Greek
+const runCycleRequest = async (request, { signal, onEvent } = {}) => {
+  const analyzer = new DegradationAnalyzer({
+    metric: request.metric,
+    metrics: request.metrics,
+    foldDiacritics: request.foldDiacritics,
+  });
+  const transliterate = (greek) => fromGreek(greek, request.transliterate);
+  const emit =
+    onEvent && request.transliterate
+      ? (event, data) =>
+          onEvent(
+            event,
+            event === "cycle"
+              ? { ...data, greek_transliteration: transliterate(data.greek) }
+              : data
+          )
+      : onEvent;
 
-      results.cycles.push(cycleResult);
-      currentText = greekTranslation;
-    }
+  const results = await runCycleExperiment({
+    text: request.text,
+    cycles: request.cycleCount,
+    chain: request.chain,
+    analyzer,
+    maxRetries: request.maxRetries,
+    personas: request.personas,
+    passageName: request.passageName,
+    signal,
+    onEvent: emit,
+    metadata: {
+      ...(request.inputFormat && request.inputFormat !== "unicode"
+        ? { input_format: request.inputFormat }
+        : {}),
+      ...(request.continues ? { continues: request.continues } : {}),
+    },
+  });
 
-    // Add final analysis
-    results.analysis = analyzer.analyzeDegradation(text, currentText);
+  // Save results
+  const entry = await runStore.save(results, { kind: request.kind });
+  results.run_id = entry.id;
+  results.saved_file = entry.filename;
 
-    // Save results
-    const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-    const filename = `web_results_${timestamp}.json`;
-    const filepath = path.join("results", filename);
+  if (request.transliterate) {
+    results.original_transliteration = transliterate(results.original);
+    for (const cycle of results.cycles) {
+      cycle.greek_transliteration = transliterate(cycle.greek);
+    }
+  }
+  return results;
+};
 
-    await fs.writeFile(filepath, JSON.stringify(results, null, 2), "utf-8");
-    results.saved_file = filename;
+app.post("/api/translate", async (req, res) => {
+  try {
+    const request = await parseCycleRequest(req.body);
+    if (request.error) {
+      return res.status(400).json({ error: request.error });
+    }
 
-    return res.json(results);
+    const job = await runJob(
+      req,
+      res,
+      {
+        kind: "translate",
+        priority: "interactive",
+        label: request.passageName,
+      },
+      (signal) => runCycleRequest(request, { signal })
+    );
+    if (job) return res.json(job.result);
   } catch (error) {
     console.error("Translation cycle error:", error);
     return res.status(500).json({ error: error.message });
   }
 });
 
+// Streaming variant of /api/translate (Server-Sent Events). Events, in order:
+//   start, queued... while waiting for the job queue, then per cycle:
+//   cycle-start, token..., hop, token..., hop, cycle
+//   analysis once all cycles finish, then done { run_id, saved_file }
+//   error { error } if a translation fails
+// Closing the connection aborts the in-flight generation.
+app.post("/api/translate/stream", async (req, res) => {
+  const request = await parseCycleRequest(req.body);
+  if (request.error) {
+    return res.status(400).json({ error: request.error });
+  }
+
+  const stream = openEventStream(res);
+  try {
+    stream.send("start", {
+      passage_name: request.passageName,
+      model: request.modelName,
+      chain: request.chain.describe(),
+      total_cycles: request.cycleCount,
+    });
+    const results = await streamJob(
+      stream,
+      {
+        kind: "translate",
+        priority: "interactive",
+        label: request.passageName,
+      },
+      (signal) =>
+        runCycleRequest(request, {
+          signal,
+          onEvent: (event, data) => stream.send(event, data),
+        })
+    );
+    stream.send("analysis", results.analysis);
+    stream.send("done", {
+      run_id: results.run_id,
+      saved_file: results.saved_file,
+    });
+  } catch (error) {
+    if (!stream.signal.aborted) {
+      console.error("Translation stream error:", error);
+      stream.send("error", { error: error.message });
+    }
+  } finally {
+    stream.close();
+  }
+});
+
+// Passage catalog (passages/catalog.json, see lib/passages.js)
+const sendPassageError = (res, error, label) => {
+  if (error instanceof PassageError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${label} error:`, error);
+  return res.status(500).json({ error: error.message });
+};
+
+// GET /api/passages?work=&language=&book=
+app.get("/api/passages", async (req, res) => {
+  try {
+    const { work, language, book } = req.query;
+    return res.json(await passageCatalog.list({ work, language, book }));
+  } catch (error) {
+    return sendPassageError(res, error, "List passages");
+  }
+});
+
+// `?transliterate=latin|betacode` on the passage routes adds the Greek
+// content in that form as `transliteration`
+const withTransliteration = (passage, format) =>
+  format && /\p{Script=Greek}/u.test(passage.content)
+    ? { ...passage, transliteration: fromGreek(passage.content, format) }
+    : passage;
+
+// GET /api/passages/cite?ref=Iliad 1.1-5&language=grc|en
+app.get("/api/passages/cite", async (req, res) => {
+  try {
+    const { ref, language } = req.query;
+    if (!ref) {
+      return res.status(400).json({ error: "No citation provided" });
+    }
+    const output = parseTransliterate(req.query.transliterate);
+    if (output.error) {
+      return res.status(400).json({ error: output.error });
+    }
+    return res.json(
+      withTransliteration(
+        await passageCatalog.cite(ref, { language }),
+        output.format
+      )
+    );
+  } catch (error) {
+    return sendPassageError(res, error, "Cite passage");
+  }
+});
+
+// POST { id, text, title?, work?, book?, start_line?, end_line?, language,
+//        source?, translator?, input_format? }
+// Greek `text` in Beta Code or Latin transliteration is stored as Unicode
+app.post("/api/passages", async (req, res) => {
+  try {
+    return res.status(201).json(await passageCatalog.add(req.body || {}));
+  } catch (error) {
+    return sendPassageError(res, error, "Add passage");
+  }
+});
+
+// Catalog ids (including split books such as iliad_pope_book3) return their
+// metadata; other .txt files in passages/ are still served by file name
 app.get("/api/passages/:filename", async (req, res) => {
   try {
+    const output = parseTransliterate(req.query.transliterate);
+    if (output.error) {
+      return res.status(400).json({ error: output.error });
+    }
+    const passage = await passageCatalog.get(req.params.filename);
+    if (passage) {
+      return res.json(
+        withTransliteration(
+          {
+            ...passage,
+            filename: `${passage.id}.txt`,
+            length: passage.content.length,
+          },
+          output.format
+        )
+      );
+    }
+
     let filename = req.params.filename;
     if (!filename.endsWith(".txt")) {
       filename += ".txt";
     }
 
-    const filepath = path.join("passages", filename);
+    const filepath = passageCatalog.resolveFile(filename);
+    if (!filepath) {
+      return res.status(404).json({ error: "Passage not found" });
+    }
 
     try {
       const content = await fs.readFile(filepath, "utf-8");
-      return res.json({
-        filename,
-        content: content.trim(),
-        length: content.trim().length,
-      });
+      return res.json(
+        withTransliteration(
+          {
+            filename,
+            content: content.trim(),
+            length: content.trim().length,
+          },
+          output.format
+        )
+      );
     } catch (error) {
       return res.status(404).json({ error: "Passage not found" });
     }
@@ -182,134 +851,423 @@ app.get("/api/passages/:filename", async (req, res) => {
   }
 });
 
+// Legacy listing kept for older clients; /api/runs supersedes it
 app.get("/api/results", async (req, res) => {
   try {
-    const resultsDir = "results";
-    const resultsFiles = [];
+    const runs = await runStore.all();
+    return res.json(
+      runs.map((run) => ({
+        filename: run.filename,
+        size: run.size,
+        modified: run.modified,
+        metadata: {
+          passage_name: run.passage_name,
+          model: run.model,
+          total_cycles: run.total_cycles,
+          timestamp: run.timestamp,
+        },
+      }))
+    );
+  } catch (error) {
+    console.error("List results error:", error);
+    return res.status(500).json({ error: error.message });
+  }
+});
 
-    try {
-      const files = await fs.readdir(resultsDir);
-
-      for (const filename of files) {
-        if (filename.endsWith(".json")) {
-          const filepath = path.join(resultsDir, filename);
-          const stats = await fs.stat(filepath);
-
-          let metadata = {};
-          try {
-            const content = await fs.readFile(filepath, "utf-8");
-            const data = JSON.parse(content);
-            metadata = data.metadata || {};
-          } catch {
-            // Ignore metadata read errors
-          }
-
-          resultsFiles.push({
-            filename,
-            size: stats.size,
-            modified: stats.mtime.toISOString(),
-            metadata,
-          });
-        }
+// Run store. GET /api/runs?passage=&model=&kind=&tag=&from=&to=&page=&limit=
+app.get("/api/runs", async (req, res) => {
+  try {
+    const { passage, model, kind, tag, from, to, page, limit } = req.query;
+    for (const [name, value] of [
+      ["from", from],
+      ["to", to],
+    ]) {
+      if (value && Number.isNaN(Date.parse(value))) {
+        return res.status(400).json({ error: `Invalid ${name} date` });
       }
-    } catch {
-      // Results directory doesn't exist or is empty
     }
 
-    // Sort by modification time (newest first)
-    resultsFiles.sort((a, b) => new Date(b.modified) - new Date(a.modified));
+    return res.json(
+      await runStore.list({ passage, model, kind, tag, from, to, page, limit })
+    );
+  } catch (error) {
+    console.error("List runs error:", error);
+    return res.status(500).json({ error: error.message });
+  }
+});
 
-    return res.json(resultsFiles);
+// Passages, models and kinds present in the run store, for filter menus
+app.get("/api/runs/facets", async (req, res) => {
+  try {
+    return res.json(await runStore.facets());
   } catch (error) {
-    console.error("List results error:", error);
+    console.error("Run facets error:", error);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Start an empty run that cycles are appended to as they happen.
+// POST { original, passage_name, model }
+app.post("/api/runs", async (req, res) => {
+  try {
+    const {
+      original,
+      passage_name,
+      model,
+      kind = "continuous",
+    } = req.body || {};
+
+    if (!original || !original.trim()) {
+      return res.status(400).json({ error: "No original text provided" });
+    }
+
+    const entry = await runStore.save(
+      {
+        original,
+        cycles: [],
+        metadata: {
+          passage_name: passage_name || "custom",
+          model: model || config.translation.model,
+          total_cycles: 0,
+          timestamp: new Date().toISOString(),
+        },
+      },
+      { kind: String(kind) }
+    );
+    return res.status(201).json(entry);
+  } catch (error) {
+    console.error("Create run error:", error);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+app.get("/api/runs/:id", async (req, res) => {
+  try {
+    const run = await runStore.get(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: "Run not found" });
+    }
+    return res.json(run);
+  } catch (error) {
+    console.error("Get run error:", error);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Word alignment of every cycle against the original (see lib/alignment.js).
+// Runs saved before alignments were recorded are aligned on the fly.
+// `words` lists each original word with its status in every cycle.
+app.get("/api/runs/:id/alignment", async (req, res) => {
+  try {
+    const run = await runStore.get(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: "Run not found" });
+    }
+    const cycles = (run.cycles || []).map((cycle) => ({
+      cycle: cycle.cycle,
+      greek: cycle.greek,
+      alignment: cycle.alignment || alignTokens(run.original, cycle.greek),
+    }));
+    return res.json({
+      id: run.id || req.params.id,
+      passage_name: run.metadata ? run.metadata.passage_name : null,
+      original: run.original,
+      cycles,
+      words: survivalHistory(run.original, cycles),
+    });
+  } catch (error) {
+    console.error("Run alignment error:", error);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Hexameter scansion of the original and every cycle's Greek (see
+// lib/scansion.js): per line the syllable quantities, the best-fitting
+// pattern and its metricality, and the mean metricality of each text
+app.get("/api/runs/:id/scansion", async (req, res) => {
+  try {
+    const run = await runStore.get(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: "Run not found" });
+    }
+    return res.json({
+      id: run.id || req.params.id,
+      passage_name: run.metadata ? run.metadata.passage_name : null,
+      original: scanText(run.original),
+      cycles: (run.cycles || []).map((cycle) => ({
+        cycle: cycle.cycle,
+        scansion: scanText(cycle.greek),
+      })),
+    });
+  } catch (error) {
+    console.error("Run scansion error:", error);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/runs/:id/export?format=tei|markdown|csv|html (see lib/export.js).
+// HTML editions open in the browser for printing; the rest download.
+app.get("/api/runs/:id/export", async (req, res) => {
+  try {
+    const { format } = req.query;
+    if (!isExportFormat(format)) {
+      return res.status(400).json({
+        error: `format must be one of ${EXPORT_FORMATS.join(", ")}`,
+      });
+    }
+    const run = await runStore.get(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: "Run not found" });
+    }
+    const exported = exportRun({ id: req.params.id, ...run }, format);
+    if (format !== "html") {
+      res.attachment(`${req.params.id}.${exported.extension}`);
+    }
+    res.type(exported.contentType);
+    return res.send(exported.body);
+  } catch (error) {
+    console.error("Export run error:", error);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// PATCH { tags: [...] } replaces the run's tags
+app.patch("/api/runs/:id", async (req, res) => {
+  try {
+    const { tags } = req.body || {};
+    if (!Array.isArray(tags)) {
+      return res.status(400).json({ error: "tags must be an array" });
+    }
+
+    const entry = await runStore.setTags(req.params.id, tags);
+    if (!entry) {
+      return res.status(404).json({ error: "Run not found" });
+    }
+    return res.json(entry);
+  } catch (error) {
+    console.error("Update run error:", error);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete("/api/runs/:id", async (req, res) => {
+  try {
+    const removed = await runStore.remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: "Run not found" });
+    }
+    return res.json({ deleted: req.params.id });
+  } catch (error) {
+    console.error("Delete run error:", error);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Append one cycle to a run. POST { greek, english, cycle? }
+app.post("/api/runs/:id/cycles", async (req, res) => {
+  try {
+    const { greek, english, cycle } = req.body || {};
+    if (typeof greek !== "string" || typeof english !== "string") {
+      return res
+        .status(400)
+        .json({ error: "greek and english text are required" });
+    }
+
+    const run = await runStore.get(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: "Run not found" });
+    }
+
+    // Measured the way the rest of the run was
+    const analyzer = new DegradationAnalyzer({
+      metric: (run.metadata && run.metadata.metric) || undefined,
+      metrics: (run.metadata && run.metadata.metrics) || undefined,
+      foldDiacritics: Boolean(run.metadata && run.metadata.fold_diacritics),
+    });
+    const previousCycles = run.cycles || [];
+    const previous = previousCycles.length
+      ? previousCycles[previousCycles.length - 1].greek
+      : run.original;
+    const metrics = analyzer.compareCycle(run.original, previous, greek);
+    const entry = await runStore.appendCycle(req.params.id, {
+      cycle: parseInt(cycle) || previousCycles.length + 1,
+      english,
+      greek,
+      similarity: metrics.vs_original[analyzer.metric],
+      metrics,
+      alignment: alignTokens(run.original, greek),
+      timestamp: new Date().toISOString(),
+    });
+    return res.status(201).json(entry);
+  } catch (error) {
+    console.error("Append cycle error:", error);
     return res.status(500).json({ error: error.message });
   }
 });
 
 app.post("/api/cycle-translate", async (req, res) => {
   try {
-    const { passage_name } = req.body;
+    const { citation, provider, personas } = req.body;
+    let { passage_name } = req.body;
+
+    // A citation ("Iliad 1.1-5") can stand in for the passage file name
+    let citedText = null;
+    if (citation) {
+      const cited = await resolveCitation(citation);
+      if (cited.error) {
+        return res.status(400).json({ error: cited.error });
+      }
+      citedText = cited.passage.content;
+      passage_name = passage_name || cited.passage.citation;
+    }
 
     if (!passage_name) {
       return res.status(400).json({ error: "No passage name provided" });
     }
 
+    const providerError = validateProvider(provider);
+    if (providerError) {
+      return res.status(400).json({ error: providerError });
+    }
+
+    const resolved = await resolveCyclePersonas(
+      personas || {},
+      DEFAULT_PERSONAS
+    );
+    if (resolved.error) {
+      return res.status(400).json({ error: resolved.error });
+    }
+    const { to_english: poet, to_greek: muse } = resolved.personas;
+    const promptFor = (persona, direction) =>
+      renderPersona(
+        persona,
+        hopVariables(direction, { passageName: passage_name, cycle: 1 })
+      );
+
     // Read the passage file
-    const passagePath = path.join(__dirname, "passages", `${passage_name}.txt`);
-    let greekText;
+    const passagePath = passageCatalog.resolveFile(`${passage_name}.txt`);
+    let greekText = citedText;
 
-    try {
-      greekText = await fs.readFile(passagePath, "utf8");
-      greekText = greekText.trim();
-    } catch (error) {
-      return res
-        .status(400)
-        .json({ error: `Passage file not found: ${passage_name}.txt` });
+    if (greekText === null) {
+      if (!passagePath) {
+        return res
+          .status(400)
+          .json({ error: `Passage file not found: ${passage_name}.txt` });
+      }
+      try {
+        greekText = await fs.readFile(passagePath, "utf8");
+        greekText = greekText.trim();
+      } catch (error) {
+        return res
+          .status(400)
+          .json({ error: `Passage file not found: ${passage_name}.txt` });
+      }
     }
 
-    const modelName = "llama3.2:3b";
-    const engine = new TranslationEngine(modelName);
+    const job = await runJob(
+      req,
+      res,
+      { kind: "cycle-translate", priority: "interactive", label: passage_name },
+      async (signal) => {
+        const modelName = config.translation.model;
+        const engine = new TranslationEngine(modelName, undefined, provider);
 
-    // Step 1: Greek → English (with Poet personality)
-    const poetPrompt = `You are a passionate poet who translates with creative flair and dramatic expression.
-Translate this Ancient Greek text to English, while capturing its epic spirit and emotional power.
-Embrace vivid imagery, grand language, and the heroic tone of classical literature.
-Provide ONLY the English translation, no explanations.`;
+        // Step 1: Greek → English (Poet persona by default)
+        const english = await engine.translateValidated(
+          greekText,
+          "to_english",
+          promptFor(poet, "to_english"),
+          { signal }
+        );
+        const englishTranslation = english.text;
 
-    const englishTranslation = await engine.translateToEnglish(
-      greekText,
-      poetPrompt
-    );
+        // Step 2: English → Greek (Muse persona by default)
+        const greek = await engine.translateValidated(
+          englishTranslation,
+          "to_greek",
+          promptFor(muse, "to_greek"),
+          { signal }
+        );
+        const backToGreek = greek.text;
 
-    // Step 2: English → Greek (with Muse personality)
-    const musePrompt = `You are the divine Muse of epic poetry, weaving words with supernatural grace.
-Translate this English text to Ancient Greek.
-Channel divine inspiration, using magical epithets, mystical language and patterns, and the sacred rhythm of the gods.
-Let your translation flow with otherworldly beauty and mythic power.
-Give absolutely NO explanations.`;
+        // Step 3: Greek → English again (final translation)
+        const finalEnglish = await engine.translateToEnglish(
+          backToGreek,
+          promptFor(poet, "to_english"),
+          { signal }
+        );
 
-    const backToGreek = await engine.translateToGreek(
-      englishTranslation,
-      musePrompt
-    );
+        const analyzer = new DegradationAnalyzer();
+        const metrics = analyzer.compareCycle(
+          greekText,
+          greekText,
+          backToGreek
+        );
+        const entry = await runStore.save(
+          {
+            original: greekText,
+            cycles: [
+              {
+                cycle: 1,
+                english: englishTranslation,
+                greek: backToGreek,
+                similarity: metrics.vs_original[analyzer.metric],
+                metrics,
+                alignment: alignTokens(greekText, backToGreek),
+                quality: { english: english.quality, greek: greek.quality },
+                model_failure: !(english.quality.ok && greek.quality.ok),
+                final_english: finalEnglish,
+              },
+            ],
+            metadata: {
+              passage_name,
+              model: modelName,
+              provider: engine.provider.name,
+              total_cycles: 1,
+              personas: personaMetadata(resolved.personas),
+              timestamp: new Date().toISOString(),
+            },
+          },
+          { kind: "cycle-translate" }
+        );
 
-    // Step 3: Greek → English again (final translation)
-    const finalEnglish = await engine.translateToEnglish(
-      backToGreek,
-      poetPrompt
+        return {
+          cycle_complete: true,
+          steps: [
+            {
+              step: 1,
+              text: greekText,
+              language: "greek",
+              description: "Original Ancient Greek text",
+            },
+            {
+              step: 2,
+              text: englishTranslation,
+              language: "english",
+              description: "First Greek → English translation",
+            },
+            {
+              step: 3,
+              text: backToGreek,
+              language: "greek",
+              description: "English → Greek back-translation",
+            },
+            {
+              step: 4,
+              text: finalEnglish,
+              language: "english",
+              description: "Final Greek → English translation",
+            },
+          ],
+          model_used: modelName,
+          provider: engine.provider.name,
+          personas: personaMetadata(resolved.personas),
+          passage_name: passage_name,
+          run_id: entry.id,
+        };
+      }
     );
-
-    return res.json({
-      cycle_complete: true,
-      steps: [
-        {
-          step: 1,
-          text: greekText,
-          language: "greek",
-          description: "Original Ancient Greek text",
-        },
-        {
-          step: 2,
-          text: englishTranslation,
-          language: "english",
-          description: "First Greek → English translation",
-        },
-        {
-          step: 3,
-          text: backToGreek,
-          language: "greek",
-          description: "English → Greek back-translation",
-        },
-        {
-          step: 4,
-          text: finalEnglish,
-          language: "english",
-          description: "Final Greek → English translation",
-        },
-      ],
-      model_used: modelName,
-      passage_name: passage_name,
-    });
+    if (job) return res.json(job.result);
   } catch (error) {
     console.error("Cycle translate error:", error);
     return res.status(500).json({ error: error.message });
@@ -317,8 +1275,13 @@ Give absolutely NO explanations.`;
 });
 
 app.get("/results/:filename", (req, res) => {
+  // Only serve files the run store knows about; never join raw user input
   const filename = req.params.filename;
-  const filepath = path.join(__dirname, "results", filename);
+  const filepath = runStore.resolveFile(filename);
+  const id = filename.replace(/\.json$/, "");
+  if (!filepath || !runStore.getEntry(id)) {
+    return res.status(404).json({ error: "File not found" });
+  }
   res.download(filepath, (err) => {
     if (err) {
       res.status(404).json({ error: "File not found" });
@@ -326,32 +1289,514 @@ app.get("/results/:filename", (req, res) => {
   });
 });
 
+// Persona library. Personas are prompt templates stored in personas/*.json;
+// editing a template creates a new version.
+const sendPersonaError = (res, error, label) => {
+  if (error instanceof PersonaError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${label} error:`, error);
+  return res.status(500).json({ error: error.message });
+};
+
+// GET ?role=&archived=true (archived personas are left out by default)
+app.get("/api/personas", async (req, res) => {
+  try {
+    return res.json(
+      await personaLibrary.list({
+        role: req.query.role,
+        archived: req.query.archived === "true",
+      })
+    );
+  } catch (error) {
+    return sendPersonaError(res, error, "List personas");
+  }
+});
+
+// GET /api/personas/:id returns every version; ?version=N returns one
+app.get("/api/personas/:id", async (req, res) => {
+  try {
+    const persona = req.query.version
+      ? await personaLibrary.resolve({
+          id: req.params.id,
+          version: req.query.version,
+        })
+      : await personaLibrary.get(req.params.id);
+    if (!persona) {
+      return res.status(404).json({ error: "Persona not found" });
+    }
+    return res.json(persona);
+  } catch (error) {
+    return sendPersonaError(res, error, "Get persona");
+  }
+});
+
+// POST { id, name, description, role, template }
+app.post("/api/personas", async (req, res) => {
+  try {
+    return res.status(201).json(await personaLibrary.create(req.body || {}));
+  } catch (error) {
+    return sendPersonaError(res, error, "Create persona");
+  }
+});
+
+// PUT { name?, description?, role?, template? }
+app.put("/api/personas/:id", async (req, res) => {
+  try {
+    const persona = await personaLibrary.update(req.params.id, req.body || {});
+    if (!persona) {
+      return res.status(404).json({ error: "Persona not found" });
+    }
+    return res.json(persona);
+  } catch (error) {
+    return sendPersonaError(res, error, "Update persona");
+  }
+});
+
+// Archives the persona; saved runs can still resolve its versions
+app.delete("/api/personas/:id", async (req, res) => {
+  try {
+    const archived = await personaLibrary.archive(req.params.id);
+    if (!archived) {
+      return res.status(404).json({ error: "Persona not found" });
+    }
+    return res.json({ archived: req.params.id });
+  } catch (error) {
+    return sendPersonaError(res, error, "Delete persona");
+  }
+});
+
+// Models and backend health (see lib/models.js). GET /api/models?provider=
+// lists what a provider has installed, with the configured models marked
+// by role; /api/health answers 503 when the default provider is down.
+app.get("/api/models", async (req, res) => {
+  try {
+    const { provider } = req.query;
+    const providerError = validateProvider(provider);
+    if (providerError) {
+      return res.status(400).json({ error: providerError });
+    }
+    return res.json({
+      ...(await modelManager.list(provider || undefined)),
+      defaults: {
+        translation: {
+          model: config.translation.model,
+          temperature: config.translation.temperature,
+        },
+        oracle: {
+          model: config.oracle.model,
+          temperature: config.oracle.temperature,
+        },
+        cycles: config.cycles,
+      },
+    });
+  } catch (error) {
+    console.error("List models error:", error);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+app.get("/api/health", async (req, res) => {
+  try {
+    const health = await modelManager.health();
+    return res.status(health.status === "unavailable" ? 503 : 200).json(health);
+  } catch (error) {
+    console.error("Health check error:", error);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// LLM job queue (see lib/jobs.js)
+const sendJobError = (res, error, label) => {
+  if (error instanceof JobError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${label} error:`, error);
+  return res.status(500).json({ error: error.message });
+};
+
+app.get("/api/jobs", (req, res) => {
+  return res.json(jobQueue.list());
+});
+
+app.get("/api/jobs/:id", (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  return res.json(job);
+});
+
+// Cancel a queued or running job
+app.delete("/api/jobs/:id", (req, res) => {
+  try {
+    return res.json(jobQueue.cancel(req.params.id));
+  } catch (error) {
+    return sendJobError(res, error, "Cancel job");
+  }
+});
+
+// Batch experiments (see lib/batch.js and scripts/run-batch.mjs). Batches
+// run in the background; poll GET /api/batches/:id for progress.
+const sendBatchError = (res, error, label) => {
+  if (error instanceof BatchError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${label} error:`, error);
+  return res.status(500).json({ error: error.message });
+};
+
+const startBatch = (id) => {
+  batchRunner.run(id).catch((error) => {
+    if (error.name !== "AbortError") {
+      console.error(`Batch ${id} error:`, error);
+    }
+  });
+};
+
+app.get("/api/batches", async (req, res) => {
+  try {
+    return res.json(await batchRunner.list());
+  } catch (error) {
+    return sendBatchError(res, error, "List batches");
+  }
+});
+
+// POST { id?, passages, models, personas, temperatures, cycles, repeats,
+//        metric, fold_diacritics, max_retries, provider }
+// Posting a spec with the id of an unfinished batch resumes it.
+app.post("/api/batches", async (req, res) => {
+  try {
+    const batch = await batchRunner.create(req.body || {});
+    const status = await batchRunner.status(batch.id);
+    if (status.state !== "running" && status.state !== "completed") {
+      startBatch(batch.id);
+      status.state = "running";
+    }
+    return res.status(202).json(status);
+  } catch (error) {
+    return sendBatchError(res, error, "Create batch");
+  }
+});
+
+app.get("/api/batches/:id", async (req, res) => {
+  try {
+    const status = await batchRunner.status(req.params.id);
+    if (!status) {
+      return res.status(404).json({ error: "Batch not found" });
+    }
+    const summary = await batchRunner.summary(req.params.id);
+    return res.json({ ...status, ...summary });
+  } catch (error) {
+    return sendBatchError(res, error, "Get batch");
+  }
+});
+
+// GET /api/batches/:id/summary?format=csv|json
+app.get("/api/batches/:id/summary", async (req, res) => {
+  try {
+    const format = req.query.format || "json";
+    if (format !== "csv" && format !== "json") {
+      return res.status(400).json({ error: "format must be csv or json" });
+    }
+    const summary =
+      format === "csv"
+        ? await batchRunner.summaryCsv(req.params.id)
+        : await batchRunner.summary(req.params.id);
+    if (summary === null) {
+      return res.status(404).json({ error: "Batch not found" });
+    }
+    if (format === "json") return res.json(summary);
+    res.type("text/csv");
+    res.attachment(`${req.params.id}.csv`);
+    return res.send(summary);
+  } catch (error) {
+    return sendBatchError(res, error, "Batch summary");
+  }
+});
+
+app.post("/api/batches/:id/resume", async (req, res) => {
+  try {
+    const status = await batchRunner.status(req.params.id);
+    if (!status) {
+      return res.status(404).json({ error: "Batch not found" });
+    }
+    if (status.state === "running") {
+      return res.status(409).json({ error: "Batch is already running" });
+    }
+    if (status.state !== "completed") {
+      startBatch(req.params.id);
+      status.state = "running";
+    }
+    return res.status(202).json(status);
+  } catch (error) {
+    return sendBatchError(res, error, "Resume batch");
+  }
+});
+
+app.post("/api/batches/:id/stop", async (req, res) => {
+  if (!batchRunner.stop(req.params.id)) {
+    return res.status(409).json({ error: "Batch is not running" });
+  }
+  return res.json({ stopped: req.params.id });
+});
+
+// Exhibition mode for the continuous display (exhibition.config.json, see
+// lib/exhibition.js)
+const sendExhibitionError = (res, error, label) => {
+  if (error instanceof ExhibitionError) {
+    return res
+      .status(error.status)
+      .json({ error: error.message, ...error.details });
+  }
+  console.error(`${label} error:`, error);
+  return res.status(500).json({ error: error.message });
+};
+
+app.get("/api/exhibition", async (req, res) => {
+  try {
+    return res.json(await exhibition.status());
+  } catch (error) {
+    return sendExhibitionError(res, error, "Exhibition status");
+  }
+});
+
+// The next cycle of the playlist, with the pronunciation of its Greek in the
+// body's `pronunciation` scheme. 409 when disabled or closed (with
+// `next_change`), 503 when neither the model nor a recording could supply
+// the cycle (with `retry_after_ms`). Disconnecting cancels the translation.
+app.post("/api/exhibition/next", async (req, res) => {
+  const speech = parsePronunciation((req.body || {}).pronunciation);
+  if (speech.error) {
+    return res.status(400).json({ error: speech.error });
+  }
+  const controller = new AbortController();
+  const onClose = () => {
+    if (!res.writableEnded) controller.abort();
+  };
+  res.on("close", onClose);
+  try {
+    const cycle = await exhibition.next({ signal: controller.signal });
+    return res.json({
+      ...cycle,
+      pronunciation: greekPronunciation(cycle.greek, speech.scheme),
+    });
+  } catch (error) {
+    if (error.name === "AbortError") return;
+    return sendExhibitionError(res, error, "Exhibition cycle");
+  } finally {
+    res.off("close", onClose);
+  }
+});
+
+// Oracle dictionaries (dictionaries/*.txt, see scripts/build-dictionary.mjs)
+app.get("/api/dictionaries", async (req, res) => {
+  try {
+    return res.json(await dictionaryLibrary.list());
+  } catch (error) {
+    console.error("List dictionaries error:", error);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Shared by /api/oracle-predict and the oracle session endpoints; returns an
+// error message or null
+const validateOracleOptions = async ({
+  provider,
+  dictionary,
+  persona,
+  seed,
+  temperature,
+}) => {
+  const providerError = validateProvider(provider);
+  if (providerError) return providerError;
+
+  if (temperature !== undefined && temperature !== null) {
+    const value =
+      typeof temperature === "string" && temperature.trim()
+        ? Number(temperature)
+        : temperature;
+    if (!(Number.isFinite(value) && value >= 0 && value <= 2)) {
+      return "temperature must be between 0 and 2";
+    }
+  }
+
+  if (seed !== undefined && seed !== null && !isValidSeed(seed)) {
+    return `seed must be an integer between 0 and ${MAX_SEED}`;
+  }
+
+  if (dictionary && !(await dictionaryLibrary.load(dictionary))) {
+    return `Unknown dictionary "${dictionary}". Available: ${(
+      await oracle.listDictionaries()
+    ).join(", ")}`;
+  }
+
+  if (persona) {
+    const resolved = await resolvePersonaRef(persona);
+    if (resolved.error) return resolved.error;
+  }
+  return null;
+};
+
 // Oracle prediction endpoint - returns a short prediction constructed only
-// from words in the iliad dictionary. POST { prompt, length, mode, temperature }
+// from words in a named dictionary (the iliad dictionary by default).
+// POST { prompt, length, mode, temperature, provider, persona, dictionary,
+//        seed }
+// mode: "llm" (default), "markov", "sample" or "mostLikely". The response
+// always includes `seed`; sending it back replays the prediction.
 app.post("/api/oracle-predict", async (req, res) => {
   try {
     const {
       prompt = "",
       size = "short", // 'short' (1-3 sentences) or 'long' (1-2 paragraphs)
       mode = "llm",
-      temperature = 1.0,
+      temperature,
+      provider,
+      persona,
+      dictionary,
+      seed,
     } = req.body || {};
 
-    // oracle.predict is async now (may call Ollama); await it
-    const result = await oracle.predict(prompt, {
-      size,
-      mode,
-      temperature: Number(temperature),
+    const optionsError = await validateOracleOptions({
+      provider,
+      dictionary,
+      persona,
+      seed,
+      temperature,
     });
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
 
-    return res.json(result);
+    // The oracle's live audience goes ahead of other queued LLM work
+    const job = await runJob(
+      req,
+      res,
+      { kind: "oracle", priority: "oracle" },
+      (signal) =>
+        oracle.predict(prompt, {
+          size,
+          mode,
+          temperature:
+            temperature === undefined || temperature === null
+              ? undefined
+              : Number(temperature),
+          provider: provider || undefined,
+          persona: persona || undefined,
+          dictionary: dictionary || undefined,
+          seed: seed === null ? undefined : seed,
+          signal,
+        })
+    );
+    if (job) return res.json(job.result);
   } catch (error) {
     console.error("Oracle predict error:", error);
     return res.status(500).json({ error: error.message });
   }
 });
 
+// Oracle consultations: multi-turn sessions whose earlier questions and
+// prophecies are folded into the LLM prompt (lib/sessions.js)
+const sendSessionError = (res, error, label) => {
+  if (error instanceof SessionError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${label} error:`, error);
+  return res.status(500).json({ error: error.message });
+};
+
+// GET ?status=open|closed
+app.get("/api/oracle-sessions", async (req, res) => {
+  try {
+    return res.json(await oracleSessions.list({ status: req.query.status }));
+  } catch (error) {
+    return sendSessionError(res, error, "List oracle sessions");
+  }
+});
+
+// POST { size, mode, temperature, provider, persona, dictionary } - the
+// defaults for every question in the session
+app.post("/api/oracle-sessions", async (req, res) => {
+  try {
+    const options = req.body || {};
+    const optionsError = await validateOracleOptions(options);
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+    if (options.temperature !== undefined && options.temperature !== null) {
+      options.temperature = Number(options.temperature);
+    }
+    return res.status(201).json(await oracleSessions.start(options));
+  } catch (error) {
+    return sendSessionError(res, error, "Start oracle session");
+  }
+});
+
+app.get("/api/oracle-sessions/:id", async (req, res) => {
+  try {
+    return res.json(await oracleSessions.require(req.params.id));
+  } catch (error) {
+    return sendSessionError(res, error, "Get oracle session");
+  }
+});
+
+// POST { prompt, seed, ...options for this question only }
+// Returns { session_id, turn }
+app.post("/api/oracle-sessions/:id/ask", async (req, res) => {
+  try {
+    const {
+      prompt,
+      async: detached,
+      pronunciation,
+      ...overrides
+    } = req.body || {};
+    const optionsError = await validateOracleOptions(overrides);
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+    const speech = parsePronunciation(pronunciation);
+    if (speech.error) {
+      return res.status(400).json({ error: speech.error });
+    }
+    if (overrides.temperature !== undefined && overrides.temperature !== null) {
+      overrides.temperature = Number(overrides.temperature);
+    }
+    const job = await runJob(
+      req,
+      res,
+      { kind: "oracle", priority: "oracle", label: req.params.id },
+      async (signal) => {
+        const { session, turn } = await oracleSessions.ask(
+          req.params.id,
+          prompt,
+          overrides,
+          { signal }
+        );
+        return {
+          session_id: session.id,
+          turn,
+          pronunciation: greekPronunciation(turn.prophecy, speech.scheme),
+        };
+      }
+    );
+    if (job) return res.json(job.result);
+  } catch (error) {
+    return sendSessionError(res, error, "Ask oracle session");
+  }
+});
+
+app.post("/api/oracle-sessions/:id/close", async (req, res) => {
+  try {
+    return res.json(await oracleSessions.close(req.params.id));
+  } catch (error) {
+    return sendSessionError(res, error, "Close oracle session");
+  }
+});
+
 app.listen(port, () => {
   console.log("Starting Μοῦσα Translation Degradation Explorer...");
   console.log(`Open your browser to: http://localhost:${port}`);
+  // Check the configured models and load them while the first visitor
+  // opens the page
+  modelManager.startup();
 });
@@ -0,0 +1,24 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { buildCommands, loadBotConfig } from "../lib/bot.js";
+
+test("/degrade offers no more cycles than degrade.max_cycles", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "muse-bot-"));
+  try {
+    const filepath = path.join(dir, "discord.config.json");
+    await fs.writeFile(
+      filepath,
+      JSON.stringify({ degrade: { default_cycles: 2, max_cycles: 4 } })
+    );
+    const degrade = buildCommands(await loadBotConfig(filepath)).find(
+      (command) => command.name === "degrade"
+    );
+    const cycles = degrade.options.find((option) => option.name === "cycles");
+    assert.equal(cycles.max_value, 4);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
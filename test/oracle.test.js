@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import oracle from "../lib/oracle.js";
+
+// The local modes draw every word from the seeded generator in
+// lib/random.js, so a seed pins the prophecy. A change to the dictionary,
+// the n-gram model or the sampling changes these on purpose; update them
+// with the new output.
+
+const SEEDED = {
+  sample: "Prophecy mortal troops reproach remain counsels hosts guard.",
+  markov: "Prophecy atrides broke eternal silence bears aloft friends.",
+};
+
+for (const [mode, text] of Object.entries(SEEDED)) {
+  test(`${mode} mode with seed 7 gives a fixed prophecy`, async () => {
+    const result = await oracle.predict("prophecy", {
+      mode,
+      length: 8,
+      seed: 7,
+    });
+    assert.equal(result.text, text);
+    assert.equal(result.seed, 7);
+    assert.equal(result.dictionary, "iliad");
+  });
+}
+
+test("a prophecy uses only dictionary words and the prompt's", async () => {
+  const allowed = new Set([...oracle.words, ...oracle.tokenize("prophecy")]);
+  const result = await oracle.predict("prophecy", {
+    mode: "sample",
+    length: 12,
+    seed: 1234,
+  });
+  assert.deepEqual(
+    result.tokens.filter((token) => !allowed.has(token)),
+    []
+  );
+});
+
+test("predict rejects an invalid seed", async () => {
+  await assert.rejects(
+    oracle.predict("prophecy", { mode: "sample", seed: -1 }),
+    /invalid seed/
+  );
+});
@@ -0,0 +1,248 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import fs from "node:fs/promises";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+// Runs server.js on the scripted provider (lib/providers.js), so every
+// request below goes through the real routes without a model. Runs the tests
+// save are deleted again; cassettes go to a temporary directory.
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const GREEK = "μῆνιν ἄειδε θεὰ Πηληϊάδεω Ἀχιλῆος";
+
+let server;
+let baseUrl;
+let scratch;
+const savedRuns = [];
+
+const freePort = () =>
+  new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on("error", reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+
+async function startServer(env) {
+  const port = await freePort();
+  const child = spawn(process.execPath, ["server.js"], {
+    cwd: ROOT,
+    env: { ...process.env, ...env, PORT: String(port) },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  let output = "";
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(
+      () => reject(new Error(`Server did not start:\n${output}`)),
+      15000
+    );
+    child.stdout.on("data", (chunk) => {
+      output += chunk;
+      if (output.includes("Open your browser")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.stderr.on("data", (chunk) => {
+      output += chunk;
+    });
+    child.on("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with ${code}:\n${output}`));
+    });
+  });
+  return { child, url: `http://127.0.0.1:${port}` };
+}
+
+async function request(method, route, body) {
+  const response = await fetch(baseUrl + route, {
+    method,
+    headers: body ? { "Content-Type": "application/json" } : {},
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const type = response.headers.get("content-type") || "";
+  const data = type.includes("json")
+    ? await response.json()
+    : await response.text();
+  return { status: response.status, data };
+}
+
+const post = (route, body) => request("POST", route, body);
+const get = (route) => request("GET", route);
+
+// Server-Sent Events of a streaming route as [{ event, data }]
+async function postStream(route, body) {
+  const response = await fetch(baseUrl + route, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  const text = await response.text();
+  return text
+    .split("\n\n")
+    .filter((block) => block.trim())
+    .map((block) => {
+      const event = /^event: (.*)$/m.exec(block);
+      const data = /^data: (.*)$/m.exec(block);
+      return {
+        event: event ? event[1] : "message",
+        data: data ? JSON.parse(data[1]) : null,
+      };
+    });
+}
+
+before(async () => {
+  scratch = await fs.mkdtemp(path.join(os.tmpdir(), "muse-test-"));
+  const responses = path.join(scratch, "scripted.json");
+  await fs.writeFile(
+    responses,
+    JSON.stringify({
+      rules: [{ match: "Tell me of the man", response: "ἄνδρα μοι ἔννεπε" }],
+    })
+  );
+  const started = await startServer({
+    LLM_PROVIDER: "scripted",
+    LLM_WARM_UP: "false",
+    SCRIPTED_RESPONSES: responses,
+    LLM_CASSETTE_DIR: path.join(scratch, "cassettes"),
+  });
+  server = started.child;
+  baseUrl = started.url;
+});
+
+after(async () => {
+  for (const id of savedRuns) {
+    await request("DELETE", `/api/runs/${id}`);
+  }
+  if (server) server.kill();
+  if (scratch) await fs.rm(scratch, { recursive: true, force: true });
+});
+
+test("GET /api/health reaches the scripted provider", async () => {
+  const { status, data } = await get("/api/health");
+  assert.equal(status, 200);
+  assert.equal(data.provider, "scripted");
+  assert.equal(data.backend.reachable, true);
+});
+
+test("POST /api/translate runs every cycle and saves the run", async () => {
+  const { status, data } = await post("/api/translate", {
+    text: GREEK,
+    cycles: 2,
+  });
+  assert.equal(status, 200);
+  savedRuns.push(data.run_id);
+
+  // The scripted provider echoes the text it is given
+  assert.equal(data.original, GREEK);
+  assert.equal(data.cycles.length, 2);
+  for (const cycle of data.cycles) {
+    assert.equal(cycle.greek, GREEK);
+    assert.equal(cycle.similarity, 1);
+  }
+  assert.equal(data.analysis.final_similarity, 1);
+
+  const saved = await get(`/api/runs/${data.run_id}`);
+  assert.equal(saved.status, 200);
+  assert.equal(saved.data.cycles.length, 2);
+});
+
+test("POST /api/translate rejects an unknown metric", async () => {
+  const { status, data } = await post("/api/translate", {
+    text: GREEK,
+    metric: "nope",
+  });
+  assert.equal(status, 400);
+  assert.match(data.error, /Unknown metric "nope"/);
+});
+
+test("POST /api/translate refuses Greek input that is English", async () => {
+  const { status, data } = await post("/api/translate", {
+    text: "I see the sea",
+    is_greek: true,
+  });
+  assert.equal(status, 400);
+  assert.match(data.error, /does not look like Greek/);
+});
+
+test("POST /api/translate/stream sends cycles, analysis and done", async () => {
+  const events = await postStream("/api/translate/stream", {
+    text: GREEK,
+    cycles: 1,
+  });
+  const names = events.map((entry) => entry.event);
+  assert.equal(names[0], "start");
+  assert.ok(names.includes("cycle"));
+  assert.ok(names.includes("analysis"));
+  const done = events.find((entry) => entry.event === "done");
+  assert.ok(done, `no done event in ${names.join(", ")}`);
+  savedRuns.push(done.data.run_id);
+});
+
+test("POST /api/single-translate answers with a scripted rule", async () => {
+  const { status, data } = await post("/api/single-translate", {
+    text: "Tell me of the man",
+  });
+  assert.equal(status, 200);
+  assert.equal(data.translation, "ἄνδρα μοι ἔννεπε");
+});
+
+test("a recorded cassette replays the same cycles", async () => {
+  const recorded = await post("/api/translate", {
+    text: GREEK,
+    cycles: 1,
+    provider: "record:roundtrip:scripted",
+  });
+  assert.equal(recorded.status, 200);
+  savedRuns.push(recorded.data.run_id);
+
+  const replayed = await post("/api/translate", {
+    text: GREEK,
+    cycles: 1,
+    provider: "replay:roundtrip",
+  });
+  assert.equal(replayed.status, 200);
+  savedRuns.push(replayed.data.run_id);
+  assert.deepEqual(
+    replayed.data.cycles.map(({ english, greek }) => ({ english, greek })),
+    recorded.data.cycles.map(({ english, greek }) => ({ english, greek }))
+  );
+});
+
+test("GET /api/passages/:filename stays inside passages/", async () => {
+  const { status } = await get("/api/passages/..%2Fpackage.json");
+  assert.equal(status, 404);
+});
+
+test("POST /api/oracle-predict replays a seed", async () => {
+  const body = { prompt: "prophecy", mode: "sample", seed: 7 };
+  const first = await post("/api/oracle-predict", body);
+  const again = await post("/api/oracle-predict", body);
+  assert.equal(first.status, 200);
+  assert.equal(first.data.seed, 7);
+  assert.equal(again.data.text, first.data.text);
+});
+
+test("POST /api/oracle-predict rejects a temperature outside 0..2", async () => {
+  for (const temperature of ["abc", 3, -1]) {
+    const { status, data } = await post("/api/oracle-predict", {
+      prompt: "prophecy",
+      mode: "sample",
+      temperature,
+    });
+    assert.equal(status, 400);
+    assert.equal(data.error, "temperature must be between 0 and 2");
+  }
+  const { status } = await post("/api/oracle-predict", {
+    prompt: "prophecy",
+    mode: "sample",
+    temperature: "0.5",
+  });
+  assert.equal(status, 200);
+});
@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import {
+  betaCodeToGreek,
+  detectFormat,
+  latinToGreek,
+  transliterate,
+} from "../lib/transliteration.js";
+
+const PASSAGES = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "passages"
+);
+
+test("η and ω keep their macron under a circumflex", () => {
+  assert.equal(
+    transliterate("μῆνιν ἄειδε θεὰ Πηληϊάδεω Ἀχιλῆος"),
+    "mē̂nin áeide theà Pēlēïádeō Achilē̂os"
+  );
+  assert.equal(transliterate("τῷ ᾠδή ᾄδω"), "tō̂i ōidḗ ā́idō");
+});
+
+test("the transliteration reads back as the same Greek", async () => {
+  const words =
+    "τῷ ᾠδή ᾄδω τῇ ᾗ ῥόδον Ῥόδος οὖν αἰεί υἱός Ἕκτωρ Ζεὺς ἐγκώμιον " +
+    "ἄγγελος σφίγξ ἄρχω τί; ἦ· ἀτρεΐδης Αἰνείας Ὀδυσσεύς ἠώς ᾖ ηὔδα";
+  const lines = [words];
+  for (const name of ["iliad_book1.txt", "odyssey_book1.txt"]) {
+    const text = await fs.readFile(path.join(PASSAGES, name), "utf-8");
+    lines.push(...text.split("\n").filter((line) => line.trim()));
+  }
+  for (const line of lines) {
+    const greek = line.normalize("NFC").trim();
+    assert.equal(latinToGreek(transliterate(greek)), greek);
+  }
+});
+
+test("loose transliterations and Beta Code read as Unicode", () => {
+  assert.equal(latinToGreek("mênin áeide theá"), "μῆνιν ἄειδε θεά");
+  assert.equal(latinToGreek("Achilêos"), "Ἀχιλῆος");
+  assert.equal(betaCodeToGreek("mh=nin a)/eide qea/"), "μῆνιν ἄειδε θεά");
+});
+
+// English that is spelled like a transliteration only reads as Greek on
+// evidence a transliteration has and English does not
+const DETECTED = {
+  "I see the sea": null,
+  Hello: null,
+  Rage: null,
+  "a man": null,
+  "Hello world": null,
+  "Sing, O goddess, the anger of Achilles son of Peleus": null,
+  "Ὦ Muse sing": "unicode",
+  "μῆνιν ἄειδε θεὰ": "unicode",
+  "mênin áeide theá": "latin",
+  "menin aeide thea": "latin",
+  "andra moi ennepe mousa polytropon": "latin",
+  "mē̂nin áeide theà Pēlēïádeō Achilē̂os": "latin",
+  "mhnin aeide qea": "betacode",
+  "mh=nin a)/eide qea/": "betacode",
+};
+
+for (const [text, format] of Object.entries(DETECTED)) {
+  test(`"${text}" is detected as ${format}`, () => {
+    assert.equal(detectFormat(text), format);
+  });
+}